@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * jsonrules command-line entry point
+ */
+
+import { runCli } from '../src/cli.js';
+
+const { stdin, stdout, stderr } = process;
+
+process.exitCode = await runCli(process.argv.slice(2), { stdin, stdout, stderr });
\ No newline at end of file
@@ -4,6 +4,9 @@
  */
 
 import _ from 'lodash';
+import { testExpression } from './expression.js';
+import { parsePath } from './parser.js';
+import { parseOperationChain, applyOperations } from './operations.js';
 
 /**
  * Represents a state in the tree automaton
@@ -12,62 +15,249 @@ import _ from 'lodash';
  * @property {number} ruleIndex - Current position in the rule
  * @property {*} currentValue - Current JSON value being processed
  * @property {string[]} currentPath - Current path in the JSON structure
+ * @property {number[]} bindings - Ordinal chosen at each multi-selecting segment
  */
 
+/**
+ * Segment types that can select several elements and therefore bind a
+ * position for target wildcards. Recursive descent is deliberately absent:
+ * its matches are spread as a flat list instead.
+ */
+const BINDING_SEGMENTS = ['wildcard', 'slice', 'filter', 'union'];
+
+/**
+ * Compute the indices selected by a slice, following RFC 9535:
+ * negative bounds count from the end and a negative step walks backwards
+ * @param {number} length - Array length
+ * @param {Object} slice - { start, end, step } with null for omitted bounds
+ * @returns {number[]} Selected indices in selection order
+ */
+export const sliceIndices = (length, { start, end, step }) => {
+  if (step === 0) {
+    return [];
+  }
+
+  const normalize = (index) => (index >= 0 ? index : length + index);
+  const indices = [];
+
+  if (step > 0) {
+    const lower = Math.min(Math.max(start === null ? 0 : normalize(start), 0), length);
+    const upper = Math.min(Math.max(end === null ? length : normalize(end), 0), length);
+    for (let i = lower; i < upper; i += step) {
+      indices.push(i);
+    }
+  } else {
+    const upper = Math.min(Math.max(start === null ? length - 1 : normalize(start), -1), length - 1);
+    const lower = Math.min(Math.max(end === null ? -1 : normalize(end), -1), length - 1);
+    for (let i = upper; i > lower; i += step) {
+      indices.push(i);
+    }
+  }
+
+  return indices;
+};
+
+/**
+ * Render a single selector back into JSONPath notation
+ * @param {Object} selector - Property, index or slice segment
+ * @returns {string} Selector text without brackets
+ */
+const formatSelector = (selector) => {
+  switch (selector.type) {
+    case 'property': {
+      const text = formatPath([selector.value]).slice(1);
+      return text.startsWith('.') ? `'${text.slice(1)}'` : text.slice(1, -1);
+    }
+    case 'index':
+      return String(selector.value);
+    case 'slice': {
+      const bounds = `${_.defaultTo(selector.start, '')}:${_.defaultTo(selector.end, '')}`;
+      return selector.step === 1 ? bounds : `${bounds}:${selector.step}`;
+    }
+  }
+  return '';
+};
+
+/**
+ * Render a path segment back into JSONPath notation
+ * @param {Object} segment - Path segment
+ * @returns {string} Segment text, e.g. `.price`, `[*]` or `[?(@.x > 1)]`
+ */
+const formatSegment = (segment) => {
+  switch (segment.type) {
+    case 'property':
+      return formatPath([segment.value]).slice(1);
+    case 'wildcard':
+      return '[*]';
+    case 'descendant':
+      return '..';
+    case 'filter':
+      return `[?${segment.source}]`;
+    case 'union':
+      return `[${segment.selectors.map(formatSelector).join(',')}]`;
+  }
+  return `[${formatSelector(segment)}]`;
+};
+
+/**
+ * Render a sequence of segments as a JSONPath expression
+ * @param {Object[]} segments - Path segments
+ * @returns {string} JSONPath expression starting with `$`
+ */
+const formatSegments = (segments) => segments.reduce((result, segment) => {
+  const text = formatSegment(segment);
+  // Recursive descent already supplies the dot of a following name
+  return result.endsWith('..') && text.startsWith('.') ? result + text.slice(1) : result + text;
+}, '$');
+
+const describeValue = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  if (_.isArray(value)) {
+    return value.length === 0 ? 'an empty array' : 'an array';
+  }
+  return typeof value === 'object' ? 'an object' : `a ${typeof value}`;
+};
+
+const countOf = (count, noun, plural = `${noun}s`) => `${count} ${count === 1 ? noun : plural}`;
+
+/**
+ * Explain why a state produced no next state for a segment
+ * @param {Object} segment - Segment being applied
+ * @param {*} value - Value of the state
+ * @returns {Object} { reason, message } where reason is one of
+ *   missing-property, not-an-object, not-an-array, not-a-container,
+ *   index-out-of-range, empty, empty-selection or filter-rejected
+ */
+const explainFailure = (segment, value) => {
+  const isArray = _.isArray(value);
+  const size = isArray ? value.length : _.size(value);
+
+  switch (segment.type) {
+    case 'property':
+      return _.isObject(value) && !isArray
+        ? { reason: 'missing-property', message: `has no property ${JSON.stringify(segment.value)}` }
+        : { reason: 'not-an-object', message: `is ${describeValue(value)}, not an object` };
+    case 'index':
+      if (!isArray) {
+        return { reason: 'not-an-array', message: `is ${describeValue(value)}, not an array` };
+      }
+      return { reason: 'index-out-of-range', message: `has ${countOf(size, 'item')}, index ${segment.value} is out of range` };
+    case 'wildcard':
+    case 'slice':
+      if (!isArray) {
+        return { reason: 'not-an-array', message: `is ${describeValue(value)}, not an array` };
+      }
+      return size === 0
+        ? { reason: 'empty', message: 'is an empty array' }
+        : { reason: 'empty-selection', message: `has ${countOf(size, 'item')}, none in the slice` };
+  }
+
+  // Filters and unions select children of arrays and objects alike
+  if (!_.isObject(value)) {
+    return { reason: 'not-a-container', message: `is ${describeValue(value)}, not an array or object` };
+  }
+  if (size === 0) {
+    return { reason: 'empty', message: `is ${describeValue(value)}` };
+  }
+  return segment.type === 'filter'
+    ? { reason: 'filter-rejected', message: `has ${isArray ? countOf(size, 'item') : countOf(size, 'property', 'properties')}, none matching the filter` }
+    : { reason: 'empty-selection', message: `has none of the selected ${isArray ? 'items' : 'properties'}` };
+};
+
+/**
+ * Edit distance between two strings, for spelling suggestions
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ */
+const editDistance = (a, b) => {
+  let previous = _.range(b.length + 1);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = row;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Suggest a replacement for a property segment that matched nothing: a
+ * similarly spelled key of the values it was applied to, or a wildcard when
+ * it was applied to arrays whose items have the property
+ * @param {Object} segment - Failing segment
+ * @param {Array} values - Values of the states that died
+ * @returns {string|null} Suggested segment text
+ */
+const suggestSegment = (segment, values) => {
+  if (segment.type !== 'property') {
+    return null;
+  }
+  if (values.some(value => _.isArray(value) && value.some(item => _.has(item, segment.value)))) {
+    return `[*]${formatSegment(segment)}`;
+  }
+
+  const wanted = segment.value.toLowerCase();
+  const limit = Math.max(1, Math.floor(wanted.length / 3));
+  const candidates = _.uniq(_.flatMap(values, value => (_.isPlainObject(value) ? Object.keys(value) : [])))
+    .map(key => ({ key, distance: editDistance(wanted, key.toLowerCase()) }))
+    .filter(({ distance }) => distance <= limit);
+  const best = _.minBy(candidates, 'distance');
+  return best ? formatSegment({ type: 'property', value: best.key }).replace(/^\./, '') : null;
+};
+
+/**
+ * Render a trace as readable text, one line per step followed by the states
+ * that died in it and the summary
+ * @param {Object} trace - Trace as built by `TreeAutomaton.explain()`
+ * @returns {string} Text rendering
+ */
+const renderTrace = (trace) => {
+  const lines = [`Path: ${trace.path}`];
+  const states = (count) => countOf(count, 'state');
+
+  trace.steps.forEach((step, index) => {
+    lines.push(`step ${index + 1} ${step.segment}: ${states(step.states.length)} -> ${states(step.next.length)}`);
+    step.died.slice(0, 5).forEach(({ path, message }) => lines.push(`  ${formatPath(path)} ${message}`));
+    if (step.died.length > 5) {
+      lines.push(`  ... and ${step.died.length - 5} more`);
+    }
+  });
+
+  lines.push(trace.summary);
+  return lines.join('\n');
+};
+
 /**
  * Tree Automaton for processing JSONPath expressions
  */
 export class TreeAutomaton {
-  constructor(jsonPathRule) {
+  /**
+   * @param {string} jsonPathRule - JSONPath rule
+   * @param {Object} options - { lenient = false }: see parsePath;
+   *   `documents`: named input documents filters may read as `$name`
+   */
+  constructor(jsonPathRule, options = {}) {
+    this.options = options;
+    this.subAutomata = new Map();
     this.rule = this.parseJsonPath(jsonPathRule);
     this.isAcceptingState = this.isAcceptingState.bind(this);
     this.transition = this.transition.bind(this);
+    this.queryExpressionPath = this.queryExpressionPath.bind(this);
   }
 
   /**
    * Parse JSONPath into segments for automaton processing
    * @param {string} jsonPath - JSONPath expression
    * @returns {Array} Array of path segments
+   * @throws {JsonPathSyntaxError} If the path is malformed and the automaton
+   *   is not lenient
    */
   parseJsonPath(jsonPath) {
-    // Remove leading $ and split by . while handling [*] and [index]
-    const cleanPath = jsonPath.replace(/^\$\.?/, '');
-    const segments = [];
-    let current = '';
-    let inBracket = false;
-    
-    for (let i = 0; i < cleanPath.length; i++) {
-      const char = cleanPath[i];
-      
-      if (char === '[') {
-        if (current) {
-          segments.push({ type: 'property', value: current });
-          current = '';
-        }
-        inBracket = true;
-      } else if (char === ']') {
-        if (current === '*') {
-          segments.push({ type: 'wildcard' });
-        } else if (!isNaN(current)) {
-          segments.push({ type: 'index', value: parseInt(current) });
-        }
-        current = '';
-        inBracket = false;
-      } else if (char === '.' && !inBracket) {
-        if (current) {
-          segments.push({ type: 'property', value: current });
-          current = '';
-        }
-      } else {
-        current += char;
-      }
-    }
-    
-    if (current) {
-      segments.push({ type: 'property', value: current });
-    }
-    
-    return segments;
+    return parsePath(jsonPath, this.options).segments;
   }
 
   /**
@@ -86,26 +276,76 @@ export class TreeAutomaton {
    * @returns {AutomatonState[]} Array of next states (for non-deterministic transitions)
    */
   transition(state, jsonData) {
+    return [...this.transitions(state, jsonData)];
+  }
+
+  /**
+   * Generate the next states of a state one by one, so that lazy matching
+   * only visits the children it gets to
+   * @param {AutomatonState} state - Current state
+   * @param {*} jsonData - JSON data being processed
+   * @yields {AutomatonState} Next states, in selection order
+   */
+  *transitions(state, jsonData) {
     if (this.isAcceptingState(state)) {
-      return [state];
+      yield state;
+      return;
     }
 
     const currentSegment = this.rule[state.ruleIndex];
-    const nextStates = [];
+    let nextStates;
 
     switch (currentSegment.type) {
       case 'property':
-        nextStates.push(...this.handlePropertyTransition(state, jsonData, currentSegment.value));
+        nextStates = this.handlePropertyTransition(state, jsonData, currentSegment.value);
         break;
       case 'wildcard':
-        nextStates.push(...this.handleWildcardTransition(state, jsonData));
+        nextStates = this.handleWildcardTransition(state, jsonData);
         break;
       case 'index':
-        nextStates.push(...this.handleIndexTransition(state, jsonData, currentSegment.value));
+        nextStates = this.handleIndexTransition(state, jsonData, currentSegment.value);
+        break;
+      case 'filter':
+        nextStates = this.handleFilterTransition(state, jsonData, currentSegment);
         break;
+      case 'descendant':
+        nextStates = this.handleDescendantTransition(state);
+        break;
+      case 'slice':
+        nextStates = this.handleSliceTransition(state, jsonData, currentSegment);
+        break;
+      case 'union':
+        nextStates = this.handleUnionTransition(state, jsonData, currentSegment.selectors);
+        break;
+      default:
+        return;
     }
 
-    return nextStates;
+    // Multi-selecting segments record which element each state took, so that
+    // target [*] wildcards can later be bound positionally
+    if (!BINDING_SEGMENTS.includes(currentSegment.type)) {
+      yield* nextStates;
+      return;
+    }
+    let ordinal = 0;
+    for (const next of nextStates) {
+      yield { ...next, bindings: [...state.bindings, ordinal++] };
+    }
+  }
+
+  /**
+   * Build the state for a child of the current value
+   * @param {AutomatonState} state - Current state
+   * @param {string|number} key - Key of the child
+   * @returns {AutomatonState} Next state
+   */
+  childState(state, key) {
+    return {
+      ...state,
+      ruleIndex: state.ruleIndex + 1,
+      currentValue: state.currentValue[key],
+      currentPath: [...state.currentPath, key]
+    };
   }
 
   /**
@@ -113,68 +353,191 @@ export class TreeAutomaton {
    * @param {AutomatonState} state - Current state
    * @param {*} jsonData - JSON data
    * @param {string} property - Property name
-   * @returns {AutomatonState[]} Next states
+   * @yields {AutomatonState} Next state, if the property exists
    */
-  handlePropertyTransition(state, jsonData, property) {
+  *handlePropertyTransition(state, jsonData, property) {
     if (_.isObject(state.currentValue) && _.has(state.currentValue, property)) {
-      return [{
-        ...state,
-        ruleIndex: state.ruleIndex + 1,
-        currentValue: state.currentValue[property],
-        currentPath: [...state.currentPath, property]
-      }];
+      yield this.childState(state, property);
     }
-    return [];
   }
 
   /**
    * Handle wildcard [*] transition - creates multiple states for array elements
    * @param {AutomatonState} state - Current state
    * @param {*} jsonData - JSON data
-   * @returns {AutomatonState[]} Next states (one for each array element)
+   * @yields {AutomatonState} Next states (one for each array element)
    */
-  handleWildcardTransition(state, jsonData) {
+  *handleWildcardTransition(state, jsonData) {
     if (_.isArray(state.currentValue)) {
-      return state.currentValue.map((item, index) => ({
-        ...state,
-        ruleIndex: state.ruleIndex + 1,
-        currentValue: item,
-        currentPath: [...state.currentPath, index]
-      }));
+      for (let index = 0; index < state.currentValue.length; index++) {
+        yield this.childState(state, index);
+      }
     }
-    return [];
   }
 
   /**
-   * Handle specific index transition
+   * Handle specific index transition - negative indices count from the end
    * @param {AutomatonState} state - Current state
    * @param {*} jsonData - JSON data
    * @param {number} index - Array index
-   * @returns {AutomatonState[]} Next states
+   * @yields {AutomatonState} Next state, if the index is in range
    */
-  handleIndexTransition(state, jsonData, index) {
-    if (_.isArray(state.currentValue) && index < state.currentValue.length) {
-      return [{
+  *handleIndexTransition(state, jsonData, index) {
+    if (!_.isArray(state.currentValue)) {
+      return;
+    }
+
+    const normalized = index < 0 ? state.currentValue.length + index : index;
+    if (normalized >= 0 && normalized < state.currentValue.length) {
+      yield this.childState(state, normalized);
+    }
+  }
+
+  /**
+   * Handle array slice [start:end:step] transition (RFC 9535 semantics)
+   * @param {AutomatonState} state - Current state
+   * @param {*} jsonData - JSON data
+   * @param {Object} segment - Slice segment { start, end, step }
+   * @yields {AutomatonState} Next states (one for each selected element)
+   */
+  *handleSliceTransition(state, jsonData, segment) {
+    if (!_.isArray(state.currentValue)) {
+      return;
+    }
+
+    for (const index of sliceIndices(state.currentValue.length, segment)) {
+      yield this.childState(state, index);
+    }
+  }
+
+  /**
+   * Handle union [a,b,...] transition - applies each selector in order
+   * @param {AutomatonState} state - Current state
+   * @param {*} jsonData - JSON data
+   * @param {Object[]} selectors - Property, index or slice segments
+   * @yields {AutomatonState} Next states, in selector order
+   */
+  *handleUnionTransition(state, jsonData, selectors) {
+    for (const selector of selectors) {
+      switch (selector.type) {
+        case 'property':
+          yield* this.handlePropertyTransition(state, jsonData, selector.value);
+          break;
+        case 'index':
+          yield* this.handleIndexTransition(state, jsonData, selector.value);
+          break;
+        case 'slice':
+          yield* this.handleSliceTransition(state, jsonData, selector);
+          break;
+      }
+    }
+  }
+
+  /**
+   * Handle filter [?(...)] transition - keeps the children of the current
+   * array or object for which the filter expression holds
+   * @param {AutomatonState} state - Current state
+   * @param {*} jsonData - JSON data (bound to `$` inside the expression)
+   * @param {Object} segment - Filter segment with parsed expression
+   * @yields {AutomatonState} Next states (one for each selected child)
+   */
+  *handleFilterTransition(state, jsonData, segment) {
+    if (!_.isObject(state.currentValue)) {
+      return;
+    }
+
+    const keys = _.isArray(state.currentValue)
+      ? _.range(state.currentValue.length)
+      : Object.keys(state.currentValue);
+
+    for (const key of keys) {
+      const selected = testExpression(segment.expression, {
+        current: state.currentValue[key],
+        root: jsonData,
+        documents: this.options.documents,
+        query: this.queryExpressionPath
+      });
+      if (selected) {
+        yield this.childState(state, key);
+      }
+    }
+  }
+
+  /**
+   * Handle recursive descent (..) transition - creates a state for the current
+   * value and every value nested below it, breadth-first so that results are
+   * ordered by depth. Values already on the ancestor chain are skipped, which
+   * keeps cyclic object graphs from looping forever.
+   * @param {AutomatonState} state - Current state
+   * @yields {AutomatonState} Next states (one for each descendant-or-self)
+   */
+  *handleDescendantTransition(state) {
+    // Children are only read when their turn comes
+    const queue = [{ parent: null, path: state.currentPath, ancestors: [] }];
+
+    while (queue.length > 0) {
+      const { parent, key, path, ancestors } = queue.shift();
+      const value = parent === null ? state.currentValue : parent[key];
+      if (parent !== null && ancestors.includes(value)) {
+        continue;
+      }
+
+      yield {
         ...state,
         ruleIndex: state.ruleIndex + 1,
-        currentValue: state.currentValue[index],
-        currentPath: [...state.currentPath, index]
-      }];
+        currentValue: value,
+        currentPath: path
+      };
+
+      if (_.isObject(value)) {
+        const chain = [...ancestors, value];
+        const keys = _.isArray(value) ? _.range(value.length) : Object.keys(value);
+
+        for (const childKey of keys) {
+          queue.push({ parent: value, key: childKey, path: [...path, childKey], ancestors: chain });
+        }
+      }
     }
-    return [];
+  }
+
+  /**
+   * Resolve a path referenced inside a filter expression. The path may end
+   * in aggregate operations, e.g. `@.tags.count()`.
+   * @param {Object} pathNode - Expression path node (`@...` or `$...`)
+   * @param {*} data - Value the path is relative to
+   * @returns {Array} Matched values
+   */
+  queryExpressionPath(pathNode, data) {
+    if (!this.subAutomata.has(pathNode.path)) {
+      const { path, operations } = parseOperationChain('$' + pathNode.path.slice(1));
+      this.subAutomata.set(pathNode.path, { automaton: new TreeAutomaton(path, this.options), operations });
+    }
+
+    const { automaton, operations } = this.subAutomata.get(pathNode.path);
+    const values = automaton.process(data).map(result => result.value);
+    return operations.length > 0 ? [applyOperations(values, operations)] : values;
   }
 
   /**
    * Process JSON data through the automaton
    * @param {*} jsonData - Input JSON data
-   * @returns {Array} Array of matching values and their paths
+   * @param {Object} options - { trace = false }: return `{ matches, trace }`
+   *   with the trace of `explain()` instead of the matches alone
+   * @returns {Array|Object} Array of matching values, their paths and
+   *   wildcard bindings
    */
-  process(jsonData) {
+  process(jsonData, options = {}) {
+    if (options.trace) {
+      const trace = this.explain(jsonData);
+      return { matches: trace.matches, trace };
+    }
+
     // Initialize with starting state
     let currentStates = [{
       ruleIndex: 0,
       currentValue: jsonData,
-      currentPath: []
+      currentPath: [],
+      bindings: []
     }];
 
     // Process through all rule segments
@@ -194,7 +557,8 @@ export class TreeAutomaton {
       if (acceptingStates.length > 0) {
         return acceptingStates.map(state => ({
           value: state.currentValue,
-          path: state.currentPath
+          path: state.currentPath,
+          bindings: state.bindings
         }));
       }
       
@@ -203,11 +567,151 @@ export class TreeAutomaton {
 
     return [];
   }
+
+  /**
+   * Process JSON data while recording each step: the segment applied, the
+   * paths of the states it was applied to and of those it produced, and the
+   * states that died along with the reason. A path matching nothing is
+   * summarized by the longest prefix that still matched and the segment
+   * that failed, with a suggestion for misspelled property names.
+   * @param {*} jsonData - Input JSON data
+   * @returns {Object} Trace { path, matches, steps, failure, summary, text }:
+   *   `steps` holds { segment, type, states, next, died } per segment with
+   *   `died` entries { path, reason, message }; `failure` is null when the
+   *   path matched and { step, matchedUpTo, failedAt, suggestion } otherwise
+   */
+  explain(jsonData) {
+    const steps = [];
+    let states = [{ ruleIndex: 0, currentValue: jsonData, currentPath: [], bindings: [] }];
+
+    // States advance one segment per step, so they all share a rule index
+    while (states.length > 0 && !this.isAcceptingState(states[0])) {
+      const segment = this.rule[states[0].ruleIndex];
+      const next = [];
+      const died = [];
+
+      for (const state of states) {
+        const transitions = this.transition(state, jsonData);
+        if (transitions.length === 0) {
+          died.push({ path: state.currentPath, value: state.currentValue, ...explainFailure(segment, state.currentValue) });
+        }
+        next.push(...transitions);
+      }
+
+      steps.push({
+        segment: formatSegment(segment),
+        type: segment.type,
+        states: states.map(state => state.currentPath),
+        next: next.map(state => state.currentPath),
+        died
+      });
+      states = next;
+    }
+
+    const matches = states.map(state => ({ value: state.currentValue, path: state.currentPath, bindings: state.bindings }));
+    const failed = matches.length === 0 ? _.findIndex(steps, step => step.next.length === 0) : -1;
+    const failure = failed < 0 ? null : {
+      step: failed,
+      matchedUpTo: formatSegments(this.rule.slice(0, failed)),
+      failedAt: steps[failed].segment,
+      suggestion: suggestSegment(this.rule[failed], steps[failed].died.map(death => death.value))
+    };
+
+    let summary = `matched ${countOf(matches.length, 'value')}`;
+    if (failure) {
+      const [death, ...others] = steps[failed].died;
+      const reason = failure.suggestion
+        ? `did you mean \`${failure.suggestion}\`?`
+        : `\`${formatPath(death.path)}\` ${death.message}${others.length > 0 ? ` and ${others.length} more` : ''}`;
+      summary = `matched up to \`${failure.matchedUpTo}\`, failed at \`${failure.failedAt}\`: ${reason}`;
+    }
+
+    const trace = {
+      path: formatSegments(this.rule),
+      matches,
+      steps: steps.map(step => ({ ...step, died: step.died.map(({ path, reason, message }) => ({ path, reason, message })) })),
+      failure,
+      summary
+    };
+    return { ...trace, text: renderTrace(trace) };
+  }
+
+  /**
+   * Lazily match JSON data: states are explored depth-first, which yields
+   * matches in the same order as `process()` while only computing as many
+   * as the consumer asks for
+   * @param {*} jsonData - Input JSON data
+   * @yields {Object} Matching value, its path and wildcard bindings
+   */
+  *matches(jsonData) {
+    // One generator of next states per level, advanced only on demand
+    const stack = [[{ ruleIndex: 0, currentValue: jsonData, currentPath: [], bindings: [] }][Symbol.iterator]()];
+
+    while (stack.length > 0) {
+      const { value: state, done } = _.last(stack).next();
+      if (done) {
+        stack.pop();
+      } else if (this.isAcceptingState(state)) {
+        yield { value: state.currentValue, path: state.currentPath, bindings: state.bindings };
+      } else {
+        stack.push(this.transitions(state, jsonData));
+      }
+    }
+  }
+
+  /**
+   * Find the first match only, without exploring the rest of the data
+   * @param {*} jsonData - Input JSON data
+   * @returns {Object|undefined} First match as reported by `process()`, or
+   *   undefined if there is none
+   */
+  first(jsonData) {
+    const { value, done } = this.matches(jsonData).next();
+    return done ? undefined : value;
+  }
+
+  /**
+   * Lazily match every document of a (possibly asynchronous) sequence
+   * @param {AsyncIterable|Iterable} documents - Input JSON documents
+   * @yields {Object} Match of `matches()`, with the index of its `document`
+   */
+  async *matchesAsync(documents) {
+    let document = 0;
+    for await (const jsonData of documents) {
+      for (const match of this.matches(jsonData)) {
+        yield { ...match, document };
+      }
+      document++;
+    }
+  }
 }
 
 /**
  * Factory function to create tree automaton (functional approach)
  * @param {string} jsonPathRule - JSONPath rule
+ * @param {Object} options - { lenient = false, documents }: see the
+ *   TreeAutomaton constructor
  * @returns {TreeAutomaton} New automaton instance
  */
-export const createAutomaton = (jsonPathRule) => new TreeAutomaton(jsonPathRule);
\ No newline at end of file
+export const createAutomaton = (jsonPathRule, options = {}) => new TreeAutomaton(jsonPathRule, options);
+
+/**
+ * Serialize a concrete path (as reported by `process()`) back into a JSONPath
+ * string that selects exactly that node. Simple names use dot notation, any
+ * other name is quoted in bracket notation with escapes.
+ * @param {Array<string|number>} path - Concrete path segments
+ * @returns {string} JSONPath expression
+ */
+export const formatPath = (path) => path.reduce((result, key) => {
+  if (_.isNumber(key)) {
+    return `${result}[${key}]`;
+  }
+  if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+    return `${result}.${key}`;
+  }
+  const escaped = key.replace(/[\\'\u0000-\u001f]/g, (char) => {
+    const escapes = { '\\': '\\\\', '\'': '\\\'', '\n': '\\n', '\t': '\\t', '\r': '\\r', '\b': '\\b', '\f': '\\f' };
+    return escapes[char] || `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+  });
+  return `${result}['${escaped}']`;
+}, '$');
\ No newline at end of file
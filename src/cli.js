@@ -0,0 +1,236 @@
+/**
+ * Command-line interface
+ * Applies rule files, runs ad-hoc queries and validates rules from the
+ * shell. Exit codes: 0 on success, 1 when the work failed (invalid input,
+ * a failing rule, validation errors) and 2 for usage errors.
+ */
+
+import _ from 'lodash';
+import { createReadStream } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { transform, extractValues, debugTransform } from './transformer.js';
+import { lintRules } from './validation.js';
+import { transformNdjson } from './stream.js';
+
+const USAGE = `Usage: jsonrules <command> [options]
+
+Commands:
+  apply <rules.json> [input.json]   Transform the input with a rule file
+  query <jsonPath> [input.json]     Print the values a path extracts
+  validate <rules.json>             Report problems in a rule file
+
+The input is read from stdin when no file (or "-") is given.
+
+Options:
+  --ndjson          Read newline-delimited JSON and write one result per line
+  --mode <mode>     Transform mode, "project" (default) or "update"
+  --lenient         Accept paths written for earlier versions
+  --document <name=file>
+                    Named input document read by paths such as $name[*]
+                    (apply, validate; repeatable)
+  --debug           Print the steps of the transformation (apply)
+  --first           Print the first match only (query)
+  --compact         Print JSON on a single line
+  -h, --help        Show this help`;
+
+const OPTIONS = {
+  ndjson: { type: 'boolean' },
+  mode: { type: 'string' },
+  lenient: { type: 'boolean' },
+  document: { type: 'string', multiple: true },
+  debug: { type: 'boolean' },
+  first: { type: 'boolean' },
+  compact: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Error in the command line itself, reported with the usage text
+ */
+class UsageError extends Error {}
+
+/**
+ * Read a whole stream as text
+ * @param {AsyncIterable<string|Buffer>} input - Readable stream
+ * @returns {Promise<string>} Text
+ */
+const readStream = async (input) => {
+  const chunks = [];
+  for await (const chunk of input) {
+    chunks.push(_.isString(chunk) ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Parse JSON, naming its origin in errors
+ * @param {string} text - JSON text
+ * @param {string} name - Description of the origin, e.g. `rules file "r.json"`
+ * @returns {*} Parsed value
+ */
+const parseJson = (text, name) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${name}: ${error.message}`);
+  }
+};
+
+/**
+ * Create the input helpers of a command
+ * @param {string|undefined} file - Input file, `-` or undefined for stdin
+ * @param {Object} io - { stdin }
+ * @returns {Object} { stream(), json() }
+ */
+const openInput = (file, io) => {
+  const fromStdin = file === undefined || file === '-';
+  const name = fromStdin ? 'standard input' : `input file "${file}"`;
+
+  return {
+    stream: () => (fromStdin ? io.stdin : createReadStream(file)),
+    json: async () => parseJson(fromStdin ? await readStream(io.stdin) : await readFile(file, 'utf8'), name)
+  };
+};
+
+/**
+ * Read and parse a rule file
+ * @param {string} file - Rule file path
+ * @returns {Promise<Object>} Rules
+ */
+const readRules = async (file) => parseJson(await readFile(file, 'utf8'), `rules file "${file}"`);
+
+/**
+ * Read the named input documents given as `--document name=file`
+ * @param {string[]} [specs] - Option values
+ * @returns {Promise<Object|undefined>} Documents by name, or undefined when
+ *   there are none
+ */
+const readDocuments = async (specs) => {
+  if (specs === undefined) {
+    return undefined;
+  }
+
+  const entries = await Promise.all(specs.map(async (spec) => {
+    const match = /^([A-Za-z_][A-Za-z0-9_]*)=(.+)$/.exec(spec);
+    if (!match) {
+      throw new UsageError(`--document expects name=file, got "${spec}"`);
+    }
+    const [, name, file] = match;
+    return [name, parseJson(await readFile(file, 'utf8'), `document file "${file}"`)];
+  }));
+  return Object.fromEntries(entries);
+};
+
+/**
+ * Describe a diagnostic on one line
+ * @param {string} file - Rule file path
+ * @param {Diagnostic} diagnostic - Diagnostic from lintRules
+ * @returns {string} e.g. `rules.json: rule 2.0, target at offset 4: error: ...`
+ */
+const formatDiagnostic = (file, { rulePath, field, offset, message, severity }) => {
+  const location = [
+    rulePath.length > 0 ? `rule ${rulePath.join('.')}` : null,
+    field ? `${field}${offset === null ? '' : ` at offset ${offset}`}` : null
+  ].filter(Boolean).join(', ');
+
+  return `${file}: ${location ? `${location}: ` : ''}${severity}: ${message}`;
+};
+
+const commands = {
+  apply: async ([rulesFile, inputFile, ...rest], options, io) => {
+    if (!rulesFile || rest.length > 0) {
+      throw new UsageError('apply expects a rules file and at most one input file');
+    }
+    if (options.debug && options.ndjson) {
+      throw new UsageError('--debug cannot be combined with --ndjson');
+    }
+
+    const rules = await readRules(rulesFile);
+    const documents = await readDocuments(options.document);
+    const transformOptions = _.pickBy({ mode: options.mode, lenient: options.lenient, documents }, value => value !== undefined);
+    const input = openInput(inputFile, io);
+
+    if (options.ndjson) {
+      await transformNdjson(input.stream(), io.stdout, rules, { ...transformOptions, end: false });
+      return 0;
+    }
+
+    const data = await input.json();
+    const result = options.debug ? debugTransform(data, rules, transformOptions) : transform(data, rules, transformOptions);
+    io.stdout.write(io.format(result));
+    return 0;
+  },
+
+  query: async ([jsonPath, inputFile, ...rest], options, io) => {
+    if (!jsonPath || rest.length > 0) {
+      throw new UsageError('query expects a path and at most one input file');
+    }
+
+    // A path matching nothing in first-match mode is printed as null
+    const query = (data) => _.defaultTo(extractValues(data, jsonPath, { lenient: options.lenient, first: options.first }), null);
+    const input = openInput(inputFile, io);
+
+    if (options.ndjson) {
+      await transformNdjson(input.stream(), io.stdout, query, { end: false });
+      return 0;
+    }
+
+    io.stdout.write(io.format(query(await input.json())));
+    return 0;
+  },
+
+  validate: async ([rulesFile, ...rest], options, io) => {
+    if (!rulesFile || rest.length > 0) {
+      throw new UsageError('validate expects a single rules file');
+    }
+
+    const diagnostics = lintRules(await readRules(rulesFile), _.pickBy({ documents: await readDocuments(options.document), lenient: options.lenient }));
+    const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+    const warnings = diagnostics.length - errors;
+
+    diagnostics.forEach(diagnostic => io.stdout.write(formatDiagnostic(rulesFile, diagnostic) + '\n'));
+    io.stdout.write(diagnostics.length === 0
+      ? `${rulesFile}: no problems found\n`
+      : `${errors} ${errors === 1 ? 'error' : 'errors'}, ${warnings} ${warnings === 1 ? 'warning' : 'warnings'}\n`);
+    return errors > 0 ? 1 : 0;
+  }
+};
+
+/**
+ * Run the command line
+ * @param {string[]} argv - Arguments, without the node and script paths
+ * @param {Object} io - { stdin, stdout, stderr } streams
+ * @returns {Promise<number>} Exit code
+ */
+export const runCli = async (argv, io) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    io.stderr.write(`jsonrules: ${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  const { values: options, positionals: [command, ...args] } = parsed;
+  if (options.help || command === 'help') {
+    io.stdout.write(USAGE + '\n');
+    return 0;
+  }
+  if (!_.has(commands, command)) {
+    io.stderr.write(`${command ? `jsonrules: unknown command "${command}"\n\n` : ''}${USAGE}\n`);
+    return 2;
+  }
+
+  const format = (value) => JSON.stringify(value, null, options.compact ? 0 : 2) + '\n';
+  try {
+    return await commands[command](args, options, { ...io, format });
+  } catch (error) {
+    io.stderr.write(`jsonrules: ${error.message}\n`);
+    if (error instanceof UsageError) {
+      io.stderr.write(`\n${USAGE}\n`);
+      return 2;
+    }
+    return 1;
+  }
+};
\ No newline at end of file
@@ -0,0 +1,545 @@
+/**
+ * Safe expression language for JSONPath filters, rule conditions and
+ * computed values. Expressions are tokenized and parsed into an AST, then
+ * evaluated by a small interpreter - nothing is ever passed to eval or the
+ * Function constructor
+ */
+
+import _ from 'lodash';
+
+/**
+ * Expression AST node
+ * @typedef {Object} ExpressionNode
+ * @property {string} type - Node type (literal, path, regex, array, call, not, negate,
+ *   logical, comparison, arithmetic)
+ */
+
+/**
+ * Evaluation environment for an expression
+ * @typedef {Object} ExpressionEnv
+ * @property {*} current - Value bound to `@`
+ * @property {*} root - Value bound to `$`
+ * @property {Function} query - (pathNode, data) => matched values
+ * @property {Object} [functions] - Functions callable by name, e.g. `upper(@.name)`
+ * @property {Object} [documents] - Named input documents, e.g. `$customers`
+ */
+
+const COMPARISON_OPERATORS = ['==', '!=', '<=', '>=', '<', '>', '=~'];
+const KEYWORDS = { true: true, false: false, null: null };
+
+const isIdentifierStart = (char) => /[A-Za-z_]/.test(char);
+const isIdentifierChar = (char) => /\w/.test(char) || char > '\u007f';
+const isDigit = (char) => char >= '0' && char <= '9';
+
+/**
+ * Read a quoted string literal starting at `start`
+ * @param {string} input - Source text
+ * @param {number} start - Index of the opening quote
+ * @returns {Object} { value, end } where end is the index after the closing quote
+ */
+export const readQuoted = (input, start) => {
+  const quote = input[start];
+  let value = '';
+  let i = start + 1;
+
+  while (i < input.length && input[i] !== quote) {
+    if (input[i] === '\\' && i + 1 < input.length) {
+      const escaped = input[i + 1];
+      const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '/': '/' };
+      if (escaped === 'u') {
+        value += String.fromCharCode(parseInt(input.substr(i + 2, 4), 16));
+        i += 6;
+        continue;
+      }
+      value += escapes[escaped] ?? escaped;
+      i += 2;
+    } else {
+      value += input[i];
+      i++;
+    }
+  }
+
+  if (i >= input.length) {
+    throw new Error(`Unterminated string literal at position ${start}`);
+  }
+
+  return { value, end: i + 1 };
+};
+
+/**
+ * Find the index of the bracket closing the one opened at `start`,
+ * skipping over quoted strings and nested brackets
+ * @param {string} input - Source text
+ * @param {number} start - Index of the opening bracket
+ * @returns {number} Index of the matching `]`, or -1 if unbalanced
+ */
+export const findClosingBracket = (input, start) => {
+  let depth = 0;
+
+  for (let i = start; i < input.length; i++) {
+    const char = input[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '\'' || char === '"') {
+      let j = i + 1;
+      while (j < input.length && input[j] !== char) {
+        j += input[j] === '\\' ? 2 : 1;
+      }
+      if (j >= input.length) {
+        return -1;
+      }
+      i = j;
+    } else if (char === '[') {
+      depth++;
+    } else if (char === ']') {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * Find the parenthesis closing the one opened at `start`, skipping quoted strings
+ * @param {string} input - Source text
+ * @param {number} start - Index of the opening parenthesis
+ * @returns {number} Index of the matching `)`
+ */
+const findClosingParenthesis = (input, start) => {
+  for (let i = start + 1; i < input.length; i++) {
+    if (input[i] === '\'' || input[i] === '"') {
+      i = readQuoted(input, i).end - 1;
+    } else if (input[i] === ')') {
+      return i;
+    }
+  }
+  throw new Error(`Unbalanced parenthesis in path at position ${start}`);
+};
+
+/**
+ * Split expression source into tokens
+ * @param {string} input - Expression source
+ * @returns {Array} Array of { type, value, position } tokens
+ */
+export const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+    const previous = tokens[tokens.length - 1];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '@' || char === '$') {
+      // Relative (@) or root ($) path: consume member and bracket accessors.
+      // A name right after `$` selects a named input document.
+      let start = i + 1;
+      if (char === '$' && isIdentifierStart(input[start] || '')) {
+        while (start < input.length && /\w/.test(input[start])) {
+          start++;
+        }
+      }
+      const document = start > i + 1 ? input.slice(i + 1, start) : null;
+      let end = start;
+      while (end < input.length) {
+        if (input[end] === '.' && input[end + 1] === '.') {
+          // Recursive descent: the member name follows directly, if any
+          end += 2;
+          while (end < input.length && (isIdentifierChar(input[end]) || input[end] === '*')) {
+            end++;
+          }
+        } else if (input[end] === '.' && (isIdentifierStart(input[end + 1] || '') || input[end + 1] === '*')) {
+          end += 2;
+          while (end < input.length && isIdentifierChar(input[end])) {
+            end++;
+          }
+          if (input[end] === '(') {
+            // Aggregate operation call such as .sum() or .join(", ")
+            end = findClosingParenthesis(input, end) + 1;
+          }
+        } else if (input[end] === '[') {
+          const close = findClosingBracket(input, end);
+          if (close === -1) {
+            throw new Error(`Unbalanced bracket in path at position ${end}`);
+          }
+          end = close + 1;
+        } else {
+          break;
+        }
+      }
+      const value = char + input.slice(start, end);
+      tokens.push(document ? { type: 'path', value, document, position: i } : { type: 'path', value, position: i });
+      i = end;
+    } else if (char === '\'' || char === '"') {
+      const { value, end } = readQuoted(input, i);
+      tokens.push({ type: 'string', value, position: i });
+      i = end;
+    } else if (char === '/' && previous && previous.value === '=~') {
+      // Regex literals are only valid as the right operand of =~
+      let end = i + 1;
+      while (end < input.length && input[end] !== '/') {
+        end += input[end] === '\\' ? 2 : 1;
+      }
+      if (end >= input.length) {
+        throw new Error(`Unterminated regular expression at position ${i}`);
+      }
+      const pattern = input.slice(i + 1, end);
+      let flagsEnd = end + 1;
+      while (flagsEnd < input.length && /[a-z]/.test(input[flagsEnd])) {
+        flagsEnd++;
+      }
+      tokens.push({ type: 'regex', value: { pattern, flags: input.slice(end + 1, flagsEnd) }, position: i });
+      i = flagsEnd;
+    } else if (isDigit(char)) {
+      // Negative numbers are parsed as unary minus
+      const match = input.slice(i).match(/^\d+(\.\d+)?([eE][+-]?\d+)?/);
+      tokens.push({ type: 'number', value: Number(match[0]), position: i });
+      i += match[0].length;
+    } else if (isIdentifierStart(char)) {
+      let end = i;
+      while (end < input.length && isIdentifierChar(input[end])) {
+        end++;
+      }
+      const word = input.slice(i, end);
+      if (_.has(KEYWORDS, word)) {
+        tokens.push({ type: 'literal', value: KEYWORDS[word], position: i });
+      } else if (word === 'in') {
+        tokens.push({ type: 'operator', value: 'in', position: i });
+      } else if (input.slice(end).trimStart()[0] === '(') {
+        tokens.push({ type: 'identifier', value: word, position: i });
+      } else {
+        throw new Error(`Unexpected identifier "${word}" at position ${i}`);
+      }
+      i = end;
+    } else {
+      const two = input.substr(i, 2);
+      if (['&&', '||', ...COMPARISON_OPERATORS].includes(two)) {
+        tokens.push({ type: 'operator', value: two, position: i });
+        i += 2;
+      } else if ('<>!()[],+-*/%'.includes(char)) {
+        tokens.push({ type: 'operator', value: char, position: i });
+        i++;
+      } else {
+        throw new Error(`Unexpected character "${char}" at position ${i}`);
+      }
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse expression source into an AST
+ * @param {string} input - Expression source, e.g. `@.price < $.expensive && @.isbn`
+ * @returns {ExpressionNode} Root node of the expression AST
+ */
+export const parseExpression = (input) => {
+  const tokens = tokenize(input);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      const found = peek() ? `"${peek().value}" at position ${peek().position}` : 'end of expression';
+      throw new Error(`Expected "${value}" but found ${found}`);
+    }
+    position++;
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (isOperator('||')) {
+      position++;
+      node = { type: 'logical', operator: '||', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseComparison();
+    while (isOperator('&&')) {
+      position++;
+      node = { type: 'logical', operator: '&&', left: node, right: parseComparison() };
+    }
+    return node;
+  };
+
+  const parseComparison = () => {
+    const left = parseAdditive();
+    const token = peek();
+    if (token && token.type === 'operator' && [...COMPARISON_OPERATORS, 'in'].includes(token.value)) {
+      position++;
+      return { type: 'comparison', operator: token.value, left, right: parseAdditive() };
+    }
+    return left;
+  };
+
+  const parseAdditive = () => {
+    let node = parseMultiplicative();
+    while (isOperator('+') || isOperator('-')) {
+      const operator = tokens[position++].value;
+      node = { type: 'arithmetic', operator, left: node, right: parseMultiplicative() };
+    }
+    return node;
+  };
+
+  const parseMultiplicative = () => {
+    let node = parseUnary();
+    while (isOperator('*') || isOperator('/') || isOperator('%')) {
+      const operator = tokens[position++].value;
+      node = { type: 'arithmetic', operator, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isOperator('!')) {
+      position++;
+      return { type: 'not', argument: parseUnary() };
+    }
+    if (isOperator('-')) {
+      position++;
+      const argument = parseUnary();
+      // Fold negative number literals so that they stay literals
+      if (argument.type === 'literal' && _.isNumber(argument.value)) {
+        return { type: 'literal', value: -argument.value };
+      }
+      return { type: 'negate', argument };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'literal':
+        position++;
+        return { type: 'literal', value: token.value };
+      case 'path':
+        position++;
+        return token.document
+          ? { type: 'path', root: '$', path: token.value, document: token.document }
+          : { type: 'path', root: token.value[0], path: token.value };
+      case 'regex':
+        position++;
+        return {
+          type: 'regex',
+          pattern: token.value.pattern,
+          flags: token.value.flags,
+          regex: new RegExp(token.value.pattern, token.value.flags)
+        };
+      case 'identifier': {
+        position++;
+        expect('(');
+        const args = [];
+        while (!isOperator(')')) {
+          args.push(parseOr());
+          if (!isOperator(')')) {
+            expect(',');
+          }
+        }
+        position++;
+        return { type: 'call', name: token.value, args };
+      }
+    }
+
+    if (isOperator('(')) {
+      position++;
+      const node = parseOr();
+      expect(')');
+      return node;
+    }
+
+    if (isOperator('[')) {
+      position++;
+      const elements = [];
+      while (!isOperator(']')) {
+        elements.push(parseOr());
+        if (!isOperator(']')) {
+          expect(',');
+        }
+      }
+      position++;
+      return { type: 'array', elements };
+    }
+
+    throw new Error(`Unexpected token "${token.value}" at position ${token.position}`);
+  };
+
+  const ast = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected token "${peek().value}" at position ${peek().position}`);
+  }
+  return ast;
+};
+
+/**
+ * Resolve a path node to its values
+ * @param {ExpressionNode} node - Path node
+ * @param {ExpressionEnv} env - Evaluation environment
+ * @returns {Array} Matched values
+ */
+const queryPath = (node, env) => {
+  if (node.document !== undefined) {
+    if (!_.has(env.documents, node.document)) {
+      throw new Error(`Unknown document "$${node.document}"`);
+    }
+    return env.query(node, env.documents[node.document]);
+  }
+  const data = node.root === '@' ? env.current : env.root;
+  return env.query(node, data);
+};
+
+/**
+ * Compare two values with JSONPath semantics: ordering only applies
+ * to number/number and string/string pairs, missing values never order
+ */
+const compareValues = (operator, left, right) => {
+  switch (operator) {
+    case '==':
+      return _.isEqual(left, right);
+    case '!=':
+      return !_.isEqual(left, right);
+    case '=~': {
+      if (!_.isString(left)) {
+        return false;
+      }
+      const regex = _.isRegExp(right) ? right : _.isString(right) ? new RegExp(right) : null;
+      return regex ? regex.test(left) : false;
+    }
+    case 'in':
+      if (_.isArray(right)) {
+        return right.some(item => _.isEqual(item, left));
+      }
+      if (_.isPlainObject(right) && _.isString(left)) {
+        return _.has(right, left);
+      }
+      return false;
+  }
+
+  const comparable = (_.isNumber(left) && _.isNumber(right)) || (_.isString(left) && _.isString(right));
+  if (!comparable) {
+    return false;
+  }
+
+  switch (operator) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+  }
+
+  return false;
+};
+
+/**
+ * Apply an arithmetic operator. `+` concatenates when either side is a
+ * string (missing values count as empty strings); every other combination
+ * requires numbers. Invalid or non-finite results are undefined.
+ */
+const computeArithmetic = (operator, left, right) => {
+  if (operator === '+' && (_.isString(left) || _.isString(right))) {
+    return `${left ?? ''}${right ?? ''}`;
+  }
+  if (!_.isNumber(left) || !_.isNumber(right)) {
+    return undefined;
+  }
+
+  const results = {
+    '+': () => left + right,
+    '-': () => left - right,
+    '*': () => left * right,
+    '/': () => left / right,
+    '%': () => left % right
+  };
+  const result = results[operator]();
+  return Number.isFinite(result) ? result : undefined;
+};
+
+/**
+ * Evaluate an expression node to a value
+ * A path yields undefined when it matches nothing, its value when it
+ * matches once and an array of values otherwise
+ * @param {ExpressionNode} node - AST node
+ * @param {ExpressionEnv} env - Evaluation environment
+ * @returns {*} Resulting value
+ */
+export const evaluateExpression = (node, env) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'regex':
+      return node.regex;
+    case 'array':
+      return node.elements.map(element => evaluateExpression(element, env));
+    case 'path': {
+      const values = queryPath(node, env);
+      if (values.length === 0) {
+        return undefined;
+      }
+      return values.length === 1 ? values[0] : values;
+    }
+    case 'not':
+    case 'logical':
+      return testExpression(node, env);
+    case 'comparison':
+      return compareValues(
+        node.operator,
+        evaluateExpression(node.left, env),
+        evaluateExpression(node.right, env)
+      );
+    case 'arithmetic':
+      return computeArithmetic(
+        node.operator,
+        evaluateExpression(node.left, env),
+        evaluateExpression(node.right, env)
+      );
+    case 'negate': {
+      const value = evaluateExpression(node.argument, env);
+      return _.isNumber(value) ? -value : undefined;
+    }
+    case 'call': {
+      const fn = _.has(env.functions, node.name) ? env.functions[node.name] : undefined;
+      if (!_.isFunction(fn)) {
+        throw new Error(`Unknown function "${node.name}"`);
+      }
+      return fn(...node.args.map(arg => evaluateExpression(arg, env)));
+    }
+  }
+
+  throw new Error(`Unknown expression node type: ${node.type}`);
+};
+
+/**
+ * Evaluate an expression node as a boolean test
+ * A bare path tests for existence rather than truthiness of its value
+ * @param {ExpressionNode} node - AST node
+ * @param {ExpressionEnv} env - Evaluation environment
+ * @returns {boolean} Test result
+ */
+export const testExpression = (node, env) => {
+  switch (node.type) {
+    case 'path':
+      return queryPath(node, env).length > 0;
+    case 'not':
+      return !testExpression(node.argument, env);
+    case 'logical':
+      return node.operator === '&&'
+        ? testExpression(node.left, env) && testExpression(node.right, env)
+        : testExpression(node.left, env) || testExpression(node.right, env);
+  }
+
+  return Boolean(evaluateExpression(node, env));
+};
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * Value transformation functions for mapping rules
+ * Rules reference functions by name so that rule files stay plain JSON
+ */
+
+import _ from 'lodash';
+
+const pad = (number, length = 2) => String(number).padStart(length, '0');
+
+/**
+ * Convert a date-like value (Date, ISO string, timestamp) to a Date
+ * @param {*} value - Date-like value
+ * @returns {Date|null} Date, or null if the value is not a valid date
+ */
+const toDate = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Built-in value functions. Each receives the value being mapped followed by
+ * the arguments given in the rule.
+ */
+export const valueFunctions = {
+  // String functions
+  upper: (value) => (_.isString(value) ? value.toUpperCase() : value),
+  lower: (value) => (_.isString(value) ? value.toLowerCase() : value),
+  trim: (value) => (_.isString(value) ? value.trim() : value),
+  capitalize: (value) => (_.isString(value) ? _.capitalize(value) : value),
+  concat: (value, ...parts) => [value, ...parts].filter(part => part !== undefined && part !== null).join(''),
+  split: (value, separator = ',') => (_.isString(value) ? value.split(separator) : value),
+  replace: (value, pattern, replacement = '') => (_.isString(value) ? value.split(pattern).join(replacement) : value),
+  substring: (value, start, end) => (_.isString(value) ? value.substring(start, end) : value),
+  padStart: (value, length, fill = ' ') => String(value).padStart(length, fill),
+
+  // Number functions
+  round: (value, digits = 0) => _.round(value, digits),
+  floor: (value, digits = 0) => _.floor(value, digits),
+  ceil: (value, digits = 0) => _.ceil(value, digits),
+  abs: (value) => Math.abs(value),
+  add: (value, amount) => value + amount,
+  subtract: (value, amount) => value - amount,
+  multiply: (value, factor) => value * factor,
+  divide: (value, divisor) => value / divisor,
+
+  // Date functions (UTC)
+  now: () => new Date().toISOString(),
+  toISOString: (value) => {
+    const date = toDate(value);
+    return date ? date.toISOString() : null;
+  },
+  toISODate: (value) => {
+    const date = toDate(value);
+    return date ? date.toISOString().slice(0, 10) : null;
+  },
+  toTimestamp: (value) => {
+    const date = toDate(value);
+    return date ? date.getTime() : null;
+  },
+  formatDate: (value, format = 'YYYY-MM-DD') => {
+    const date = toDate(value);
+    if (!date) {
+      return null;
+    }
+    const tokens = {
+      YYYY: date.getUTCFullYear(),
+      MM: pad(date.getUTCMonth() + 1),
+      DD: pad(date.getUTCDate()),
+      HH: pad(date.getUTCHours()),
+      mm: pad(date.getUTCMinutes()),
+      ss: pad(date.getUTCSeconds())
+    };
+    return format.replace(/YYYY|MM|DD|HH|mm|ss/g, (token) => tokens[token]);
+  },
+
+  // Type casts
+  toNumber: (value) => {
+    const number = _.isString(value) && value.trim() === '' ? NaN : Number(value);
+    return isNaN(number) ? null : number;
+  },
+  toInteger: (value) => {
+    const number = parseInt(value, 10);
+    return isNaN(number) ? null : number;
+  },
+  toString: (value) => {
+    if (value === null || value === undefined) {
+      return value;
+    }
+    return _.isObject(value) ? JSON.stringify(value) : String(value);
+  },
+  toBoolean: (value) => {
+    if (_.isString(value)) {
+      return !['', 'false', '0', 'no', 'off'].includes(value.trim().toLowerCase());
+    }
+    return Boolean(value);
+  }
+};
+
+/**
+ * Normalize a function reference from a rule: either a name or
+ * `{ "name": "round", "args": [2] }`
+ * @param {string|Object} spec - Function reference
+ * @returns {Object} { name, args }
+ */
+export const normalizeFunctionSpec = (spec) => {
+  if (_.isString(spec)) {
+    return { name: spec, args: [] };
+  }
+  if (_.isPlainObject(spec) && _.isString(spec.name)) {
+    return { name: spec.name, args: spec.args || [] };
+  }
+  throw new Error(`Invalid function reference: ${JSON.stringify(spec)}`);
+};
+
+/**
+ * Collect the function references of a rule in application order:
+ * `transform` first, then each entry of `pipe`
+ * @param {Object} rule - Mapping rule
+ * @returns {Object[]} Normalized function specs
+ */
+export const getRuleFunctions = (rule) => {
+  const specs = [];
+  if (rule.transform !== undefined) {
+    specs.push(rule.transform);
+  }
+  if (rule.pipe !== undefined) {
+    specs.push(..._.castArray(rule.pipe));
+  }
+  return specs.map(normalizeFunctionSpec);
+};
+
+/**
+ * Apply a list of function specs to a value
+ * @param {*} value - Value to transform
+ * @param {Object[]} specs - Normalized function specs
+ * @param {Object} functions - Function registry
+ * @param {Function} resolveArg - Resolves `{ "path": ... }` arguments to values
+ * @returns {*} Transformed value
+ */
+export const applyFunctions = (value, specs, functions, resolveArg) => {
+  return specs.reduce((result, { name, args }) => {
+    const fn = _.has(functions, name) ? functions[name] : undefined;
+    if (!_.isFunction(fn)) {
+      throw new Error(`Unknown function "${name}"`);
+    }
+    return fn(result, ...args.map(resolveArg));
+  }, value);
+};
\ No newline at end of file
@@ -6,29 +6,69 @@
 import { 
   transform, 
   createTransformer, 
+  compile,
   composeTransformations,
   extractValues,
   validateRules,
   debugTransform,
+  createPatch,
+  traceLineage,
   aggregateOps 
 } from './transformer.js';
 
 import { 
   TreeAutomaton, 
-  createAutomaton 
+  createAutomaton,
+  formatPath
 } from './automaton.js';
 
+import { parseExpression } from './expression.js';
+
+import { valueFunctions } from './functions.js';
+
+import { invert, reverseTransform, checkInvertible } from './inverse.js';
+
+import { applyPatch, toPointer } from './patch.js';
+
+import { lintRules } from './validation.js';
+
+import { parsePath, JsonPathSyntaxError } from './parser.js';
+
+import { streamMatches, streamTransform, transformNdjson } from './stream.js';
+
+import { validateSchema, inferSchema, SchemaValidationError } from './schema.js';
+
 // Re-export everything
 export { 
   transform, 
   createTransformer, 
+  compile,
   composeTransformations,
   extractValues,
   validateRules,
   debugTransform,
   aggregateOps,
   TreeAutomaton, 
-  createAutomaton
+  createAutomaton,
+  formatPath,
+  parseExpression,
+  valueFunctions,
+  invert,
+  reverseTransform,
+  checkInvertible,
+  createPatch,
+  traceLineage,
+  applyPatch,
+  toPointer,
+  lintRules,
+  parsePath,
+  JsonPathSyntaxError,
+  streamMatches,
+  streamTransform,
+  transformNdjson,
+  validateSchema,
+  inferSchema,
+  SchemaValidationError
 };
 
 // Functional utilities for common operations
@@ -41,6 +81,7 @@ export const curry = (fn) => (...args) => args.length >= fn.length
 export default {
   transform,
   createTransformer,
+  compile,
   composeTransformations,
   extractValues,
   validateRules,
@@ -48,6 +89,25 @@ export default {
   aggregateOps,
   TreeAutomaton,
   createAutomaton,
+  formatPath,
+  parseExpression,
+  valueFunctions,
+  invert,
+  reverseTransform,
+  checkInvertible,
+  createPatch,
+  traceLineage,
+  applyPatch,
+  toPointer,
+  lintRules,
+  parsePath,
+  JsonPathSyntaxError,
+  streamMatches,
+  streamTransform,
+  transformNdjson,
+  validateSchema,
+  inferSchema,
+  SchemaValidationError,
   pipe,
   curry
 };
\ No newline at end of file
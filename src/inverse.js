@@ -0,0 +1,266 @@
+/**
+ * Inverse transformations
+ * Derives the reverse mapping of a rule set made of pure copy rules, so that
+ * data can be sent back in the shape it came from
+ */
+
+import _ from 'lodash';
+import { createAutomaton } from './automaton.js';
+import { parsePathWithOperation, transform } from './transformer.js';
+import { getRuleFunctions } from './functions.js';
+import { splitDocumentPath } from './parser.js';
+
+/**
+ * Value functions with a known inverse (same arguments)
+ */
+const INVERSE_FUNCTIONS = {
+  multiply: 'divide',
+  divide: 'multiply',
+  add: 'subtract',
+  subtract: 'add'
+};
+
+/**
+ * Check that a value function call can be undone by its inverse: the
+ * argument must be a finite number, and a non-zero one for scaling, as
+ * `multiply` by 0 loses the value and `add` of a string concatenates
+ * @param {Object} call - { name, args }
+ * @returns {boolean} True if the call is invertible
+ */
+const isInvertibleCall = ({ name, args }) => {
+  if (!_.has(INVERSE_FUNCTIONS, name) || args.length !== 1 || !_.isFinite(args[0])) {
+    return false;
+  }
+  return !(['multiply', 'divide'].includes(name) && args[0] === 0);
+};
+
+/**
+ * Selectors that keep a one-to-one correspondence between source and target
+ */
+const INVERTIBLE_SEGMENTS = ['property', 'index', 'wildcard'];
+
+/**
+ * Merge strategies combining a written value with what the target held,
+ * which cannot be split apart again
+ */
+const COMBINING_MERGES = ['deepMerge', 'append', 'concatUnique'];
+
+/**
+ * Explain why a path cannot be used on both sides of an inverse mapping
+ * @param {string} jsonPath - Path (may start with `@`)
+ * @param {Object} options - Parse options ({ lenient })
+ * @returns {string|null} Reason, or null if the path is invertible
+ */
+const checkPath = (jsonPath, options) => {
+  const { operation } = parsePathWithOperation(jsonPath);
+  if (operation) {
+    return `aggregate operation ${operation}() is not invertible`;
+  }
+  if (!options.lenient && splitDocumentPath(jsonPath).document !== null) {
+    return `named document in "${jsonPath}" is not invertible`;
+  }
+
+  const { rule } = createAutomaton(jsonPath, { lenient: options.lenient });
+  const lossy = rule.find(segment => !INVERTIBLE_SEGMENTS.includes(segment.type)
+    || (segment.type === 'index' && segment.value < 0));
+  if (lossy) {
+    return `${lossy.type} selector in "${jsonPath}" is not invertible`;
+  }
+  return null;
+};
+
+/**
+ * Count the wildcards of a path
+ * @param {string} jsonPath - Path (may start with `@`)
+ * @param {Object} options - Parse options ({ lenient })
+ * @returns {number} Wildcard count
+ */
+const countWildcards = (jsonPath, options) => {
+  const { path } = parsePathWithOperation(jsonPath);
+  const { rule } = createAutomaton(path, { lenient: options.lenient });
+  return rule.filter(segment => segment.type === 'wildcard').length;
+};
+
+/**
+ * Explain why a single rule is not invertible
+ * @param {Object} rule - Mapping rule
+ * @param {Object} options - Parse options ({ lenient })
+ * @param {string} [merge] - Merge strategy of the rule set
+ * @returns {string|null} Reason, or null if the rule is invertible
+ */
+const checkRule = (rule, options, merge) => {
+  if (rule.op !== undefined) {
+    return `${rule.op} operations are not invertible`;
+  }
+  const strategy = _.defaultTo(rule.merge, merge);
+  if (COMBINING_MERGES.includes(strategy)) {
+    return `${strategy} merges are not invertible`;
+  }
+  if (_.has(rule, 'value') || rule.expression !== undefined) {
+    return 'constant and computed values are not invertible';
+  }
+  if (rule.when !== undefined) {
+    return 'conditional rules are not invertible';
+  }
+  if (_.has(rule, 'default')) {
+    return 'defaults are not invertible';
+  }
+  if (rule.flatten) {
+    return 'flattened wildcards are not invertible';
+  }
+  if (rule.lookup !== undefined) {
+    return 'lookups are not invertible';
+  }
+
+  const source = rule.foreach || rule.source;
+  const reason = checkPath(source, options) || checkPath(rule.target, options);
+  if (reason) {
+    return reason;
+  }
+
+  const sourceWildcards = countWildcards(source, options);
+  const targetWildcards = countWildcards(rule.target, options);
+  if (sourceWildcards !== targetWildcards) {
+    return `source has ${sourceWildcards} [*] wildcards but target has ${targetWildcards}`;
+  }
+
+  // Arguments read from the source document are not available on the way back
+  const lossyFunction = getRuleFunctions(rule).find(call => !isInvertibleCall(call));
+  if (lossyFunction) {
+    return `function "${lossyFunction.name}" is not invertible`;
+  }
+  return null;
+};
+
+/**
+ * Report the rules of a rule set that cannot be inverted
+ * @param {Object} rules - Rules object with pathMappings
+ * @param {Object} options - Parse options ({ lenient })
+ * @returns {Array<{rulePath: number[], reason: string}>} One entry per
+ *   non-invertible rule; rulePath holds the index at each foreach level
+ */
+export const checkInvertible = (rules, options = {}) => {
+  const issues = [];
+
+  const visit = (mappings, parentPath) => {
+    mappings.forEach((rule, index) => {
+      const rulePath = [...parentPath, index];
+      const reason = checkRule(rule, options, rules.merge);
+      if (reason) {
+        issues.push({ rulePath, reason });
+      } else if (rule.foreach) {
+        visit(rule.mappings, rulePath);
+      }
+    });
+  };
+
+  visit(rules.pathMappings, []);
+  return issues;
+};
+
+/**
+ * Invert a single (invertible) rule
+ * @param {Object} rule - Mapping rule
+ * @param {Function} include - (rule, rulePath) => boolean, for sub-rules
+ * @param {number[]} rulePath - Location of the rule
+ * @returns {Object} Inverse rule
+ */
+const invertRule = (rule, include, rulePath) => {
+  const inverse = _.omit(rule, ['source', 'target', 'foreach', 'mappings', 'transform', 'pipe']);
+
+  if (rule.foreach) {
+    return {
+      ...inverse,
+      foreach: rule.target,
+      target: rule.foreach,
+      mappings: rule.mappings
+        .map((subRule, index) => ({ subRule, subPath: [...rulePath, index] }))
+        .filter(({ subRule, subPath }) => include(subRule, subPath))
+        .map(({ subRule, subPath }) => invertRule(subRule, include, subPath))
+    };
+  }
+
+  const functions = getRuleFunctions(rule)
+    .reverse()
+    .map(({ name, args }) => ({ name: INVERSE_FUNCTIONS[name], args }));
+
+  return {
+    ...inverse,
+    source: rule.target,
+    target: rule.source,
+    ...(functions.length > 0 ? { pipe: functions } : {})
+  };
+};
+
+/**
+ * Derive the inverse of a rule set: sources and targets swap, with `[*]`
+ * wildcards corresponding positionally and invertible functions
+ * (multiply/divide, add/subtract) replaced by their inverse
+ * @param {Object} rules - Rules object with pathMappings
+ * @param {Object} options - { strict = true }: throw when a rule is not
+ *   invertible; with strict false such rules are left out. `lenient` is
+ *   passed to the path parser.
+ * @returns {Object} Inverse rules object, without the forward `outputSchema`
+ *   (it describes the forward output, not the data the inverse produces)
+ */
+export const invert = (rules, options = {}) => {
+  const { strict = true } = options;
+
+  if (!_.isArray(rules.pathMappings)) {
+    throw new Error('pathMappings must be an array');
+  }
+
+  const issues = checkInvertible(rules, options);
+  if (strict && issues.length > 0) {
+    const details = issues.map(({ rulePath, reason }) => `rule ${rulePath.join('.')}: ${reason}`).join('; ');
+    throw new Error(`Rules are not invertible (${details})`);
+  }
+
+  const skipped = new Set(issues.map(({ rulePath }) => rulePath.join('.')));
+  const include = (rule, rulePath) => !skipped.has(rulePath.join('.'));
+
+  return {
+    ..._.omit(rules, 'outputSchema'),
+    pathMappings: rules.pathMappings
+      .map((rule, index) => ({ rule, rulePath: [index] }))
+      .filter(({ rule, rulePath }) => include(rule, rulePath))
+      .map(({ rule, rulePath }) => invertRule(rule, include, rulePath))
+  };
+};
+
+/**
+ * Merge reversed data into an original document: objects key by key and
+ * arrays element by element, keeping only as many elements as the reversed
+ * array has
+ * @param {*} original - Value of the original document
+ * @param {*} reversed - Value the inverse rules wrote
+ * @returns {*} Merged value
+ */
+const mergeReversed = (original, reversed) => {
+  if (_.isArray(original) && _.isArray(reversed)) {
+    return reversed.map((item, index) => mergeReversed(original[index], item));
+  }
+  if (_.isPlainObject(original) && _.isPlainObject(reversed)) {
+    return { ...original, ..._.mapValues(reversed, (value, key) => mergeReversed(original[key], value)) };
+  }
+  return reversed;
+};
+
+/**
+ * Transform data with the inverse of a rule set
+ * @param {*} data - Data in the target shape of `rules`
+ * @param {Object} rules - Rules object with pathMappings
+ * @param {Object} options - Options for `invert` and `transform`, plus
+ *   `original`: a document in the source shape the result is merged into.
+ *   Arrays the inverse rules write replace those of `original`, keeping the
+ *   fields of their elements the rules do not write.
+ * @returns {Object} Data in the source shape of `rules`
+ */
+export const reverseTransform = (data, rules, options = {}) => {
+  const result = transform(data, invert(rules, options), options);
+
+  if (options.original === undefined) {
+    return result;
+  }
+  return mergeReversed(_.cloneDeep(options.original), result);
+};
\ No newline at end of file
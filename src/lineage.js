@@ -0,0 +1,249 @@
+/**
+ * Output lineage
+ * Records which rule wrote each node of a transformation's output and the
+ * source paths it was read from, following the nodes as later rules remove,
+ * move and rename them
+ */
+
+import _ from 'lodash';
+
+/**
+ * Origin of an output node
+ * @typedef {Object} Origin
+ * @property {number[]|null} rulePath - Rule that wrote the node (its index
+ *   at each foreach level), null for nodes of the document updated in place
+ * @property {Array<Array<string|number>>} sources - Concrete source paths
+ *   the value was read from
+ * @property {boolean} copied - Whether the value is the source value itself,
+ *   so that its descendants come from the same place below the source
+ * @property {boolean} [element] - Whether the node is the output element of
+ *   a foreach block, which holds only what the block's rules write into it
+ */
+
+/**
+ * Node of the lineage tree, mirroring a node of the output
+ * @typedef {Object} LineageNode
+ * @property {Origin|null} origin - Origin of the write that created the node
+ * @property {Map} children - Child nodes by key
+ */
+
+const createNode = (origin = null, children = new Map()) => ({ origin, children });
+
+/**
+ * Check whether a concrete path starts with another
+ * @param {Array<string|number>} prefix - Possible prefix
+ * @param {Array<string|number>} path - Path
+ * @returns {boolean} True if path is prefix or below it
+ */
+const isPrefix = (prefix, path) => prefix.length <= path.length && prefix.every((key, index) => key === path[index]);
+
+/**
+ * Derive the origin of a node below a written node
+ * @param {Origin} origin - Origin of the written node
+ * @param {Array<string|number>} rest - Path from the written node
+ * @returns {Origin} Origin of the node
+ */
+export const deriveOrigin = (origin, rest) => {
+  if (rest.length === 0 || !origin.copied) {
+    return origin;
+  }
+  if (origin.sources.length === 1) {
+    return { ...origin, sources: [[...origin.sources[0], ...rest]] };
+  }
+
+  // Several matches were written as an array, one element each
+  const [index, ...tail] = rest;
+  return _.has(origin.sources, index)
+    ? { ...origin, sources: [[...origin.sources[index], ...tail]] }
+    : { ...origin, sources: [], copied: false };
+};
+
+/**
+ * Find the lineage of a path below a node: the origin it was written with,
+ * or the one it inherits from its nearest written ancestor
+ * @param {LineageNode} start - Node the path starts at
+ * @param {Array<string|number>} path - Path from the node
+ * @returns {LineageNode} Node for the path (a new one if it has none)
+ */
+const lookup = (start, path) => {
+  let node = start;
+  let written = { origin: start.origin, depth: 0 };
+  for (let depth = 0; node && depth < path.length; depth++) {
+    node = node.children.get(path[depth]);
+    if (node && node.origin) {
+      written = { origin: node.origin, depth: depth + 1 };
+    }
+  }
+
+  const origin = written.origin && deriveOrigin(written.origin, path.slice(written.depth));
+  return createNode(origin, node ? node.children : new Map());
+};
+
+/**
+ * Create a recorder keeping track of the origin of each output node. It has
+ * the interface of the patch recorder, with the origin passed to each write.
+ * A write whose origin lists `moved` output paths (removed just before)
+ * carries their lineage over instead of replacing it.
+ * @returns {Object} Recorder with `write(document, path, value, origin)`,
+ *   `remove(document, path)`, `move(from, to)` and the queries `entries()`,
+ *   `originsOf(path)` and `outputsOf(sourcePath)`
+ */
+export const createLineageRecorder = () => {
+  const root = createNode();
+  // Nodes removed since the last write, as [path, node] pairs
+  let detached = [];
+
+  const find = (path) => path.reduce((node, key) => (node ? node.children.get(key) : undefined), root);
+  const ensure = (path) => path.reduce((node, key) => {
+    if (!node.children.has(key)) {
+      node.children.set(key, createNode());
+    }
+    return node.children.get(key);
+  }, root);
+
+  const detach = (path) => {
+    const node = lookup(root, path);
+    const parent = find(path.slice(0, -1));
+    if (parent) {
+      parent.children.delete(_.last(path));
+    }
+    return node;
+  };
+
+  const attach = (path, node) => {
+    ensure(path.slice(0, -1)).children.set(_.last(path), node);
+  };
+
+  // A written value replaces whatever was below its path
+  const write = (document, path, value, origin) => {
+    if (origin.moved) {
+      const fallback = { rulePath: origin.rulePath, sources: [], copied: false };
+      const take = (from) => {
+        const entry = _.findLast(detached, ([removed]) => isPrefix(removed, from));
+        const node = entry ? lookup(entry[1], from.slice(entry[0].length)) : createNode();
+        return node.origin ? node : createNode(fallback, node.children);
+      };
+
+      attach(path, origin.moved.length === 1
+        ? take(origin.moved[0])
+        : createNode(fallback, new Map(origin.moved.map((from, index) => [index, take(from)]))));
+      return;
+    }
+
+    detached = [];
+    const node = ensure(path);
+    node.origin = origin;
+    node.children.clear();
+  };
+
+  // Removing an array element shifts the elements after it, so those only
+  // inheriting their origin get a node of their own first
+  const remove = (document, path) => {
+    const parentPath = path.slice(0, -1);
+    const index = _.last(path);
+    const container = parentPath.length > 0 ? _.get(document, parentPath) : document;
+    const isArray = _.isArray(container);
+
+    if (isArray && lookup(root, parentPath).origin) {
+      for (let position = index + 1; position < container.length; position++) {
+        const elementPath = [...parentPath, position];
+        attach(elementPath, lookup(root, elementPath));
+      }
+    }
+    detached.push([path, detach(path)]);
+
+    const parent = find(parentPath);
+    if (isArray && parent) {
+      parent.children = new Map([...parent.children].map(([key, child]) => [_.isNumber(key) && key > index ? key - 1 : key, child]));
+    }
+  };
+
+  const move = (from, to) => {
+    attach(to, detach(from));
+  };
+
+  /**
+   * List the written nodes of the output
+   * @returns {Object[]} { path, rulePath, sources, copied } per node
+   */
+  const entries = () => {
+    const result = [];
+    const visit = (node, path) => {
+      if (node.origin) {
+        result.push({ path, ...node.origin });
+      }
+      node.children.forEach((child, key) => visit(child, [...path, key]));
+    };
+    visit(root, []);
+    return result;
+  };
+
+  /**
+   * Find the origins of a node: those of the writes to it or anything below
+   * it, or else the one it inherits from its nearest written ancestor
+   * @param {Array<string|number>} path - Concrete output path
+   * @returns {Origin[]} Distinct origins
+   */
+  const originsOf = (path) => {
+    const origins = [];
+    const collect = (node) => {
+      if (node.origin) {
+        origins.push(node.origin);
+      }
+      node.children.forEach(collect);
+    };
+
+    const node = find(path);
+    if (node) {
+      collect(node);
+    }
+    if (origins.length === 0) {
+      const { origin } = lookup(root, path);
+      if (origin) {
+        origins.push(origin);
+      }
+    }
+    return _.uniqWith(origins, _.isEqual);
+  };
+
+  /**
+   * Find the output nodes a source node feeds: nodes computed from it (or
+   * from values inside it) and, below copied values, its own copy
+   * @param {Array<string|number>} sourcePath - Concrete source path
+   * @returns {Array<Array<string|number>>} Concrete output paths, possibly
+   *   including paths of copies that were removed afterwards
+   */
+  const outputsOf = (sourcePath) => {
+    const outputs = [];
+    // A copy below a node is only there if no later write replaced it
+    const overwritten = (node, rest) => rest.some((key) => {
+      node = node && node.children.get(key);
+      return Boolean(node && node.origin);
+    });
+
+    const visit = (node, path) => {
+      const { origin } = node;
+      (origin ? origin.sources : []).forEach((source, index) => {
+        // Copies of several matches are arrays with one element each
+        const element = origin.copied && origin.sources.length > 1 ? [index] : [];
+        if (origin.copied && isPrefix(source, sourcePath)) {
+          const rest = [...element, ...sourcePath.slice(source.length)];
+          if (!overwritten(node, rest)) {
+            outputs.push([...path, ...rest]);
+          }
+        } else if (isPrefix(sourcePath, source)) {
+          outputs.push([...path, ...element]);
+        } else if (isPrefix(source, sourcePath) && !origin.element) {
+          // Computed from the whole source node, and so from anything in it
+          outputs.push(path);
+        }
+      });
+      node.children.forEach((child, key) => visit(child, [...path, key]));
+    };
+
+    visit(root, []);
+    return _.uniqWith(outputs, _.isEqual);
+  };
+
+  return { write, remove, move, entries, originsOf, outputsOf };
+};
\ No newline at end of file
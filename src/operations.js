@@ -0,0 +1,134 @@
+/**
+ * Aggregate operations for JSONPath expressions
+ * Operations are appended to a source path as a chain of calls, e.g.
+ * `$.store.book[*].sort(price).first()`, and applied to the matched values
+ */
+
+import _ from 'lodash';
+import { readQuoted } from './expression.js';
+
+/**
+ * Pick the value of `key` from an item, or the item itself when no key is given
+ * @param {string} [key] - Property path
+ * @returns {Function} Iteratee
+ */
+const by = (key) => (key === undefined ? _.identity : (item) => _.get(item, key));
+
+/**
+ * Built-in aggregate operations. Each receives the matched values (or the
+ * result of the previous operation in the chain) followed by its arguments.
+ */
+export const aggregateOps = {
+  max: (values, key) => (key === undefined ? _.max(values) : _.maxBy(values, by(key))),
+  min: (values, key) => (key === undefined ? _.min(values) : _.minBy(values, by(key))),
+  sum: (values, key) => _.sumBy(values, by(key)),
+  avg: (values, key) => _.meanBy(values, by(key)),
+  count: (values) => values.length,
+  first: (values) => _.first(values),
+  last: (values) => _.last(values),
+  unique: (values, key) => (key === undefined ? _.uniq(values) : _.uniqBy(values, by(key))),
+  sort: (values, key, order = 'asc') => _.orderBy(values, [by(key)], [order]),
+  reverse: (values) => _.reverse([...values]),
+  take: (values, count = 1) => _.take(values, count),
+  skip: (values, count = 1) => _.drop(values, count),
+  join: (values, separator = ',') => values.join(separator),
+  groupBy: (values, key) => _.groupBy(values, by(key)),
+  countBy: (values, key) => _.countBy(values, by(key)),
+  median: (values) => aggregateOps.percentile(values, 50),
+  percentile: (values, percent) => {
+    const sorted = _.sortBy(values.filter(_.isNumber));
+    if (sorted.length === 0) {
+      return undefined;
+    }
+    // Linear interpolation between the closest ranks
+    const rank = (_.clamp(percent, 0, 100) / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  }
+};
+
+/**
+ * Parse one operation argument: JSON literals and quoted strings are taken
+ * as values, anything else (e.g. `price`) as a bare property name
+ * @param {string} text - Argument text
+ * @returns {*} Argument value
+ */
+const parseArgument = (text) => {
+  const trimmed = text.trim();
+  if (trimmed[0] === '\'') {
+    return readQuoted(trimmed, 0).value;
+  }
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    return trimmed;
+  }
+};
+
+/**
+ * Split an argument list on commas outside quotes
+ * @param {string} text - Text between the parentheses
+ * @returns {Array} Parsed arguments
+ */
+const parseArguments = (text) => {
+  if (text.trim() === '') {
+    return [];
+  }
+
+  const args = [];
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\'' || char === '"') {
+      i++;
+      while (i < text.length && text[i] !== char) {
+        i += text[i] === '\\' ? 2 : 1;
+      }
+    } else if (char === ',') {
+      args.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  args.push(text.slice(start));
+  return args.map(parseArgument);
+};
+
+/**
+ * Split the trailing chain of operation calls off a JSONPath
+ * @param {string} jsonPath - JSONPath, e.g. `$.a[*].sort(price).take(3)`
+ * @returns {Object} { path, operations: [{ name, args, offset }] } where
+ *   offset is the position of the call's `.` within jsonPath
+ */
+export const parseOperationChain = (jsonPath) => {
+  const operations = [];
+  let path = jsonPath;
+  let match;
+
+  // Arguments may not contain parentheses, so filters like [?(...)] never match
+  while ((match = path.match(/\.(\w+)\(([^()]*)\)$/))) {
+    operations.unshift({ name: match[1], args: parseArguments(match[2]), offset: match.index });
+    path = path.slice(0, match.index);
+  }
+
+  return { path, operations };
+};
+
+/**
+ * Apply a chain of operations to matched values
+ * @param {Array} values - Matched values
+ * @param {Object[]} operations - Operations from parseOperationChain
+ * @param {Object} registry - Operation registry
+ * @returns {*} Result of the last operation
+ */
+export const applyOperations = (values, operations, registry = aggregateOps) => {
+  return operations.reduce((result, { name, args }) => {
+    const operation = _.has(registry, name) ? registry[name] : undefined;
+    if (!_.isFunction(operation)) {
+      throw new Error(`Unknown operation "${name}()"`);
+    }
+    return operation(result, ...args);
+  }, values);
+};
\ No newline at end of file
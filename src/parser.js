@@ -0,0 +1,361 @@
+/**
+ * JSONPath parser
+ * Turns a path into the segment list the tree automaton runs on. Parsing is
+ * strict: malformed paths throw a JsonPathSyntaxError pointing at the
+ * offending character. A lenient mode keeps the forgiving behavior of
+ * earlier versions for existing rule files.
+ */
+
+import _ from 'lodash';
+import { findClosingBracket, parseExpression, readQuoted } from './expression.js';
+
+/**
+ * Characters allowed in dot-notation property names
+ */
+const NAME_CHAR = /[A-Za-z0-9_$\-\u0080-\uffff]/;
+
+const SELECTOR = '"*", an index, a slice, a quoted name or a filter';
+
+/**
+ * Error thrown for malformed JSONPath expressions
+ */
+export class JsonPathSyntaxError extends Error {
+  /**
+   * @param {Object} details - Error details
+   * @param {string} details.path - Path being parsed
+   * @param {number} details.position - Offset of the offending character
+   * @param {string|null} [details.expected] - Description of what was expected
+   * @param {string} [details.reason] - Description of the problem, derived
+   *   from `expected` when omitted
+   */
+  constructor({ path, position, expected = null, reason }) {
+    const found = position >= path.length ? 'end of path' : `"${path[position]}"`;
+    const description = reason || `Expected ${expected} but found ${found}`;
+
+    super(`${description} at position ${position} in path "${path}"`);
+    this.name = 'JsonPathSyntaxError';
+    this.path = path;
+    this.position = position;
+    this.expected = expected;
+    this.reason = description;
+  }
+}
+
+/**
+ * Parsed JSONPath
+ * @typedef {Object} PathAst
+ * @property {string} type - Always `'path'`
+ * @property {string} root - `'$'` or `'@'`
+ * @property {Object[]} segments - Segments, as used by TreeAutomaton
+ * @property {Array<number|null>} positions - Offset of each segment in the
+ *   path (null for segments recovered in lenient mode)
+ */
+
+/**
+ * Parse a JSONPath strictly
+ * @param {string} path - JSONPath expression
+ * @returns {PathAst} Parsed path
+ */
+const parseStrict = (path) => {
+  let position = 0;
+  const segments = [];
+  const positions = [];
+
+  const fail = (expected, at = position) => {
+    throw new JsonPathSyntaxError({ path, position: at, expected });
+  };
+  const push = (segment, at) => {
+    segments.push(segment);
+    positions.push(at);
+  };
+  const skipSpaces = () => {
+    while (path[position] === ' ') {
+      position++;
+    }
+  };
+
+  const parseName = () => {
+    if (path[position] === '*') {
+      push({ type: 'wildcard' }, position++);
+      return;
+    }
+    const start = position;
+    while (position < path.length && NAME_CHAR.test(path[position])) {
+      position++;
+    }
+    if (position === start) {
+      fail('a property name or "*"');
+    }
+    push({ type: 'property', value: path.slice(start, position) }, start);
+  };
+
+  const parseSelector = () => {
+    if (path[position] === '\'' || path[position] === '"') {
+      const start = position;
+      try {
+        const { value, end } = readQuoted(path, position);
+        position = end;
+        return { type: 'property', value };
+      } catch (error) {
+        throw new JsonPathSyntaxError({ path, position: start, reason: 'Unterminated string' });
+      }
+    }
+
+    const match = path.slice(position).match(/^(-?\d+)?\s*(:\s*(-?\d+)?\s*(:\s*(-?\d+)?)?)?/);
+    if (match[0].trim() === '') {
+      fail(SELECTOR);
+    }
+    position += match[0].trimEnd().length;
+
+    const [, start, colon, end, , step] = match;
+    if (colon === undefined) {
+      return { type: 'index', value: parseInt(start) };
+    }
+    return {
+      type: 'slice',
+      start: start === undefined ? null : parseInt(start),
+      end: end === undefined ? null : parseInt(end),
+      step: step === undefined ? 1 : parseInt(step)
+    };
+  };
+
+  const parseFilter = (open) => {
+    const close = findClosingBracket(path, open);
+    if (close === -1) {
+      fail('"]"', path.length);
+    }
+    const raw = path.slice(position + 1, close);
+    const source = raw.trim();
+    const sourceStart = position + 1 + raw.indexOf(source);
+
+    try {
+      const expression = parseExpression(source);
+      position = close + 1;
+      return { type: 'filter', source, expression };
+    } catch (error) {
+      const match = error.message.match(/^(.*) at position (\d+)$/);
+      throw new JsonPathSyntaxError({
+        path,
+        position: match ? sourceStart + Number(match[2]) : sourceStart,
+        reason: `Invalid filter expression: ${match ? match[1] : error.message}`
+      });
+    }
+  };
+
+  const parseBracket = () => {
+    const open = position++;
+    skipSpaces();
+
+    if (path[position] === '?') {
+      return parseFilter(open);
+    }
+    if (path[position] === '*') {
+      position++;
+      skipSpaces();
+      if (path[position] !== ']') {
+        fail('"]"');
+      }
+      position++;
+      return { type: 'wildcard' };
+    }
+
+    const selectors = [parseSelector()];
+    skipSpaces();
+    while (path[position] === ',') {
+      position++;
+      skipSpaces();
+      selectors.push(parseSelector());
+      skipSpaces();
+    }
+    if (path[position] !== ']') {
+      fail(selectors.length === 1 && selectors[0].type === 'index' ? '"]", "," or ":"' : '"]" or ","');
+    }
+    position++;
+
+    return selectors.length > 1 ? { type: 'union', selectors } : selectors[0];
+  };
+
+  if (path[0] !== '$' && path[0] !== '@') {
+    fail('"$" or "@"');
+  }
+  position = 1;
+
+  while (position < path.length) {
+    const start = position;
+
+    if (path[position] === '.' && path[position + 1] === '.') {
+      push({ type: 'descendant' }, start);
+      position += 2;
+      if (path[position] !== '[') {
+        parseName();
+      }
+    } else if (path[position] === '.') {
+      position++;
+      parseName();
+    } else if (path[position] === '[') {
+      push(parseBracket(), start);
+    } else {
+      fail('"." or "["');
+    }
+  }
+
+  return { type: 'path', root: path[0], segments, positions };
+};
+
+/**
+ * Split bracket contents on top-level commas, ignoring commas inside quotes
+ * @param {string} content - Text between `[` and `]`
+ * @returns {string[]} Individual selectors
+ */
+const splitSelectors = (content) => {
+  const selectors = [];
+  let start = 0;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (char === '\'' || char === '"') {
+      i++;
+      while (i < content.length && content[i] !== char) {
+        i += content[i] === '\\' ? 2 : 1;
+      }
+    } else if (char === ',') {
+      selectors.push(content.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  selectors.push(content.slice(start));
+  return selectors;
+};
+
+/**
+ * Parse a single selector inside brackets the lenient way
+ * @param {string} selector - Selector text, e.g. `'name'`, `-1` or `1:5:2`
+ * @returns {Object|null} Path segment, or null if the selector is not recognized
+ */
+const parseLenientSelector = (selector) => {
+  if (selector[0] === '\'' || selector[0] === '"') {
+    return { type: 'property', value: readQuoted(selector, 0).value };
+  }
+  const slice = selector.match(/^(-?\d+)?\s*:\s*(-?\d+)?\s*(?::\s*(-?\d+)?)?$/);
+  if (slice) {
+    const [, start, end, step] = slice;
+    return {
+      type: 'slice',
+      start: start === undefined ? null : parseInt(start),
+      end: end === undefined ? null : parseInt(end),
+      step: step === undefined ? 1 : parseInt(step)
+    };
+  }
+  if (selector !== '' && !isNaN(selector)) {
+    return { type: 'index', value: parseInt(selector) };
+  }
+  return null;
+};
+
+/**
+ * Parse the contents of a bracket selector the lenient way
+ * @param {string} content - Text between `[` and `]`
+ * @returns {Object|null} Path segment, or null if the selector is not recognized
+ */
+const parseLenientBracket = (content) => {
+  if (content === '*') {
+    return { type: 'wildcard' };
+  }
+  if (content.startsWith('?')) {
+    const source = content.slice(1).trim();
+    return { type: 'filter', source, expression: parseExpression(source) };
+  }
+
+  const selectors = splitSelectors(content).map(selector => parseLenientSelector(selector.trim()));
+  if (selectors.length > 1) {
+    return selectors.includes(null) ? null : { type: 'union', selectors };
+  }
+  return selectors[0];
+};
+
+/**
+ * Parse a JSONPath the way earlier versions did: unrecognized selectors are
+ * dropped, unclosed brackets run to the end of the path, empty segments are
+ * skipped and any other character becomes part of a property name
+ * @param {string} path - JSONPath expression
+ * @returns {PathAst} Parsed path
+ */
+const parseLenient = (path) => {
+  const cleanPath = path.replace(/^\$/, '');
+  const segments = [];
+  let current = '';
+  let i = 0;
+
+  const flush = () => {
+    if (current) {
+      segments.push({ type: 'property', value: current });
+      current = '';
+    }
+  };
+
+  while (i < cleanPath.length) {
+    const char = cleanPath[i];
+
+    if (char === '[') {
+      flush();
+      const close = findClosingBracket(cleanPath, i);
+      const end = close === -1 ? cleanPath.length : close;
+      const segment = parseLenientBracket(cleanPath.slice(i + 1, end).trim());
+      if (segment) {
+        segments.push(segment);
+      }
+      i = end + 1;
+    } else if (char === '.') {
+      flush();
+      if (cleanPath[i + 1] === '.') {
+        segments.push({ type: 'descendant' });
+        i += 2;
+      } else {
+        i++;
+      }
+    } else {
+      current += char;
+      i++;
+    }
+  }
+  flush();
+
+  return { type: 'path', root: '$', segments, positions: segments.map(() => null) };
+};
+
+/**
+ * Parse a JSONPath expression
+ * @param {string} path - JSONPath expression, starting with `$` or `@`
+ * @param {Object} options - { lenient = false }: recover from syntax errors
+ *   the way earlier versions did instead of throwing
+ * @returns {PathAst} Parsed path
+ * @throws {JsonPathSyntaxError} If the path is malformed (strict mode)
+ */
+export const parsePath = (path, options = {}) => {
+  if (!_.isString(path)) {
+    throw new Error(`JSONPath must be a string, got ${typeof path}`);
+  }
+
+  try {
+    return parseStrict(path);
+  } catch (error) {
+    if (options.lenient && error instanceof JsonPathSyntaxError) {
+      return parseLenient(path);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Split the name of a named input document off a source path:
+ * `$customers[*].name` reads the document passed as `customers` instead of
+ * the source document
+ * @param {string} path - JSONPath expression
+ * @returns {Object} { document, path } where document is the name (null for
+ *   other paths) and path is rewritten to start at `$`
+ */
+export const splitDocumentPath = (path) => {
+  const match = /^\$([A-Za-z_][A-Za-z0-9_]*)(?=$|[.[])/.exec(path);
+  return match ? { document: match[1], path: '$' + path.slice(match[0].length) } : { document: null, path };
+};
\ No newline at end of file
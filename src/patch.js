@@ -0,0 +1,233 @@
+/**
+ * JSON Patch (RFC 6902) and JSON Pointer (RFC 6901) support
+ * Transformations can be recorded as patch operations against their input
+ */
+
+import _ from 'lodash';
+
+/**
+ * Convert a concrete path into a JSON Pointer
+ * @param {Array<string|number>} path - Concrete path
+ * @returns {string} JSON Pointer, e.g. `/store/book/0`
+ */
+export const toPointer = (path) => path
+  .map(key => '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1'))
+  .join('');
+
+/**
+ * Split a JSON Pointer into unescaped reference tokens
+ * @param {string} pointer - JSON Pointer
+ * @returns {string[]} Reference tokens
+ */
+export const parsePointer = (pointer) => {
+  if (pointer === '') {
+    return [];
+  }
+  if (!_.isString(pointer) || pointer[0] !== '/') {
+    throw new Error(`Invalid JSON Pointer "${pointer}"`);
+  }
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+/**
+ * Resolve an array index token
+ * @param {Array} array - Array being addressed
+ * @param {string} token - Reference token
+ * @param {string} pointer - Full pointer, for error messages
+ * @param {boolean} allowEnd - Whether `-` and the array length are accepted
+ * @returns {number} Index
+ */
+const arrayIndex = (array, token, pointer, allowEnd) => {
+  if (allowEnd && token === '-') {
+    return array.length;
+  }
+  const limit = allowEnd ? array.length : array.length - 1;
+  if (!/^(0|[1-9][0-9]*)$/.test(token) || Number(token) > limit) {
+    throw new Error(`Path "${pointer}" does not exist`);
+  }
+  return Number(token);
+};
+
+/**
+ * Find the container holding the node a pointer refers to
+ * @param {*} document - Document
+ * @param {string} pointer - JSON Pointer (not the root)
+ * @returns {Object} { parent, token }
+ */
+const locate = (document, pointer) => {
+  const tokens = parsePointer(pointer);
+  let parent = document;
+
+  for (const token of tokens.slice(0, -1)) {
+    if (_.isArray(parent)) {
+      parent = parent[arrayIndex(parent, token, pointer, false)];
+    } else if (_.isObject(parent) && _.has(parent, token)) {
+      parent = parent[token];
+    } else {
+      throw new Error(`Path "${pointer}" does not exist`);
+    }
+  }
+
+  if (!_.isObject(parent)) {
+    throw new Error(`Path "${pointer}" does not exist`);
+  }
+  return { parent, token: _.last(tokens) };
+};
+
+/**
+ * Read the node a pointer refers to
+ * @param {*} document - Document
+ * @param {string} pointer - JSON Pointer
+ * @returns {*} Node
+ */
+const getNode = (document, pointer) => {
+  if (pointer === '') {
+    return document;
+  }
+  const { parent, token } = locate(document, pointer);
+  if (_.isArray(parent)) {
+    return parent[arrayIndex(parent, token, pointer, false)];
+  }
+  if (!_.has(parent, token)) {
+    throw new Error(`Path "${pointer}" does not exist`);
+  }
+  return parent[token];
+};
+
+/**
+ * Add a node: array elements are inserted, object members set
+ * @param {*} document - Document (modified)
+ * @param {string} pointer - JSON Pointer
+ * @param {*} value - Value
+ * @returns {*} Updated document
+ */
+const addNode = (document, pointer, value) => {
+  if (pointer === '') {
+    return value;
+  }
+  const { parent, token } = locate(document, pointer);
+  if (_.isArray(parent)) {
+    parent.splice(arrayIndex(parent, token, pointer, true), 0, value);
+  } else {
+    parent[token] = value;
+  }
+  return document;
+};
+
+/**
+ * Remove an existing node
+ * @param {*} document - Document (modified)
+ * @param {string} pointer - JSON Pointer
+ * @returns {*} Updated document
+ */
+const removeNode = (document, pointer) => {
+  if (pointer === '') {
+    throw new Error('Cannot remove the document root');
+  }
+  const { parent, token } = locate(document, pointer);
+  if (_.isArray(parent)) {
+    parent.splice(arrayIndex(parent, token, pointer, false), 1);
+  } else if (_.has(parent, token)) {
+    delete parent[token];
+  } else {
+    throw new Error(`Path "${pointer}" does not exist`);
+  }
+  return document;
+};
+
+/**
+ * Patch operations. Each receives the (already copied) document and the
+ * operation, and returns the updated document.
+ */
+const patchOperations = {
+  add: (document, { path, value }) => addNode(document, path, _.cloneDeep(value)),
+  remove: (document, { path }) => removeNode(document, path),
+  replace: (document, { path, value }) => {
+    getNode(document, path);
+    return addNode(path === '' ? document : removeNode(document, path), path, _.cloneDeep(value));
+  },
+  move: (document, { from, path }) => {
+    if (path.startsWith(from + '/')) {
+      throw new Error(`Cannot move "${from}" into its own child "${path}"`);
+    }
+    const value = getNode(document, from);
+    return addNode(removeNode(document, from), path, value);
+  },
+  copy: (document, { from, path }) => addNode(document, path, _.cloneDeep(getNode(document, from))),
+  test: (document, { path, value }) => {
+    if (!_.isEqual(getNode(document, path), value)) {
+      throw new Error(`Test failed at "${path}"`);
+    }
+    return document;
+  }
+};
+
+/**
+ * Apply a JSON Patch to a document. The document is not modified.
+ * @param {*} document - Document to patch
+ * @param {Object[]} patch - Patch operations
+ * @returns {*} Patched document
+ */
+export const applyPatch = (document, patch) => {
+  if (!_.isArray(patch)) {
+    throw new Error('Patch must be an array');
+  }
+
+  return patch.reduce((result, operation) => {
+    const apply = _.has(patchOperations, operation.op) ? patchOperations[operation.op] : undefined;
+    if (!apply) {
+      throw new Error(`Unknown patch operation "${operation.op}"`);
+    }
+    return apply(result, operation);
+  }, _.cloneDeep(document));
+};
+
+/**
+ * Create a recorder turning the writes of a transformation into patch
+ * operations. Changes are reported before they are made.
+ * @returns {Object} Recorder with `write(document, path, value)`,
+ *   `remove(document, path)`, `move(from, to)` and the recorded `operations`
+ */
+export const createPatchRecorder = () => {
+  const operations = [];
+
+  /**
+   * Record a write of `value` at `path`: intermediate containers the write
+   * creates (or primitives it overwrites) are recorded as a single operation
+   * on the outermost such node
+   */
+  const write = (document, path, value) => {
+    let cursor = document;
+
+    for (let depth = 0; depth < path.length; depth++) {
+      const key = path[depth];
+      const exists = _.isObject(cursor) && _.has(cursor, key);
+      const last = depth === path.length - 1;
+
+      if (!exists || last || !_.isObject(cursor[key])) {
+        const nodePath = path.slice(0, depth + 1);
+        const node = last ? value : _.set({}, path.slice(depth), value)[key];
+        if (!exists) {
+          operations.push({ op: 'add', path: toPointer(nodePath), value: _.cloneDeep(node) });
+        } else if (!_.isEqual(cursor[key], node)) {
+          operations.push({ op: 'replace', path: toPointer(nodePath), value: _.cloneDeep(node) });
+        }
+        return;
+      }
+      cursor = cursor[key];
+    }
+  };
+
+  const remove = (document, path) => {
+    const parent = path.length > 1 ? _.get(document, path.slice(0, -1)) : document;
+    if (_.isObject(parent) && _.has(parent, _.last(path))) {
+      operations.push({ op: 'remove', path: toPointer(path) });
+    }
+  };
+
+  const move = (from, to) => {
+    operations.push({ op: 'move', from: toPointer(from), path: toPointer(to) });
+  };
+
+  return { operations, write, remove, move };
+};
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * Source plans
+ * Merges the source paths of a rule set into a trie, so that rules sharing a
+ * prefix such as `$.store.book[*]` walk the shared part of the document once
+ */
+
+import _ from 'lodash';
+
+/**
+ * Node of a source plan
+ * @typedef {Object} PlanNode
+ * @property {string} [key] - Segment key, unique among siblings
+ * @property {Object|null} segment - Segment leading to this node (null at the root)
+ * @property {number} depth - Number of segments from the root
+ * @property {string[]} paths - Source paths ending at this node
+ * @property {PlanNode[]} children - Child nodes
+ * @property {TreeAutomaton|null} automaton - Automaton of a path through this
+ *   node, used to take the node's transition
+ */
+
+/**
+ * Identify a segment; filters are identified by their source text
+ * @param {Object} segment - Path segment
+ * @returns {string} Key
+ */
+const segmentKey = (segment) => JSON.stringify(segment, (key, value) => (key === 'expression' ? undefined : value));
+
+/**
+ * Build a source plan
+ * @param {string[]} paths - Source paths (without aggregate operations), all
+ *   evaluated against the same document
+ * @param {Function} automatonFor - (path) => TreeAutomaton
+ * @returns {Object} { paths, root, select(data) } where select returns a Map
+ *   from each path to its matches, as `TreeAutomaton.process` reports them
+ */
+export const createSourcePlan = (paths, automatonFor) => {
+  const root = { segment: null, depth: 0, paths: [], children: [], automaton: null };
+  const uniquePaths = _.uniq(paths);
+
+  for (const path of uniquePaths) {
+    const automaton = automatonFor(path);
+    let node = root;
+
+    automaton.rule.forEach((segment, depth) => {
+      const key = segmentKey(segment);
+      let child = node.children.find(candidate => candidate.key === key);
+      if (!child) {
+        child = { key, segment, depth: depth + 1, paths: [], children: [], automaton };
+        node.children.push(child);
+      }
+      node = child;
+    });
+    node.paths.push(path);
+  }
+
+  const select = (data) => {
+    const matches = new Map();
+
+    // States advance one segment per level, exactly as in process(), so the
+    // matches of each path come out in the same order
+    const walk = (node, states) => {
+      for (const path of node.paths) {
+        matches.set(path, states.map(state => ({
+          value: state.currentValue,
+          path: state.currentPath,
+          bindings: state.bindings
+        })));
+      }
+      for (const child of node.children) {
+        const next = _.flatMap(states, state => child.automaton.transition({ ...state, ruleIndex: child.depth - 1 }, data));
+        walk(child, next);
+      }
+    };
+
+    walk(root, [{ ruleIndex: 0, currentValue: data, currentPath: [], bindings: [] }]);
+    return matches;
+  };
+
+  return { paths: uniquePaths, root, select };
+};
\ No newline at end of file
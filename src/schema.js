@@ -0,0 +1,853 @@
+/**
+ * JSON Schema support
+ * Rule sets may declare the JSON Schema (a subset of draft 2020-12) their
+ * output must match, and the output schema of a rule set can be inferred
+ * from the rules and the schema of their input before running them.
+ */
+
+import _ from 'lodash';
+import { formatPath } from './automaton.js';
+import { getRuleFunctions } from './functions.js';
+import { parseOperationChain } from './operations.js';
+import { parsePath, splitDocumentPath } from './parser.js';
+import { toPointer, parsePointer } from './patch.js';
+
+const DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * Schema violation
+ * @typedef {Object} SchemaViolation
+ * @property {Array<string|number>} path - Concrete path of the offending
+ *   value (of the missing property for `required`)
+ * @property {string} pointer - The path as a JSON Pointer
+ * @property {string} keyword - Schema keyword that failed, e.g. `type`
+ * @property {string} message - Description of the problem
+ * @property {number[][]} [rulePaths] - Rules that wrote the path, when
+ *   reported by a transformation
+ */
+
+/**
+ * Error thrown when a transformation result does not match the rule set's
+ * `outputSchema`
+ */
+export class SchemaValidationError extends Error {
+  /**
+   * @param {SchemaViolation[]} violations - Violations, at least one
+   */
+  constructor(violations) {
+    const [first] = violations;
+    const writers = _.isEmpty(first.rulePaths)
+      ? ''
+      : ` (written by rule ${first.rulePaths.map(rulePath => rulePath.join('.')).join(', ')})`;
+    const more = violations.length > 1 ? ` and ${violations.length - 1} more` : '';
+
+    super(`Output does not match the schema: ${formatPath(first.path)} ${first.message}${writers}${more}`);
+    this.name = 'SchemaValidationError';
+    this.violations = violations;
+  }
+}
+
+/**
+ * Look up a local `$ref` (`#` or `#/...`) in the root schema
+ * @param {string} ref - Reference
+ * @param {Object} root - Root schema
+ * @returns {Object|boolean} Referenced schema
+ */
+const lookupRef = (ref, root) => {
+  if (ref !== '#' && !ref.startsWith('#/')) {
+    throw new Error(`Only local $ref values are supported, got "${ref}"`);
+  }
+  const target = ref === '#' ? root : _.get(root, parsePointer(decodeURIComponent(ref.slice(1))));
+  if (target === undefined) {
+    throw new Error(`Cannot resolve $ref "${ref}"`);
+  }
+  return target;
+};
+
+/**
+ * Follow `$ref` until a schema without one is reached
+ * @param {Object|boolean} schema - Schema
+ * @param {Object} root - Root schema
+ * @returns {Object|boolean} Resolved schema
+ */
+const resolveRef = (schema, root) => {
+  const seen = new Set();
+  let resolved = schema;
+  while (_.isPlainObject(resolved) && _.isString(resolved.$ref)) {
+    if (seen.has(resolved.$ref)) {
+      throw new Error(`Circular $ref "${resolved.$ref}"`);
+    }
+    seen.add(resolved.$ref);
+    resolved = lookupRef(resolved.$ref, root);
+  }
+  return resolved;
+};
+
+const TYPE_CHECKS = {
+  null: _.isNull,
+  boolean: _.isBoolean,
+  string: _.isString,
+  number: (value) => typeof value === 'number',
+  integer: Number.isInteger,
+  array: _.isArray,
+  object: _.isPlainObject
+};
+
+/**
+ * Check a value against a schema, collecting violations
+ * @param {*} value - Value
+ * @param {Object|boolean} schema - Schema
+ * @param {Array<string|number>} path - Path of the value
+ * @param {Object} root - Root schema, for `$ref`
+ * @param {SchemaViolation[]} violations - Collected violations
+ */
+const checkSchema = (value, schema, path, root, violations) => {
+  const report = (keyword, message, at = path) => violations.push({ path: at, pointer: toPointer(at), keyword, message });
+  const check = (item, subschema, at) => checkSchema(item, subschema, at, root, violations);
+  const isValid = (subschema) => {
+    const found = [];
+    checkSchema(value, subschema, path, root, found);
+    return found.length === 0;
+  };
+
+  if (schema === true || schema === undefined) {
+    return;
+  }
+  if (schema === false) {
+    report('false', 'is not allowed by a false schema');
+    return;
+  }
+
+  if (_.isString(schema.$ref)) {
+    check(value, lookupRef(schema.$ref, root), path);
+  }
+
+  if (schema.type !== undefined) {
+    const types = _.castArray(schema.type);
+    if (!types.some(type => _.has(TYPE_CHECKS, type) && TYPE_CHECKS[type](value))) {
+      report('type', `must be ${types.join(' or ')}`);
+    }
+  }
+  if (schema.enum !== undefined && !schema.enum.some(allowed => _.isEqual(allowed, value))) {
+    report('enum', `must be one of ${schema.enum.map(allowed => JSON.stringify(allowed)).join(', ')}`);
+  }
+  if (_.has(schema, 'const') && !_.isEqual(schema.const, value)) {
+    report('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      report('minimum', `must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      report('maximum', `must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      report('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      report('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+    }
+    // Compare the quotient to an integer to tolerate floating point error
+    if (schema.multipleOf !== undefined && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      report('multipleOf', `must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (_.isString(value)) {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      report('minLength', `must have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      report('maxLength', `must have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      report('pattern', `must match pattern "${schema.pattern}"`);
+    }
+  }
+
+  if (_.isArray(value)) {
+    const prefixItems = schema.prefixItems || [];
+    value.forEach((item, index) => {
+      check(item, index < prefixItems.length ? prefixItems[index] : schema.items, [...path, index]);
+    });
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report('minItems', `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report('maxItems', `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && _.uniqWith(value, _.isEqual).length < value.length) {
+      report('uniqueItems', 'must not have duplicate items');
+    }
+    if (schema.contains !== undefined) {
+      const matching = value.filter((item, index) => {
+        const found = [];
+        checkSchema(item, schema.contains, [...path, index], root, found);
+        return found.length === 0;
+      }).length;
+      if (matching < _.defaultTo(schema.minContains, 1)) {
+        report('contains', `must contain at least ${_.defaultTo(schema.minContains, 1)} matching items`);
+      }
+      if (schema.maxContains !== undefined && matching > schema.maxContains) {
+        report('maxContains', `must contain at most ${schema.maxContains} matching items`);
+      }
+    }
+  }
+
+  if (_.isPlainObject(value)) {
+    const properties = schema.properties || {};
+    const patterns = _.map(schema.patternProperties, (subschema, pattern) => ({ regex: new RegExp(pattern, 'u'), subschema }));
+
+    _.forEach(value, (item, key) => {
+      const matched = patterns.filter(({ regex }) => regex.test(key));
+      if (_.has(properties, key)) {
+        check(item, properties[key], [...path, key]);
+      }
+      matched.forEach(({ subschema }) => check(item, subschema, [...path, key]));
+      if (!_.has(properties, key) && matched.length === 0 && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          report('additionalProperties', 'is not an allowed property', [...path, key]);
+        } else {
+          check(item, schema.additionalProperties, [...path, key]);
+        }
+      }
+      if (schema.propertyNames !== undefined) {
+        const found = [];
+        checkSchema(key, schema.propertyNames, [...path, key], root, found);
+        if (found.length > 0) {
+          report('propertyNames', `has an invalid property name: ${found[0].message}`, [...path, key]);
+        }
+      }
+    });
+
+    (schema.required || [])
+      .filter(key => !_.has(value, key))
+      .forEach(key => report('required', 'is required', [...path, key]));
+
+    const count = _.size(value);
+    if (schema.minProperties !== undefined && count < schema.minProperties) {
+      report('minProperties', `must have at least ${schema.minProperties} properties`);
+    }
+    if (schema.maxProperties !== undefined && count > schema.maxProperties) {
+      report('maxProperties', `must have at most ${schema.maxProperties} properties`);
+    }
+  }
+
+  (schema.allOf || []).forEach(subschema => check(value, subschema, path));
+  if (schema.anyOf !== undefined && !schema.anyOf.some(isValid)) {
+    report('anyOf', 'must match at least one schema in anyOf');
+  }
+  if (schema.oneOf !== undefined && schema.oneOf.filter(isValid).length !== 1) {
+    report('oneOf', 'must match exactly one schema in oneOf');
+  }
+  if (schema.not !== undefined && isValid(schema.not)) {
+    report('not', 'must not match the schema in not');
+  }
+  if (schema.if !== undefined) {
+    const branch = isValid(schema.if) ? schema.then : schema.else;
+    check(value, branch, path);
+  }
+};
+
+/**
+ * Validate a value against a JSON Schema. The draft 2020-12 keywords for
+ * types, enumerations, numbers, strings, arrays, objects, combinators,
+ * conditionals and local `$ref`s are checked; other keywords (including
+ * `format`) are ignored.
+ * @param {*} value - Value to validate
+ * @param {Object|boolean} schema - JSON Schema
+ * @returns {SchemaViolation[]} Violations, empty if the value matches
+ */
+export const validateSchema = (value, schema) => {
+  const violations = [];
+  checkSchema(value, schema, [], schema, violations);
+  return violations;
+};
+
+// Schema inference
+
+/**
+ * Combine two schemas into one matching either
+ * @param {Object} left - Schema
+ * @param {Object} right - Schema
+ * @returns {Object} Combined schema
+ */
+const eitherSchema = (left, right) => {
+  if (_.isEqual(left, right)) {
+    return left;
+  }
+  if (_.isEmpty(left) || _.isEmpty(right)) {
+    return {};
+  }
+  return { anyOf: [left, right] };
+};
+
+const arrayOf = (items) => ({ type: 'array', items });
+
+/**
+ * Keep only the type of a schema, for values a function may have changed
+ * @param {Object} schema - Schema
+ * @returns {Object} Schema with at most `type`
+ */
+const typeOnly = (schema) => _.pick(schema, 'type');
+
+const NULLABLE_STRING = { type: ['string', 'null'] };
+
+/**
+ * Result schemas of the built-in value functions, from the schema of the
+ * value they receive
+ */
+const FUNCTION_SCHEMAS = {
+  upper: typeOnly,
+  lower: typeOnly,
+  trim: typeOnly,
+  capitalize: typeOnly,
+  replace: typeOnly,
+  substring: typeOnly,
+  concat: () => ({ type: 'string' }),
+  padStart: () => ({ type: 'string' }),
+  split: (schema) => (schema.type === 'string' ? arrayOf({ type: 'string' }) : {}),
+  round: () => ({ type: 'number' }),
+  floor: () => ({ type: 'number' }),
+  ceil: () => ({ type: 'number' }),
+  abs: () => ({ type: 'number' }),
+  add: () => ({ type: 'number' }),
+  subtract: () => ({ type: 'number' }),
+  multiply: () => ({ type: 'number' }),
+  divide: () => ({ type: 'number' }),
+  now: () => ({ type: 'string' }),
+  toISOString: () => NULLABLE_STRING,
+  toISODate: () => NULLABLE_STRING,
+  formatDate: () => NULLABLE_STRING,
+  toTimestamp: () => ({ type: ['number', 'null'] }),
+  toNumber: () => ({ type: ['number', 'null'] }),
+  toInteger: () => ({ type: ['integer', 'null'] }),
+  toString: () => NULLABLE_STRING,
+  toBoolean: () => ({ type: 'boolean' })
+};
+
+/**
+ * Result schemas of the built-in aggregate operations, from the schema of
+ * the values they receive
+ */
+const OPERATION_SCHEMAS = {
+  count: () => ({ type: 'integer' }),
+  sum: () => ({ type: 'number' }),
+  avg: () => ({ type: 'number' }),
+  median: () => ({ type: 'number' }),
+  percentile: () => ({ type: 'number' }),
+  max: _.identity,
+  min: _.identity,
+  first: _.identity,
+  last: _.identity,
+  unique: arrayOf,
+  sort: arrayOf,
+  reverse: arrayOf,
+  take: arrayOf,
+  skip: arrayOf,
+  join: () => ({ type: 'string' }),
+  groupBy: (items) => ({ type: 'object', additionalProperties: arrayOf(items) }),
+  countBy: () => ({ type: 'object', additionalProperties: { type: 'integer' } })
+};
+
+/**
+ * Operations that yield nothing for an empty list, so their rules may not
+ * write their target
+ */
+const PARTIAL_OPERATIONS = ['max', 'min', 'first', 'last', 'median', 'percentile'];
+
+/**
+ * Find the schema of the items of an array schema
+ * @param {Object} schema - Resolved array schema
+ * @param {number} [index] - Index of the item
+ * @returns {Object} Item schema
+ */
+const itemSchema = (schema, index) => {
+  if (index !== undefined && index >= 0 && _.has(schema.prefixItems, index)) {
+    return schema.prefixItems[index];
+  }
+  return _.isPlainObject(schema.items) ? schema.items : {};
+};
+
+/**
+ * Follow path segments through an input schema
+ * @param {Object} schema - Schema of the data the path is evaluated against
+ * @param {Object[]} segments - Path segments
+ * @param {Object} root - Root input schema, for `$ref`
+ * @returns {Object} { schema, many, required } where `many` tells whether
+ *   the path can match several values and `required` whether it always
+ *   matches one
+ */
+const navigateSchema = (schema, segments, root) => segments.reduce((state, segment) => {
+  const node = resolveRef(state.schema, root);
+  if (!_.isPlainObject(node)) {
+    return { schema: {}, many: state.many, required: false };
+  }
+
+  switch (segment.type) {
+    case 'property': {
+      const known = _.has(node.properties, segment.value);
+      return {
+        schema: known ? node.properties[segment.value] : (_.isPlainObject(node.additionalProperties) ? node.additionalProperties : {}),
+        many: state.many,
+        required: state.required && known && _.includes(node.required, segment.value)
+      };
+    }
+    case 'index':
+      return { schema: itemSchema(node, segment.value), many: state.many, required: false };
+    case 'descendant':
+      return { schema: {}, many: true, required: false };
+    default:
+      return { schema: itemSchema(node), many: true, required: false };
+  }
+}, { schema, many: false, required: true });
+
+/**
+ * Spread a schema over a wildcard target: array schemas item by item
+ * @param {Object} schema - Schema
+ * @param {Object} root - Root input schema, for `$ref`
+ * @returns {Object} Item schema
+ */
+const spreadSchema = (schema, root) => {
+  const resolved = resolveRef(schema, root);
+  if (!_.isPlainObject(resolved) || resolved.type === undefined) {
+    return {};
+  }
+  return resolved.type === 'array' ? itemSchema(resolved) : schema;
+};
+
+/**
+ * Apply a rule's lookup and value functions to a schema. Looked up values
+ * come from documents without a schema.
+ * @param {Object} schema - Schema of the value
+ * @param {Object} rule - Mapping rule
+ * @returns {Object} Schema of the mapped value
+ */
+const mapSchema = (schema, rule) => getRuleFunctions(rule).reduce((result, { name }) => {
+  return _.has(FUNCTION_SCHEMAS, name) ? FUNCTION_SCHEMAS[name](result) : {};
+}, rule.lookup === undefined ? schema : {});
+
+/**
+ * Infer what a source path reads
+ * @param {string} source - Source JSONPath (possibly with operations)
+ * @param {Object} scope - Inference scope
+ * @returns {Object} { schema, many, required, operations } where schema is
+ *   the operations' result, or each match's schema without operations
+ */
+const readSource = (source, scope) => {
+  const { path, operations } = parseOperationChain(source);
+  const relative = path.startsWith('@');
+  let selected;
+  if (splitDocumentPath(path).document !== null && !scope.lenient) {
+    // Named input documents have no schema
+    selected = { schema: {}, many: true, required: false };
+  } else {
+    const { segments } = parsePath(relative ? '$' + path.slice(1) : path, { lenient: scope.lenient });
+    selected = navigateSchema(relative ? scope.current : scope.root, segments, scope.root);
+  }
+
+  if (operations.length === 0) {
+    return { ...selected, operations: false };
+  }
+
+  const result = operations.reduce(({ schema, items }, { name }) => {
+    const next = _.has(OPERATION_SCHEMAS, name) ? OPERATION_SCHEMAS[name](items) : {};
+    return { schema: next, items: next.type === 'array' ? itemSchema(next) : next };
+  }, { schema: {}, items: selected.schema });
+
+  return {
+    schema: result.schema,
+    many: false,
+    required: operations.every(({ name }) => _.has(OPERATION_SCHEMAS, name) && !PARTIAL_OPERATIONS.includes(name)),
+    operations: true
+  };
+};
+
+/**
+ * Infer the value a rule writes to a non-wildcard target
+ * @param {Object} rule - Mapping rule
+ * @param {Object} scope - Inference scope
+ * @returns {Object} { schema, required }
+ */
+const inferValue = (rule, scope) => {
+  let written;
+  if (_.has(rule, 'value')) {
+    written = { schema: mapSchema({ const: rule.value }, rule), required: true };
+  } else if (rule.expression !== undefined) {
+    written = { schema: mapSchema({}, rule), required: false };
+  } else {
+    const read = readSource(rule.source, scope);
+    const schema = mapSchema(read.schema, rule);
+    written = read.many
+      ? { schema: eitherSchema(schema, arrayOf(schema)), required: false }
+      : { schema, required: read.required };
+  }
+  // Custom functions may return nothing
+  if (!getRuleFunctions(rule).every(({ name }) => _.has(FUNCTION_SCHEMAS, name))) {
+    written.required = false;
+  }
+  if (written.required || !_.has(rule, 'default')) {
+    return written;
+  }
+
+  const fallback = inferDefault(rule, scope);
+  return { schema: eitherSchema(written.schema, fallback.schema), required: fallback.required };
+};
+
+/**
+ * Infer a rule's `default`
+ * @param {Object} rule - Rule with a `default`
+ * @param {Object} scope - Inference scope
+ * @returns {Object} { schema, required }
+ */
+const inferDefault = (rule, scope) => {
+  if (_.isPlainObject(rule.default) && _.isString(rule.default.source)) {
+    const read = readSource(rule.default.source, scope);
+    return read.many
+      ? { schema: eitherSchema(read.schema, arrayOf(read.schema)), required: false }
+      : { schema: read.schema, required: read.required };
+  }
+  return { schema: { const: rule.default }, required: true };
+};
+
+/**
+ * Infer the items a rule writes to a wildcard target
+ * @param {Object} rule - Mapping rule
+ * @param {Object} scope - Inference scope
+ * @returns {Object} Item schema
+ */
+const inferEntries = (rule, scope) => {
+  let items;
+  if (_.has(rule, 'value')) {
+    const values = _.castArray(rule.value);
+    items = _.isArray(rule.value) ? { enum: _.uniqWith(values, _.isEqual) } : { const: rule.value };
+  } else if (rule.expression !== undefined) {
+    items = {};
+  } else {
+    const read = readSource(rule.foreach || rule.source, scope);
+    items = read.many && !read.operations ? read.schema : spreadSchema(read.schema, scope.root);
+  }
+  if (rule.foreach === undefined) {
+    items = mapSchema(items, rule);
+  }
+
+  if (!_.has(rule, 'default')) {
+    return items;
+  }
+  return eitherSchema(items, spreadSchema(inferDefault(rule, scope).schema, scope.root));
+};
+
+/**
+ * Create an empty object schema
+ * @returns {Object} Schema
+ */
+const objectSchema = () => ({ type: 'object', properties: {} });
+
+const replaceSchema = (node, schema) => schema;
+
+/**
+ * Write a schema at a target path into the schema of the output. Array
+ * indices and wildcards create array schemas; a property is required when
+ * it is reached through properties only and the rule always writes it.
+ * @param {Object} node - Schema of the output node
+ * @param {Object[]} segments - Target path segments
+ * @param {Object} schema - Schema of the written value
+ * @param {boolean} required - Whether the value is always written
+ * @param {Object} root - Root input schema, for `$ref`
+ * @param {Function} [combine] - (node, schema) => schema of the target once
+ *   written, from the schema it had (undefined if none)
+ * @returns {Object} Updated schema of the node
+ */
+const writeSchema = (node, segments, schema, required, root, combine = replaceSchema) => {
+  if (segments.length === 0) {
+    return combine(node, schema);
+  }
+
+  const [segment, ...rest] = segments;
+  const current = resolveRef(node, root);
+
+  if (segment.type === 'property') {
+    const object = _.isPlainObject(current) && current.type === 'object' ? current : objectSchema();
+    const properties = object.properties || {};
+    const child = _.has(properties, segment.value) ? properties[segment.value] : undefined;
+    const result = {
+      ...object,
+      properties: { ...properties, [segment.value]: writeSchema(child, rest, schema, required, root, combine) }
+    };
+    if (required) {
+      result.required = _.union(object.required || [], [segment.value]);
+    }
+    return result;
+  }
+
+  const array = _.isPlainObject(current) && current.type === 'array' ? current : { type: 'array' };
+  if (segment.type === 'index' && segment.value >= 0) {
+    const prefixItems = _.range(Math.max(segment.value + 1, _.size(array.prefixItems)))
+      .map(index => _.get(array.prefixItems, index, {}));
+    prefixItems[segment.value] = writeSchema(prefixItems[segment.value], rest, schema, false, root, combine);
+    return { ...array, prefixItems };
+  }
+  return { ...array, items: writeSchema(array.items, rest, schema, false, root, combine) };
+};
+
+const isObjectSchema = (schema) => _.isPlainObject(schema) && schema.type === 'object';
+
+/**
+ * Merge object schemas property by property, as `deepMerge` merges values
+ * @param {Object} node - Schema of the existing value
+ * @param {Object} schema - Schema of the written value
+ * @param {Object} root - Root input schema, for `$ref`
+ * @returns {Object} Merged schema, or the written one if either may be
+ *   something other than an object
+ */
+const deepMergeSchema = (node, schema, root) => {
+  const left = resolveRef(node, root);
+  const right = resolveRef(schema, root);
+  if (!isObjectSchema(left) || !isObjectSchema(right)) {
+    return schema;
+  }
+
+  const properties = _.mapValues({ ...left.properties, ...right.properties }, (property, key) => (
+    _.has(left.properties, key) && _.has(right.properties, key)
+      ? deepMergeSchema(left.properties[key], right.properties[key], root)
+      : property
+  ));
+  const required = _.union(left.required || [], right.required || []);
+  return { ...left, ...right, properties, ...(required.length > 0 ? { required } : {}) };
+};
+
+/**
+ * Schema of the items a value adds to an array it is appended to: those of
+ * an array value, or the value itself
+ * @param {Object} schema - Schema of the value
+ * @param {Object} root - Root input schema, for `$ref`
+ * @returns {Object} Item schema
+ */
+const appendedItems = (schema, root) => {
+  const resolved = resolveRef(schema, root);
+  if (_.isPlainObject(resolved) && _.isArray(resolved.anyOf)) {
+    return resolved.anyOf.map(branch => appendedItems(branch, root)).reduce(eitherSchema);
+  }
+  if (_.isPlainObject(resolved) && resolved.type === 'array') {
+    return _.defaultTo(resolved.items, {});
+  }
+  return _.isEmpty(resolved) ? {} : schema;
+};
+
+/**
+ * Build the function combining the schema a target had with the schema of
+ * a value written with a merge strategy. Wildcard targets append elements
+ * of their own, so only their item schemas are combined.
+ * @param {string} strategy - Merge strategy
+ * @param {boolean} wildcards - Whether the target has `[*]` wildcards
+ * @param {Object} root - Root input schema, for `$ref`
+ * @returns {Function} (node, schema) => schema
+ */
+const mergeStrategySchema = (strategy, wildcards, root) => {
+  if (strategy === 'deepMerge') {
+    return (node, schema) => (node === undefined ? schema : deepMergeSchema(node, schema, root));
+  }
+  if (strategy !== 'append' && strategy !== 'concatUnique') {
+    return replaceSchema;
+  }
+  if (wildcards) {
+    return (node, schema) => (node === undefined ? schema : eitherSchema(node, schema));
+  }
+  return (node, schema) => {
+    const items = appendedItems(schema, root);
+    return arrayOf(node === undefined ? items : eitherSchema(appendedItems(node, root), items));
+  };
+};
+
+/**
+ * Change the schema of the nodes an edit rule selects. Selecting segments
+ * other than properties and `[*]` may leave some of the nodes alone, so
+ * they make the edited properties optional instead.
+ * @param {Object} node - Schema of the output node
+ * @param {Object[]} segments - Path segments selecting the nodes
+ * @param {Function} edit - (object, key, partial) => updated object schema
+ * @param {boolean} partial - Whether only some of the nodes are selected
+ * @param {Object} root - Root input schema, for `$ref`
+ * @returns {Object} Updated schema of the node
+ */
+const editSchema = (node, segments, edit, partial, root) => {
+  const current = resolveRef(node, root);
+  const [segment, ...rest] = segments;
+  if (!_.isPlainObject(current) || segment === undefined || segment.type === 'descendant') {
+    return node;
+  }
+
+  if (segment.type === 'property') {
+    if (!_.has(current.properties, segment.value)) {
+      return node;
+    }
+    if (rest.length === 0) {
+      return edit(current, segment.value, partial);
+    }
+    const child = editSchema(current.properties[segment.value], rest, edit, partial, root);
+    return { ...current, properties: { ...current.properties, [segment.value]: child } };
+  }
+  if (current.type !== 'array' || !_.isPlainObject(current.items) || rest.length === 0) {
+    return node;
+  }
+  return { ...current, items: editSchema(current.items, rest, edit, partial || segment.type !== 'wildcard', root) };
+};
+
+/**
+ * Make a property optional
+ * @param {Object} object - Object schema
+ * @param {string} key - Property name
+ * @returns {Object} Updated schema
+ */
+const optional = (object, key) => {
+  const result = { ...object, required: _.without(object.required || [], key) };
+  return _.isEmpty(result.required) ? _.omit(result, 'required') : result;
+};
+
+const removeProperty = (object, key, partial) => {
+  return partial ? optional(object, key) : optional({ ...object, properties: _.omit(object.properties, key) }, key);
+};
+
+const renameProperty = (name) => (object, key, partial) => {
+  if (key === name) {
+    return object;
+  }
+  const properties = { ...(partial ? object.properties : _.omit(object.properties, key)), [name]: object.properties[key] };
+  const renamed = optional(optional({ ...object, properties }, name), key);
+  if (partial || !_.includes(object.required, key)) {
+    return renamed;
+  }
+  return { ...renamed, required: [...(renamed.required || []), name] };
+};
+
+/**
+ * Parse a path into the output: `@...` paths inside a foreach block are
+ * relative to its output element, other paths to the whole output
+ * @param {string} jsonPath - Target path (`$...` or `@...`)
+ * @param {Object} scope - Inference scope
+ * @returns {Object} { key, segments } where key names the state entry
+ *   holding the schema the path starts at
+ */
+const parseTarget = (jsonPath, scope) => {
+  const relative = jsonPath.startsWith('@');
+  const { segments } = parsePath(relative ? '$' + jsonPath.slice(1) : jsonPath, { lenient: scope.lenient });
+  return { key: relative && scope.nested ? 'element' : 'output', segments };
+};
+
+/**
+ * Apply an edit rule to the inferred output
+ * @param {Object} rule - Edit rule
+ * @param {Object} scope - Inference scope
+ * @param {Object} state - { output, element }
+ * @returns {Object} Updated state
+ */
+const inferEdit = (rule, scope, state) => {
+  const selected = parseTarget(rule.op === 'move' ? rule.source : rule.target, scope);
+  const { key } = selected;
+  const update = (edit) => ({ ...state, [key]: editSchema(state[key], selected.segments, edit, Boolean(rule.when), scope.root) });
+
+  if (rule.op === 'delete') {
+    return update(removeProperty);
+  }
+  if (rule.op === 'rename') {
+    return update(renameProperty(rule.name));
+  }
+  if (rule.op !== 'move') {
+    return state;
+  }
+
+  const moved = navigateSchema(state[key], selected.segments, scope.root);
+  const removed = update(removeProperty);
+  const target = parseTarget(rule.target, scope);
+  const targetKey = target.key;
+  const wildcards = target.segments.filter(segment => segment.type === 'wildcard').length > 0;
+  const schema = wildcards && !moved.many ? spreadSchema(moved.schema, scope.root) : moved.schema;
+  const required = !rule.when && (targetKey === 'element' || !scope.nested) && (wildcards || (moved.required && !moved.many));
+
+  return { ...removed, [targetKey]: writeSchema(removed[targetKey], target.segments, schema, required, scope.root) };
+};
+
+/**
+ * Infer the effect of a rule on the output
+ * @param {Object} rule - Transformation rule
+ * @param {Object} scope - Inference scope
+ * @param {Object} state - { output, element } schemas of the output and of
+ *   the enclosing foreach element
+ * @returns {Object} Updated state
+ */
+const inferRule = (rule, scope, state) => {
+  if (rule.op !== undefined) {
+    return inferEdit(rule, scope, state);
+  }
+
+  const target = parseTarget(rule.target, scope);
+  const { key } = target;
+  const strategy = _.defaultTo(rule.merge, scope.merge);
+  // Targets outside the enclosing foreach element are written once per element, if any
+  const always = !rule.when && (key === 'element' || !scope.nested);
+  const wildcards = target.segments.some(segment => segment.type === 'wildcard');
+
+  let schema;
+  let required;
+  if (rule.foreach !== undefined) {
+    const items = inferEntries(rule, scope);
+    const nested = { ...scope, current: items, nested: true };
+    const element = _.reduce(rule.mappings, (result, subRule) => inferRule(subRule, nested, result), {
+      output: state.output,
+      element: objectSchema()
+    });
+
+    state = { ...state, output: element.output };
+    schema = element.element;
+    required = always && wildcards;
+  } else if (wildcards) {
+    schema = inferEntries(rule, scope);
+    required = always;
+  } else {
+    const written = inferValue(rule, scope);
+    schema = written.schema;
+    required = always && (written.required || Boolean(rule.required));
+  }
+
+  const combine = mergeStrategySchema(strategy, wildcards, scope.root);
+  return { ...state, [key]: writeSchema(state[key], target.segments, schema, required, scope.root, combine) };
+};
+
+/**
+ * Infer the JSON Schema of the output of a rule set from the schema of its
+ * input, without running the rules. The inferred schema is conservative:
+ * values the rules cannot be seen to produce, such as the results of
+ * expressions and custom functions, are left unconstrained, and only
+ * properties every run writes are required.
+ * @param {Object} rules - Rules object with pathMappings
+ * @param {Object} [inputSchema] - JSON Schema of the source documents
+ * @param {TransformOptions} [options] - Transformation options (`mode` and
+ *   `lenient` are honored)
+ * @returns {Object} JSON Schema of the results
+ */
+export const inferSchema = (rules, inputSchema = {}, options = {}) => {
+  const { pathMappings } = rules;
+  if (!_.isArray(pathMappings)) {
+    throw new Error('pathMappings must be an array');
+  }
+
+  const scope = {
+    root: inputSchema,
+    current: inputSchema,
+    lenient: Boolean(options.lenient),
+    nested: false,
+    merge: _.defaultTo(rules.merge, 'replace')
+  };
+  let initial = objectSchema();
+  if (options.base !== undefined) {
+    initial = { type: 'object' };
+  } else if (options.mode === 'update') {
+    initial = _.cloneDeep(resolveRef(inputSchema, inputSchema));
+  }
+
+  const { output } = _.reduce(pathMappings, (state, rule) => inferRule(rule, scope, state), { output: initial, element: null });
+  const definitions = _.isPlainObject(inputSchema.$defs) ? { $defs: inputSchema.$defs } : {};
+  return { $schema: DIALECT, ..._.omit(output, ['$schema', '$defs']), ...definitions };
+};
\ No newline at end of file
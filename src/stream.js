@@ -0,0 +1,456 @@
+/**
+ * Streaming transformations
+ * Matches JSONPath expressions against JSON read from a stream, driving the
+ * tree automaton with tokenizer events instead of a parsed document, and
+ * transforms newline-delimited JSON line by line. Only the nodes a path
+ * selects are ever held in memory.
+ */
+
+import _ from 'lodash';
+import { once } from 'node:events';
+import { StringDecoder } from 'node:string_decoder';
+import { createAutomaton } from './automaton.js';
+import { testExpression } from './expression.js';
+import { compile } from './transformer.js';
+
+const WHITESPACE = /\s/;
+const NUMBER = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+const LITERALS = { true: true, false: false, null: null };
+
+/**
+ * What the tokenizer accepts next
+ */
+const EXPECT = {
+  VALUE: 'value',
+  VALUE_OR_CLOSE: 'value or "]"',
+  KEY: 'property name',
+  KEY_OR_CLOSE: 'property name or "}"',
+  COLON: '":"',
+  COMMA_OR_CLOSE: '"," or a closing bracket',
+  DONE: 'end of input'
+};
+
+/**
+ * Create an incremental JSON tokenizer. Text can be written in chunks of any
+ * size; tokens are reported as soon as they are complete:
+ * `{ type: 'begin', kind: 'object' | 'array' }`, `{ type: 'end' }`,
+ * `{ type: 'key', value }` and `{ type: 'value', value }`.
+ * @param {Function} onToken - (token) => void
+ * @returns {Object} { write(text), end() }
+ * @throws {Error} If the text is not a single JSON value
+ */
+const createTokenizer = (onToken) => {
+  const stack = [];
+  let expect = EXPECT.VALUE;
+  let buffer = '';
+  let offset = 0;
+  let ended = false;
+
+  const fail = (position, found = `"${buffer[position]}"`) => {
+    throw new Error(`Invalid JSON: expected ${expect} but found ${found} at offset ${offset + position}`);
+  };
+  const afterValue = () => {
+    expect = stack.length > 0 ? EXPECT.COMMA_OR_CLOSE : EXPECT.DONE;
+  };
+  const expectsValue = () => expect === EXPECT.VALUE || expect === EXPECT.VALUE_OR_CLOSE;
+
+  /**
+   * Read the token at `position`
+   * @returns {number} Position after the token, or -1 if it is incomplete
+   */
+  const readToken = (position) => {
+    const char = buffer[position];
+
+    if ((char === '{' || char === '[') && expectsValue()) {
+      const kind = char === '{' ? 'object' : 'array';
+      stack.push(kind);
+      expect = kind === 'object' ? EXPECT.KEY_OR_CLOSE : EXPECT.VALUE_OR_CLOSE;
+      onToken({ type: 'begin', kind });
+      return position + 1;
+    }
+    if (char === '}' || char === ']') {
+      const kind = char === '}' ? 'object' : 'array';
+      const closable = expect === EXPECT.COMMA_OR_CLOSE
+        || expect === (kind === 'object' ? EXPECT.KEY_OR_CLOSE : EXPECT.VALUE_OR_CLOSE);
+      if (_.last(stack) !== kind || !closable) {
+        fail(position);
+      }
+      stack.pop();
+      afterValue();
+      onToken({ type: 'end' });
+      return position + 1;
+    }
+    if (char === ',' && expect === EXPECT.COMMA_OR_CLOSE) {
+      expect = _.last(stack) === 'object' ? EXPECT.KEY : EXPECT.VALUE;
+      return position + 1;
+    }
+    if (char === ':' && expect === EXPECT.COLON) {
+      expect = EXPECT.VALUE;
+      return position + 1;
+    }
+
+    if (char === '"' && (expectsValue() || expect === EXPECT.KEY || expect === EXPECT.KEY_OR_CLOSE)) {
+      let end = position + 1;
+      while (end < buffer.length && buffer[end] !== '"') {
+        end += buffer[end] === '\\' ? 2 : 1;
+      }
+      if (end >= buffer.length) {
+        return -1;
+      }
+
+      let value;
+      try {
+        value = JSON.parse(buffer.slice(position, end + 1));
+      } catch (error) {
+        throw new Error(`Invalid JSON: malformed string at offset ${offset + position}`);
+      }
+      if (expectsValue()) {
+        afterValue();
+        onToken({ type: 'value', value });
+      } else {
+        expect = EXPECT.COLON;
+        onToken({ type: 'key', value });
+      }
+      return end + 1;
+    }
+
+    if (expectsValue()) {
+      const text = buffer.slice(position).match(/^[^\s,:[\]{}"]*/)[0];
+      // A number or literal running to the end of the buffer may continue
+      // in the next chunk
+      if (!ended && position + text.length === buffer.length) {
+        return -1;
+      }
+      if (_.has(LITERALS, text) || NUMBER.test(text)) {
+        afterValue();
+        onToken({ type: 'value', value: _.has(LITERALS, text) ? LITERALS[text] : Number(text) });
+        return position + text.length;
+      }
+    }
+
+    return fail(position);
+  };
+
+  const drain = () => {
+    let position = 0;
+
+    while (position < buffer.length) {
+      if (WHITESPACE.test(buffer[position])) {
+        position++;
+        continue;
+      }
+      if (expect === EXPECT.DONE) {
+        fail(position);
+      }
+      const next = readToken(position);
+      if (next === -1) {
+        break;
+      }
+      position = next;
+    }
+
+    buffer = buffer.slice(position);
+    offset += position;
+  };
+
+  return {
+    write: (text) => {
+      buffer += text;
+      drain();
+    },
+    end: () => {
+      ended = true;
+      drain();
+      if (expect !== EXPECT.DONE) {
+        fail(buffer.length, 'end of input');
+      }
+    }
+  };
+};
+
+/**
+ * Check whether a selector of a union or index segment can be decided from
+ * an element's position alone, without knowing the array's length
+ * @param {Object} selector - Property, index or slice segment
+ * @returns {boolean} True for names, non-negative indices and forward slices
+ */
+const isPositional = (selector) => {
+  switch (selector.type) {
+    case 'property':
+      return true;
+    case 'index':
+      return selector.value >= 0;
+    case 'slice':
+      return selector.step > 0 && !(selector.start < 0) && !(selector.end < 0);
+  }
+  return false;
+};
+
+/**
+ * Check whether a selector selects the child `key` of a container
+ * @param {Object} selector - Positional selector
+ * @param {string|number} key - Child key
+ * @param {string} kind - Container kind, `'object'` or `'array'`
+ * @returns {boolean} True if the child is selected
+ */
+const selects = (selector, key, kind) => {
+  switch (selector.type) {
+    case 'property':
+      return kind === 'object' && key === selector.value;
+    case 'index':
+      return kind === 'array' && key === selector.value;
+    case 'slice': {
+      const start = selector.start === null ? 0 : selector.start;
+      return kind === 'array' && key >= start && (selector.end === null || key < selector.end)
+        && (key - start) % selector.step === 0;
+    }
+  }
+  return false;
+};
+
+/**
+ * Create a matcher consuming tokenizer events. Each node is tracked with the
+ * automaton positions (`ruleIndex`) that reach it; nodes are streamed through
+ * until a position needs the node's value — because the path ends there, a
+ * filter tests it, or a selector needs the length of the array — and then the
+ * node alone is assembled and handed to the automaton to finish matching.
+ * @param {string} jsonPath - JSONPath expression
+ * @param {Function} onMatch - ({ value, path }) => void, in document order
+ * @param {Object} options - { lenient }
+ * @returns {Function} Token handler
+ */
+const createStreamMatcher = (jsonPath, onMatch, options = {}) => {
+  const automaton = createAutomaton(jsonPath, { lenient: options.lenient });
+  const { rule } = automaton;
+  const frames = [];
+  let pendingKey = null;
+  let capture = null;
+
+  // Positions a node is also at because recursive descent matches the node itself
+  const closure = (ruleIndex) => (rule[ruleIndex] && rule[ruleIndex].type === 'descendant'
+    ? [ruleIndex, ...closure(ruleIndex + 1)]
+    : [ruleIndex]);
+
+  const needsValue = (entries) => entries.some(entry => entry.filter || closure(entry.ruleIndex).some((index) => {
+    const segment = rule[index];
+    return !segment
+      || (segment.type === 'index' || segment.type === 'slice') && !isPositional(segment)
+      || segment.type === 'union' && !segment.selectors.every(isPositional);
+  }));
+
+  const step = (entries, key, kind) => _.uniqBy(_.flatMap(entries, entry => _.flatMap(closure(entry.ruleIndex), (index) => {
+    const segment = rule[index];
+    switch (segment.type) {
+      case 'descendant':
+        return [{ ruleIndex: index }];
+      case 'wildcard':
+        return kind === 'array' ? [{ ruleIndex: index + 1 }] : [];
+      case 'filter':
+        return [{ ruleIndex: index + 1, filter: segment }];
+      case 'union':
+        return segment.selectors.some(selector => selects(selector, key, kind)) ? [{ ruleIndex: index + 1 }] : [];
+      default:
+        return selects(segment, key, kind) ? [{ ruleIndex: index + 1 }] : [];
+    }
+  })), entry => `${entry.ruleIndex}:${entry.filter ? entry.filter.source : ''}`);
+
+  const finish = (entries, value, path) => {
+    for (const entry of entries) {
+      if (entry.filter && !testExpression(entry.filter.expression, {
+        current: value,
+        root: undefined,
+        query: automaton.queryExpressionPath
+      })) {
+        continue;
+      }
+
+      let states = [{ ruleIndex: entry.ruleIndex, currentValue: value, currentPath: path, bindings: [] }];
+      while (states.length > 0 && !automaton.isAcceptingState(states[0])) {
+        states = _.flatMap(states, state => automaton.transition(state, undefined));
+      }
+      states.forEach(state => onMatch({ value: state.currentValue, path: state.currentPath }));
+    }
+  };
+
+  // Assemble the value of a captured node from its tokens
+  const collect = (token) => {
+    const { containers } = capture;
+    let value;
+
+    if (token.type === 'key') {
+      capture.key = token.value;
+      return;
+    }
+    if (token.type === 'begin') {
+      const container = token.kind === 'object' ? {} : [];
+      if (containers.length > 0) {
+        const parent = _.last(containers);
+        parent[_.isArray(parent) ? parent.length : capture.key] = container;
+      }
+      containers.push(container);
+      return;
+    }
+    if (token.type === 'end') {
+      value = containers.pop();
+    } else {
+      value = token.value;
+      if (containers.length > 0) {
+        const parent = _.last(containers);
+        parent[_.isArray(parent) ? parent.length : capture.key] = value;
+      }
+    }
+
+    if (containers.length === 0) {
+      const { entries, path } = capture;
+      capture = null;
+      finish(entries, value, path);
+    }
+  };
+
+  return (token) => {
+    if (capture) {
+      collect(token);
+      return;
+    }
+    if (token.type === 'key') {
+      pendingKey = token.value;
+      return;
+    }
+    if (token.type === 'end') {
+      frames.pop();
+      return;
+    }
+
+    const parent = _.last(frames);
+    let path = [];
+    let entries = [{ ruleIndex: 0 }];
+    if (parent) {
+      const key = parent.kind === 'array' ? parent.index++ : pendingKey;
+      path = [...parent.path, key];
+      entries = parent.entries.length > 0 ? step(parent.entries, key, parent.kind) : [];
+    }
+
+    if (entries.length > 0 && needsValue(entries)) {
+      capture = { entries, path, containers: [], key: null };
+      collect(token);
+    } else if (token.type === 'begin') {
+      frames.push({ kind: token.kind, path, entries, index: 0 });
+    }
+  };
+};
+
+/**
+ * Read text from a stream of strings or buffers, decoding UTF-8 sequences
+ * split across chunks
+ * @param {AsyncIterable<string|Buffer>} input - Readable stream
+ * @returns {AsyncGenerator<string>} Text chunks
+ */
+async function* readText(input) {
+  const decoder = new StringDecoder('utf8');
+  for await (const chunk of input) {
+    yield _.isString(chunk) ? chunk : decoder.write(chunk);
+  }
+  yield decoder.end();
+}
+
+/**
+ * Match a JSONPath against a JSON document read from a stream, yielding each
+ * match as soon as it has been read. Matches come in document order; only
+ * the matched nodes are kept in memory, so a path like `$.records[*]` can
+ * walk documents far larger than memory.
+ * Filters are evaluated on the candidate node only (`$` is not available),
+ * and negative indices and backward slices read the whole array first.
+ * @param {AsyncIterable<string|Buffer>} input - Readable stream
+ * @param {string} jsonPath - JSONPath expression
+ * @param {Object} options - { lenient }
+ * @returns {AsyncGenerator<{value: *, path: Array<string|number>}>} Matches
+ * @throws {Error} If the input is not valid JSON
+ */
+export async function* streamMatches(input, jsonPath, options = {}) {
+  const matches = [];
+  const tokenizer = createTokenizer(createStreamMatcher(jsonPath, match => matches.push(match), options));
+
+  for await (const text of readText(input)) {
+    tokenizer.write(text);
+    yield* matches.splice(0);
+  }
+  tokenizer.end();
+  yield* matches.splice(0);
+}
+
+/**
+ * Resolve the function applied to each record
+ * @param {Object|Function} rules - Rules object, or a transformer function
+ * @param {TransformOptions} options - Transformation options
+ * @returns {Function} (record) => result
+ */
+const recordTransformer = (rules, options) => (_.isFunction(rules) ? rules : compile(rules, options));
+
+/**
+ * Transform each node a JSONPath selects in a streamed JSON document, such
+ * as every element of `$.records[*]`
+ * @param {AsyncIterable<string|Buffer>} input - Readable stream
+ * @param {string} jsonPath - Path of the records
+ * @param {Object|Function} rules - Rules object, or a transformer function
+ * @param {TransformOptions} options - Transformation options
+ * @returns {AsyncGenerator<*>} Transformed records
+ */
+export async function* streamTransform(input, jsonPath, rules, options = {}) {
+  const transformRecord = recordTransformer(rules, options);
+
+  for await (const { value } of streamMatches(input, jsonPath, options)) {
+    yield transformRecord(value);
+  }
+}
+
+/**
+ * Transform newline-delimited JSON: every non-blank line of the input is
+ * parsed, transformed and written to the output as one line. Reading waits
+ * while the output is full, so memory stays bounded by the longest line.
+ * @param {AsyncIterable<string|Buffer>} input - Readable stream
+ * @param {Writable} output - Writable stream
+ * @param {Object|Function} rules - Rules object, or a transformer function
+ * @param {TransformOptions} options - Transformation options, and
+ *   `end = true` to end the output when the input is exhausted
+ * @returns {Promise<number>} Number of records written
+ * @throws {Error} If a line is not valid JSON
+ */
+export const transformNdjson = async (input, output, rules, options = {}) => {
+  const transformRecord = recordTransformer(rules, options);
+  let pending = '';
+  let lineNumber = 0;
+  let records = 0;
+
+  const writeLine = async (line) => {
+    lineNumber++;
+    if (line.trim() === '') {
+      return;
+    }
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${lineNumber}: ${error.message}`);
+    }
+    records++;
+    if (!output.write(JSON.stringify(transformRecord(record)) + '\n')) {
+      await once(output, 'drain');
+    }
+  };
+
+  for await (const text of readText(input)) {
+    const lines = (pending + text).split('\n');
+    pending = lines.pop();
+    for (const line of lines) {
+      await writeLine(line);
+    }
+  }
+  await writeLine(pending);
+
+  if (options.end !== false) {
+    output.end();
+    await once(output, 'finish');
+  }
+  return records;
+};
\ No newline at end of file
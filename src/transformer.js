@@ -4,127 +4,1488 @@
  */
 
 import _ from 'lodash';
-import { createAutomaton } from './automaton.js';
+import { createAutomaton, formatPath } from './automaton.js';
+import { parseExpression, evaluateExpression, testExpression } from './expression.js';
+import { valueFunctions, getRuleFunctions, applyFunctions } from './functions.js';
+import { aggregateOps, parseOperationChain, applyOperations } from './operations.js';
+import { createPatchRecorder } from './patch.js';
+import { createSourcePlan } from './plan.js';
+import { parsePath, splitDocumentPath } from './parser.js';
+import { createLineageRecorder, deriveOrigin } from './lineage.js';
+import { validateSchema, SchemaValidationError } from './schema.js';
+import { lintRules } from './validation.js';
 
-/**
- * Aggregate operations for JSONPath expressions
- */
-export const aggregateOps = {
-  max: (values) => _.max(values),
-  min: (values) => _.min(values),
-  sum: (values) => _.sum(values),
-  avg: (values) => _.mean(values),
-  count: (values) => values.length,
-  first: (values) => _.first(values),
-  last: (values) => _.last(values),
-  unique: (values) => _.uniq(values),
-  sort: (values) => _.sortBy(values),
-  reverse: (values) => _.reverse([...values])
-};
+export { aggregateOps };
 
 /**
  * Parse JSONPath with aggregate operations
- * @param {string} jsonPath - JSONPath with possible aggregate operation
- * @returns {Object} Parsed path and operation
+ * @param {string} jsonPath - JSONPath with possible chain of aggregate operations
+ * @returns {Object} Parsed path, first operation name and the full operation chain
  */
 export const parsePathWithOperation = (jsonPath) => {
-  const operationMatch = jsonPath.match(/\.(\w+)\(\)$/);
+  const { path, operations } = parseOperationChain(jsonPath);
   
-  if (operationMatch) {
-    const operation = operationMatch[1];
-    const cleanPath = jsonPath.replace(/\.\w+\(\)$/, '');
-    return { path: cleanPath, operation };
+  if (operations.length > 0) {
+    return { path, operation: operations[0].name, operations };
   }
   
-  return { path: jsonPath, operation: null };
+  return { path: jsonPath, operation: null, operations };
+};
+
+/**
+ * Create the automaton for a path, honoring the `lenient` parse option and
+ * the named `documents` its filters may read. Rule contexts carry a cache so that each path is parsed only once.
+ * @param {string} jsonPath - JSONPath (without aggregate operations)
+ * @param {TransformOptions|RuleContext} options - Options or rule context
+ * @returns {TreeAutomaton} Automaton
+ */
+const automatonFor = (jsonPath, options = {}) => {
+  const { automata } = options;
+  if (!automata) {
+    return createAutomaton(jsonPath, { lenient: options.lenient, documents: options.documents });
+  }
+  if (!automata.has(jsonPath)) {
+    automata.set(jsonPath, createAutomaton(jsonPath, { lenient: options.lenient, documents: options.documents }));
+  }
+  return automata.get(jsonPath);
+};
+
+/**
+ * Match a source path, reusing the matches of a compiled source plan when
+ * the path is read from the source document
+ * @param {*} data - Data the path is evaluated against
+ * @param {string} jsonPath - JSONPath (without aggregate operations)
+ * @param {TransformOptions|RuleContext} options - Options or rule context
+ * @returns {Array} Matches as reported by `TreeAutomaton.process`
+ */
+const selectMatches = (data, jsonPath, options = {}) => {
+  const { sources } = options;
+  if (sources && data === options.root && sources.has(jsonPath)) {
+    return sources.get(jsonPath);
+  }
+  return automatonFor(jsonPath, options).process(data);
 };
 
 /**
  * Extract values from JSON using JSONPath with tree automaton
  * @param {*} jsonData - Source JSON data
  * @param {string} jsonPath - JSONPath expression
+ * @param {TransformOptions} options - Options (custom `operations` are
+ *   honored); `first: true` stops at the first match, so aggregate operations
+ *   see at most one value and a path matching nothing yields undefined
  * @returns {Array|*} Extracted values or single value
  */
-export const extractValues = (jsonData, jsonPath) => {
-  const { path, operation } = parsePathWithOperation(jsonPath);
-  const automaton = createAutomaton(path);
-  const results = automaton.process(jsonData);
+export const extractValues = (jsonData, jsonPath, options = {}) => {
+  const { path, operations } = parsePathWithOperation(jsonPath);
+  const results = options.first
+    ? _.compact([automatonFor(path, options).first(jsonData)])
+    : selectMatches(jsonData, path, options);
   
   const values = results.map(result => result.value);
   
-  if (operation && aggregateOps[operation]) {
-    return aggregateOps[operation](values);
+  if (operations.length > 0) {
+    return applyOperations(values, operations, { ...aggregateOps, ...options.operations });
+  }
+  if (options.first) {
+    return values[0];
   }
   
   return values.length === 1 ? values[0] : values;
 };
 
 /**
- * Set value at JSONPath in target object (immutable)
+ * Resolve a target JSONPath into concrete property keys and array indices
+ * @param {Object} target - Target object (used to resolve negative indices)
+ * @param {string} targetPath - JSONPath for target
+ * @param {number[]} wildcardIndices - Indices substituted for `[*]`, in order
+ * @param {TransformOptions} options - Options (`lenient` parsing is honored)
+ * @returns {Array<string|number>} Concrete path
+ */
+export const resolveTargetPath = (target, targetPath, wildcardIndices = [], options = {}) => {
+  const { rule } = automatonFor(targetPath, options);
+  const path = [];
+  let cursor = target;
+  let wildcardPosition = 0;
+
+  for (const segment of rule) {
+    let key;
+    if (segment.type === 'wildcard' && wildcardPosition < wildcardIndices.length) {
+      key = wildcardIndices[wildcardPosition++];
+    } else if (segment.type === 'property') {
+      key = segment.value;
+    } else if (segment.type === 'index') {
+      key = segment.value < 0 && _.isArray(cursor) ? cursor.length + segment.value : segment.value;
+      if (key < 0) {
+        throw new Error(`Index ${segment.value} is out of range in target path "${targetPath}"`);
+      }
+    } else {
+      throw new Error(`Target path "${targetPath}" must be concrete (found ${segment.type} selector)`);
+    }
+    path.push(key);
+    cursor = _.isObject(cursor) ? cursor[key] : undefined;
+  }
+
+  return path;
+};
+
+/**
+ * Check whether a key creates an array when a missing container is
+ * written through it (as `_.set` does)
+ * @param {string|number} key - Path key
+ * @returns {boolean} True for array indices
+ */
+const isIndexKey = (key) => (_.isNumber(key) ? Number.isInteger(key) && key >= 0 : /^(?:0|[1-9]\d*)$/.test(key));
+
+/**
+ * Make a node writable: nodes not in `owned` are shallow-copied (and the
+ * copy becomes owned), so that only nodes created during the current build
+ * are ever modified in place
+ * @param {Object} node - Object or array
+ * @param {WeakSet} owned - Nodes that may be modified in place
+ * @returns {Object} Writable node
+ */
+const ownNode = (node, owned) => {
+  if (owned.has(node)) {
+    return node;
+  }
+  const copy = _.clone(node);
+  owned.add(copy);
+  return copy;
+};
+
+/**
+ * Make the ancestors of a path writable, creating missing containers on the
+ * way. Untouched subtrees stay shared with the original document.
+ * @param {Object} document - Document
+ * @param {Array<string|number>} path - Concrete path (non-empty)
+ * @param {WeakSet} owned - Nodes that may be modified in place
+ * @returns {Object} { document, parent }: the writable document and the
+ *   writable parent of the path's last key
+ */
+const draftParent = (document, path, owned) => {
+  const root = ownNode(_.isObject(document) ? document : {}, owned);
+  let node = root;
+
+  for (let depth = 0; depth < path.length - 1; depth++) {
+    const key = path[depth];
+    let child = node[key];
+    if (_.isObject(child)) {
+      child = ownNode(child, owned);
+    } else {
+      child = isIndexKey(path[depth + 1]) ? [] : {};
+      owned.add(child);
+    }
+    node[key] = child;
+    node = child;
+  }
+
+  return { document: root, parent: node };
+};
+
+/**
+ * Set value at JSONPath in target object (immutable: only the nodes along
+ * the path are copied, the rest is shared with `target`)
  * @param {Object} target - Target object
  * @param {string} targetPath - JSONPath for target
  * @param {*} value - Value to set
+ * @param {number[]} wildcardIndices - Indices substituted for `[*]`, in order
+ * @param {string} [strategy] - How to combine the value with one already
+ *   at the path (see mergeOutput), `'replace'` by default
  * @returns {Object} New object with value set
  */
-export const setValueAtPath = (target, targetPath, value) => {
-  // Convert JSONPath to lodash path format
-  const lodashPath = targetPath
-    .replace(/^\$\.?/, '')  // Remove leading $
-    .replace(/\[(\d+)\]/g, '.$1')  // Convert [0] to .0
-    .replace(/\[([^\]]+)\]/g, '.$1');  // Convert [key] to .key
-  
-  return _.set(_.cloneDeep(target), lodashPath, value);
+export const setValueAtPath = (target, targetPath, value, wildcardIndices = [], strategy = 'replace') => {
+  // Array paths keep quoted names such as ['a.b'] as a single key
+  const path = resolveTargetPath(target, targetPath, wildcardIndices);
+  if (path.length === 0) {
+    return _.clone(target);
+  }
+  if (strategy !== 'replace') {
+    const context = { recorder: null, rulePath: [], owned: new WeakSet() };
+    return mergeOutput(target, path, value, context, undefined, mergeStrategyOf({ merge: strategy }, context));
+  }
+
+  const { document, parent } = draftParent(target, path, new WeakSet());
+  parent[_.last(path)] = value;
+  return document;
 };
 
 /**
- * Transform single mapping rule
+ * Evaluation context for a rule
+ * @typedef {Object} RuleContext
+ * @property {*} root - Source document, bound to `$` in source paths
+ * @property {*} current - Current foreach element, bound to `@` in source paths
+ * @property {Array<string|number>|null} currentPath - Concrete source path of
+ *   the current element, null when it is not a node of the source document
+ * @property {Array<string|number>} base - Concrete output path bound to `@` in target paths
+ * @property {Object} functions - Value function registry
+ * @property {Object} operations - Aggregate operation registry
+ * @property {Object|null} recorder - Patch or lineage recorder notified of
+ *   every write
+ * @property {number[]} rulePath - Index of the rule being applied at each
+ *   foreach level
+ * @property {boolean} lenient - Whether paths are parsed leniently
+ * @property {Map} automata - Parsed automata by path
+ * @property {Map|null} sources - Matches of a compiled source plan by path,
+ *   against `root`
+ * @property {WeakSet} owned - Output nodes created by the current
+ *   transformation, which are modified in place instead of copied
+ * @property {string} merge - Merge strategy of rules that do not set one
+ * @property {Object} documents - Named input documents, bound to `$name` in
+ *   source paths
+ * @property {Map} indexes - Lookup indexes built so far, by collection and key
+ */
+
+/**
+ * Transformation options
+ * @typedef {Object} TransformOptions
+ * @property {Object} [functions] - Custom value functions, by name
+ * @property {Object} [operations] - Custom aggregate operations, by name
+ * @property {string} [mode] - `'project'` (default) builds a fresh object,
+ *   `'update'` applies the rules onto a copy of the source document
+ * @property {Object} [base] - Document the rules are applied onto (a copy
+ *   of it), taking precedence over `mode`
+ * @property {boolean} [lenient] - Parse paths the forgiving way of earlier
+ *   versions instead of throwing JsonPathSyntaxError
+ * @property {Object} [documents] - Further input documents by name, read by
+ *   source paths such as `$customers[*]`
+ */
+
+/**
+ * Create the top-level rule context for a source document
  * @param {*} sourceData - Source JSON data
- * @param {Object} rule - Transformation rule { source, target }
- * @param {Object} accumulator - Current result accumulator
+ * @param {TransformOptions} options - Transformation options
+ * @param {Object} [transformationRules] - Rule set, for its default `merge`
+ *   strategy
+ * @returns {RuleContext} Context
+ */
+const createContext = (sourceData, options = {}, transformationRules = {}) => ({
+  root: sourceData,
+  current: sourceData,
+  currentPath: [],
+  base: [],
+  functions: { ...valueFunctions, ...options.functions },
+  operations: { ...aggregateOps, ...options.operations },
+  recorder: null,
+  rulePath: [],
+  lenient: Boolean(options.lenient),
+  automata: new Map(),
+  sources: null,
+  owned: new WeakSet(),
+  merge: _.defaultTo(transformationRules.merge, 'replace'),
+  documents: options.documents || {},
+  indexes: new Map()
+});
+
+/**
+ * Create the document the rules are written into
+ * @param {*} sourceData - Source JSON data
+ * @param {TransformOptions} options - Transformation options
+ * @returns {Object} Initial result
+ */
+const createInitialResult = (sourceData, options = {}) => {
+  if (options.base !== undefined) {
+    return _.cloneDeep(options.base);
+  }
+
+  const { mode = 'project' } = options;
+  if (mode === 'update') {
+    return _.cloneDeep(sourceData);
+  }
+  if (mode !== 'project') {
+    throw new Error(`Unknown transform mode "${mode}"`);
+  }
+  return {};
+};
+
+/**
+ * Find the named input document a source path reads, if any. Lenient
+ * parsing reads `$name` as `$.name` unless a document of that name was
+ * passed in.
+ * @param {RuleContext} context - Rule context
+ * @param {string} source - Source JSONPath
+ * @returns {Object} { document, path } from splitDocumentPath, with a null
+ *   document for paths into the source document
+ */
+const readDocumentPath = (context, source) => {
+  const split = splitDocumentPath(source);
+  if (split.document !== null && context.lenient && !_.has(context.documents, split.document)) {
+    return { document: null, path: source };
+  }
+  return split;
+};
+
+/**
+ * Resolve a source path against the context: `@...` paths are relative to
+ * the current foreach element, `$name...` paths to the named input document
+ * and `$...` paths to the source document
+ * @param {RuleContext} context - Rule context
+ * @param {string} source - Source JSONPath
+ * @returns {Object} { data, path } with path rewritten to start at `$`
+ * @throws {Error} If the path names a document that was not passed in
+ */
+const resolveSource = (context, source) => {
+  if (source.startsWith('@')) {
+    return { data: context.current, path: '$' + source.slice(1) };
+  }
+
+  const { document, path } = readDocumentPath(context, source);
+  if (document === null) {
+    return { data: context.root, path };
+  }
+  if (!_.has(context.documents, document)) {
+    throw new Error(`Unknown document "$${document}"`);
+  }
+  return { data: context.documents[document], path };
+};
+
+/**
+ * Resolve a target path against the context: `@...` paths are relative to
+ * the output element of the enclosing foreach block
+ * @param {Object} accumulator - Current result
+ * @param {string} target - Target JSONPath
+ * @param {number[]} wildcardIndices - Indices substituted for `[*]`
+ * @param {RuleContext} context - Rule context
+ * @returns {Array<string|number>} Concrete output path
+ */
+const resolveTarget = (accumulator, target, wildcardIndices, context) => {
+  if (target.startsWith('@')) {
+    const element = context.base.length > 0 ? _.get(accumulator, context.base) : accumulator;
+    return [...context.base, ...resolveTargetPath(element, '$' + target.slice(1), wildcardIndices, context)];
+  }
+  return resolveTargetPath(accumulator, target, wildcardIndices, context);
+};
+
+/**
+ * Write a value into the output document, notifying the context's
+ * recorder of the write and the rule making it. Nodes the transformation
+ * created are updated in place and any other node is copied before its
+ * first change, so a result is built in linear time while the source
+ * document and the documents passed in are never modified.
+ * @param {Object} accumulator - Current result
+ * @param {Array<string|number>} path - Concrete output path
+ * @param {*} value - Value to write
+ * @param {RuleContext} context - Rule context
+ * @param {Object} [origin] - Where the value comes from, for lineage:
+ *   `{ sources, copied }` or `{ moved }` (see readOrigin)
+ * @returns {Object} Updated result
+ */
+const writeOutput = (accumulator, path, value, context, origin) => {
+  if (path.length === 0) {
+    return accumulator;
+  }
+  if (context.recorder) {
+    context.recorder.write(accumulator, path, value, { rulePath: context.rulePath, sources: [], copied: false, ...origin });
+  }
+
+  const { document, parent } = draftParent(accumulator, path, context.owned);
+  parent[_.last(path)] = value;
+  return document;
+};
+
+/**
+ * Strategies for a rule writing to a target that already holds a value
+ */
+const MERGE_STRATEGIES = ['replace', 'deepMerge', 'append', 'concatUnique', 'error'];
+
+/**
+ * Find the merge strategy of a rule: its own `merge`, or else the rule set's
+ * @param {Object} rule - Mapping rule
+ * @param {RuleContext} context - Rule context
+ * @returns {string} Merge strategy
+ */
+const mergeStrategyOf = (rule, context) => {
+  const strategy = _.defaultTo(rule.merge, context.merge);
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown merge strategy "${strategy}"`);
+  }
+  return strategy;
+};
+
+/**
+ * Write a value into the output document, combining it with the value the
+ * target already holds as the merge strategy says: `replace` overwrites it,
+ * `deepMerge` merges objects key by key, `append` adds the value (or the
+ * items of an array value) to the array there and `concatUnique` only those
+ * not already in it, while `error` refuses to write to an existing target.
+ * Values below the target are written one by one, so that recorders see
+ * the individual writes.
+ * @param {Object} accumulator - Current result
+ * @param {Array<string|number>} path - Concrete output path
+ * @param {*} value - Value to write
+ * @param {RuleContext} context - Rule context
+ * @param {Object} [origin] - Where the value comes from (see writeOutput)
+ * @param {string} strategy - Merge strategy
+ * @returns {Object} Updated result
+ * @throws {Error} If the target holds a value and the strategy is `error`,
+ *   or it holds something other than an array and the strategy appends
+ */
+const mergeOutput = (accumulator, path, value, context, origin, strategy) => {
+  if (path.length === 0) {
+    return accumulator;
+  }
+
+  const exists = _.has(accumulator, path);
+  const existing = exists ? _.get(accumulator, path) : undefined;
+  const below = (key) => origin && deriveOrigin(origin, [key]);
+
+  switch (strategy) {
+    case 'error':
+      if (exists) {
+        throw new Error(`Target "${formatPath(path)}" already holds a value (merge strategy "error")`);
+      }
+      break;
+    case 'deepMerge':
+      if (_.isPlainObject(existing) && _.isPlainObject(value)) {
+        return _.reduce(value, (acc, child, key) => mergeOutput(acc, [...path, key], child, context, below(key), strategy), accumulator);
+      }
+      break;
+    case 'append':
+    case 'concatUnique': {
+      if (exists && !_.isArray(existing)) {
+        throw new Error(`Cannot append to "${formatPath(path)}": it holds a value that is not an array`);
+      }
+      const items = _.isArray(value) ? value : [value];
+      const initialized = exists ? accumulator : writeOutput(accumulator, path, [], context);
+
+      return items.reduce((acc, item, index) => {
+        const array = _.get(acc, path);
+        if (strategy === 'concatUnique' && array.some(present => _.isEqual(present, item))) {
+          return acc;
+        }
+        return writeOutput(acc, [...path, array.length], item, context, _.isArray(value) ? below(index) : origin);
+      }, initialized);
+    }
+  }
+
+  return writeOutput(accumulator, path, value, context, origin);
+};
+
+/**
+ * Source path segments that select several nodes and bind a target wildcard
+ */
+const BINDING_SEGMENTS = ['wildcard', 'slice', 'filter', 'union'];
+
+/**
+ * Count the `[*]` wildcards in a target path
+ * @param {string} target - Target JSONPath
+ * @param {RuleContext} context - Rule context
+ * @returns {number} Wildcard count
+ */
+const countTargetWildcards = (target, context) => {
+  const path = target.startsWith('@') ? '$' + target.slice(1) : target;
+  return automatonFor(path, context).rule.filter(segment => segment.type === 'wildcard').length;
+};
+
+/**
+ * Collect the values a rule writes into a wildcard target, each with its
+ * source path and the positions bound by the source's multi-selecting segments
+ * @param {*} sourceData - Source JSON data
+ * @param {string} source - Source JSONPath (possibly with an operation)
+ * @param {RuleContext} context - Rule context
+ * @returns {Array<{value: *, path: Array|null, bindings: number[]}>} Entries to write
+ */
+const collectWildcardEntries = (sourceData, source, context) => {
+  const { path, operation } = parsePathWithOperation(source);
+
+  if (operation) {
+    const extractedValue = extractValues(sourceData, source, context);
+    return spreadValue(extractedValue);
+  }
+
+  const matches = selectMatches(sourceData, path, context);
+  if (matches.some(match => match.bindings.length > 0)) {
+    return matches;
+  }
+
+  // Single array values and recursive descent spread as a flat list
+  if (matches.length === 1 && _.isArray(matches[0].value)) {
+    const [match] = matches;
+    return match.value.map((value, index) => ({ value, path: [...match.path, index], bindings: [index] }));
+  }
+  return matches.map((match, index) => ({ ...match, bindings: [index] }));
+};
+
+/**
+ * Spread a value over a wildcard target: arrays element by element, any
+ * other value as a single element, undefined as nothing
+ * @param {*} value - Value to spread
+ * @returns {Array} Entries without source paths
+ */
+const spreadValue = (value) => {
+  if (value === undefined) {
+    return [];
+  }
+  const values = _.isArray(value) ? value : [value];
+  return values.map((item, index) => ({ value: item, path: null, bindings: [index] }));
+};
+
+/**
+ * Bind target wildcards to source positions. Wildcards pair up positionally;
+ * when the source has more dimensions than the target, the remaining ones are
+ * flattened into the last target wildcard. `flatten` collapses everything into
+ * a single running index.
+ * @param {Array} entries - Entries from collectWildcardEntries
+ * @param {number} wildcardCount - Number of `[*]` in the target
+ * @param {Object} rule - Transformation rule
+ * @returns {number[][]} Target wildcard indices for each entry
+ */
+const bindTargetWildcards = (entries, wildcardCount, rule) => {
+  const { target, flatten } = rule;
+  const source = rule.foreach || rule.source;
+
+  if (flatten) {
+    if (wildcardCount !== 1) {
+      throw new Error(`Flattened target "${target}" must contain exactly one [*] wildcard`);
+    }
+    return entries.map((entry, index) => [index]);
+  }
+
+  const counters = new Map();
+
+  return entries.map(({ bindings }) => {
+    if (bindings.length < wildcardCount) {
+      throw new Error(
+        `Target "${target}" has ${wildcardCount} [*] wildcards but source "${source}" only binds ${bindings.length}`
+      );
+    }
+    if (bindings.length === wildcardCount) {
+      return bindings;
+    }
+
+    const outer = bindings.slice(0, wildcardCount - 1);
+    const key = outer.join(',');
+    const next = counters.get(key) || 0;
+    counters.set(key, next + 1);
+    return [...outer, next];
+  });
+};
+
+/**
+ * Shift the last target wildcard of appended entries past the elements the
+ * arrays they are written into already hold
+ * @param {Object} accumulator - Current result
+ * @param {string} target - Target JSONPath
+ * @param {number[][]} targetIndices - Target wildcard indices of each entry
+ * @param {RuleContext} context - Rule context
+ * @returns {Object} { targetIndices, arrays } with the shifted indices and
+ *   the `{ path, length }` of each array appended to
+ */
+const appendTargetIndices = (accumulator, target, targetIndices, context) => {
+  const arrayTarget = target.substring(0, target.lastIndexOf('[*]'));
+  const arrays = new Map();
+
+  const shifted = targetIndices.map((indices) => {
+    const path = resolveTarget(accumulator, arrayTarget, indices.slice(0, -1), context);
+    const key = JSON.stringify(path);
+    if (!arrays.has(key)) {
+      const existing = path.length > 0 ? _.get(accumulator, path) : accumulator;
+      if (path.length > 0 && existing !== undefined && !_.isArray(existing)) {
+        throw new Error(`Cannot append to "${formatPath(path)}": it holds a value that is not an array`);
+      }
+      arrays.set(key, { path, length: _.size(existing) });
+    }
+    return [...indices.slice(0, -1), _.last(indices) + arrays.get(key).length];
+  });
+
+  return { targetIndices: shifted, arrays: [...arrays.values()] };
+};
+
+/**
+ * Remove the appended elements of arrays that equal an element before them
+ * @param {Object} accumulator - Current result
+ * @param {Object[]} arrays - `{ path, length }` of each array appended to,
+ *   with the length it had before
+ * @param {RuleContext} context - Rule context
+ * @returns {Object} Updated accumulator
+ */
+const removeAppendedDuplicates = (accumulator, arrays, context) => {
+  const duplicates = _.flatMap(arrays, ({ path, length }) => {
+    const items = _.get(accumulator, path, []);
+    return _.range(length, items.length)
+      .filter(index => items.slice(0, index).some(item => _.isEqual(item, items[index])))
+      .map(index => [...path, index]);
+  });
+  return duplicates.length > 0 ? removePaths(accumulator, duplicates, context) : accumulator;
+};
+
+/**
+ * Write the entries of a wildcard rule into the accumulator. With the
+ * `append` and `concatUnique` strategies, the last `[*]` of the target
+ * continues after the elements its array already holds.
+ * @param {Object} accumulator - Current result
+ * @param {Object} rule - Rule being applied
+ * @param {Array} entries - Entries from collectWildcardEntries
+ * @param {RuleContext} context - Rule context
+ * @param {Function} writeEntry - (acc, entry, concretePath) => acc
+ * @param {string} [strategy] - Merge strategy
+ * @returns {Object} Updated accumulator
+ */
+const writeWildcardEntries = (accumulator, rule, entries, context, writeEntry, strategy = 'replace') => {
+  const { target } = rule;
+
+  // Handle empty arrays by setting empty array at target
+  if (entries.length === 0) {
+    // Find the path up to [*] to set as empty array
+    const wildcardIndex = target.indexOf('[*]');
+    const baseTarget = target.substring(0, wildcardIndex);
+    const path = resolveTarget(accumulator, baseTarget, [], context);
+    return mergeOutput(accumulator, path, [], context, undefined, strategy);
+  }
+
+  const appending = strategy === 'append' || strategy === 'concatUnique';
+  const bound = bindTargetWildcards(entries, countTargetWildcards(target, context), rule);
+  const { targetIndices, arrays } = appending
+    ? appendTargetIndices(accumulator, target, bound, context)
+    : { targetIndices: bound, arrays: [] };
+
+  const result = _.reduce(entries, (acc, entry, index) => {
+    const path = resolveTarget(acc, target, targetIndices[index], context);
+    return writeEntry(acc, entry, path);
+  }, accumulator);
+  return strategy === 'concatUnique' ? removeAppendedDuplicates(result, arrays, context) : result;
+};
+
+/**
+ * Write an empty array below each outer element of a nested wildcard target
+ * whose source element matched nothing further in, as the flat case writes
+ * `[]` for an empty source: `$.orders[*].items[*].sku -> $.out[*].lines[*]`
+ * writes `{ lines: [] }` for an order without items instead of leaving a
+ * hole in `out`
+ * @param {Object} accumulator - Current result
+ * @param {Object} rule - Rule being applied
+ * @param {Object} source - { data, path } the rule's entries were read from
+ * @param {RuleContext} context - Rule context
  * @returns {Object} Updated accumulator
  */
-export const transformSingleRule = (sourceData, rule, accumulator = {}) => {
-  const { source, target } = rule;
-  const extractedValue = extractValues(sourceData, source);
+const writeEmptyElements = (accumulator, rule, source, context) => {
+  const { target } = rule;
+  const wildcardCount = countTargetWildcards(target, context);
+  if (rule.flatten || wildcardCount < 2 || parsePathWithOperation(source.path).operation) {
+    return accumulator;
+  }
+
+  // Source paths up to each multi-selecting segment; paths read the lenient
+  // way have no offsets to cut them at
+  const { segments, positions } = parsePath(source.path, { lenient: context.lenient });
+  if (positions.some(position => position === null)) {
+    return accumulator;
+  }
+  const outerSources = segments
+    .map((segment, index) => ({ segment, end: index + 1 < positions.length ? positions[index + 1] : source.path.length }))
+    .filter(({ segment }) => BINDING_SEGMENTS.includes(segment.type))
+    .map(({ end }) => source.path.slice(0, end).replace(/\.+$/, ''));
+  const wildcardStarts = [...target.matchAll(/\[\*\]/g)].map(match => match.index);
+
+  return _.range(1, wildcardCount).reduce((result, depth) => {
+    const arrayTarget = target.substring(0, wildcardStarts[depth]);
+    return selectMatches(source.data, outerSources[depth - 1], context)
+      .filter(({ bindings }) => bindings.length === depth)
+      .reduce((acc, { bindings }) => {
+        const path = resolveTarget(acc, arrayTarget, bindings, context);
+        return _.has(acc, path) ? acc : writeOutput(acc, path, [], context);
+      }, result);
+  }, accumulator);
+};
+
+/**
+ * Apply a foreach block: sub-rules are evaluated once per matched element,
+ * with `@` bound to the element on the source side and to its output
+ * element on the target side
+ * @param {Object} rule - { foreach, target, mappings }
+ * @param {RuleContext} context - Rule context
+ * @param {Object} accumulator - Current result
+ * @returns {Object} Updated accumulator
+ */
+const applyForeachRule = (rule, context, accumulator) => {
+  const { foreach, target, mappings } = rule;
+  const { data, path } = resolveSource(context, foreach);
+  const entries = collectWildcardEntries(data, path, context);
+
+  if (entries.length === 0 && rule.required) {
+    throw missingSourceError(rule);
+  }
+
+  const strategy = mergeStrategyOf(rule, context);
+  const writeElement = (acc, entry, elementPath) => {
+    const currentPath = entry.path ? toSourceRoot(context, foreach, entry.path) : null;
+    // Elements are filled in place; only those earlier rules wrote conflict
+    if (strategy === 'error' && _.has(accumulator, elementPath)) {
+      throw new Error(`Target "${formatPath(elementPath)}" already holds a value (merge strategy "error")`);
+    }
+    const initialized = _.has(acc, elementPath)
+      ? acc
+      : writeOutput(acc, elementPath, {}, context, { sources: _.compact([currentPath]), element: true });
+    const elementContext = { ...context, current: entry.value, currentPath, base: elementPath };
+
+    return applyRules(mappings, elementContext, initialized);
+  };
+
+  if (countTargetWildcards(target, context) === 0) {
+    const elementPath = resolveTarget(accumulator, target, [], context);
+    return _.reduce(entries, (acc, entry) => writeElement(acc, entry, elementPath), accumulator);
+  }
+
+  const written = writeWildcardEntries(accumulator, rule, entries, context, writeElement, strategy);
+  return writeEmptyElements(written, rule, { data, path }, context);
+};
+
+/**
+ * Apply a single rule of any kind within a context
+ * @param {Object} rule - Transformation rule
+ * @param {RuleContext} context - Rule context
+ * @param {Object} accumulator - Current result
+ * @returns {Object} Updated accumulator
+ */
+const applyRule = (rule, context, accumulator) => {
+  if (rule.when !== undefined && !evaluateCondition(rule.when, context)) {
+    return accumulator;
+  }
+
+  if (rule.op !== undefined) {
+    return applyEditRule(rule, context, accumulator);
+  }
+
+  if (rule.foreach) {
+    return applyForeachRule(rule, context, accumulator);
+  }
+
+  const { target } = rule;
+  const mapValue = createValueMapper(rule, context);
+  const strategy = mergeStrategyOf(rule, context);
   
+  if (countTargetWildcards(target, context) === 0) {
+    let value = readRuleValue(rule, context, mapValue);
+    const defaulted = value === undefined;
+    if (defaulted) {
+      value = resolveDefault(rule, context);
+    }
+    if (value === undefined) {
+      if (rule.required) {
+        throw missingSourceError(rule);
+      }
+      return accumulator;
+    }
+
+    const targetPath = resolveTarget(accumulator, target, [], context);
+    return mergeOutput(accumulator, targetPath, value, context, context.recorder && readOrigin(rule, context, defaulted), strategy);
+  }
+
   // Handle array expansion for [*] wildcards
-  if (_.isArray(extractedValue) && target.includes('[*]')) {
-    // Handle empty arrays by setting empty array at target
-    if (extractedValue.length === 0) {
-      // Find the path up to [*] to set as empty array
-      const wildcardIndex = target.indexOf('[*]');
-      const baseTarget = target.substring(0, wildcardIndex);
-      return setValueAtPath(accumulator, baseTarget, []);
+  let entries = readRuleEntries(rule, context).map(entry => ({ ...entry, value: mapValue(entry.value) }));
+  const defaulted = entries.length === 0;
+  if (defaulted) {
+    entries = spreadValue(resolveDefault(rule, context));
+  }
+  if (entries.length === 0 && rule.required) {
+    throw missingSourceError(rule);
+  }
+
+  // Entries read from source nodes come from their own path
+  const origin = context.recorder && readOrigin(rule, context, defaulted);
+  // Appended entries are written past the existing elements, each on its own
+  const entryStrategy = strategy === 'append' || strategy === 'concatUnique' ? 'replace' : strategy;
+  const written = writeWildcardEntries(accumulator, rule, entries, context, (acc, entry, targetPath) => {
+    const entryOrigin = origin && entry.path
+      ? { ...origin, sources: _.compact([toSourceRoot(context, rule.source, entry.path)]) }
+      : origin;
+    return mergeOutput(acc, targetPath, entry.value, context, entryOrigin, entryStrategy);
+  }, strategy);
+  return isComputedRule(rule) ? written : writeEmptyElements(written, rule, resolveSource(context, rule.source), context);
+};
+
+/**
+ * Apply rules in order, each with its index appended to the context's
+ * rule path
+ * @param {Object[]} mappings - Rules
+ * @param {RuleContext} context - Rule context
+ * @param {Object} accumulator - Current result
+ * @returns {Object} Updated accumulator
+ */
+const applyRules = (mappings, context, accumulator) => _.reduce(
+  mappings,
+  (result, rule, index) => applyRule(rule, { ...context, rulePath: [...context.rulePath, index] }, result),
+  accumulator
+);
+
+/**
+ * Apply a rule set and check the result against its `outputSchema`, if it
+ * declares one. The writes are then traced so that each violation names
+ * the rules that wrote the offending path.
+ * @param {Object} transformationRules - Rules object with pathMappings
+ * @param {RuleContext} context - Rule context
+ * @param {Object} accumulator - Initial result
+ * @returns {Object} Result
+ * @throws {SchemaValidationError} If the result does not match the schema
+ */
+const applyRuleSet = (transformationRules, context, accumulator) => {
+  const { pathMappings, outputSchema } = transformationRules;
+  if (outputSchema === undefined) {
+    return applyRules(pathMappings, context, accumulator);
+  }
+
+  const recorder = createLineageRecorder();
+  const result = applyRules(pathMappings, { ...context, recorder }, accumulator);
+  const violations = validateSchema(result, outputSchema).map(violation => ({
+    ...violation,
+    rulePaths: _.uniqWith(recorder.originsOf(violation.path).map(origin => origin.rulePath), _.isEqual)
+  }));
+
+  if (violations.length > 0) {
+    throw new SchemaValidationError(violations);
+  }
+  return result;
+};
+
+/**
+ * Select nodes of the output document: `@...` paths are relative to the
+ * output element of the enclosing foreach block
+ * @param {Object} accumulator - Current result
+ * @param {string} jsonPath - JSONPath into the output
+ * @param {RuleContext} context - Rule context
+ * @returns {Object} { data, path, prefix, matches } where matches carry
+ *   concrete paths from the output root and prefix is the path of data
+ */
+const selectOutput = (accumulator, jsonPath, context) => {
+  const relative = jsonPath.startsWith('@');
+  const data = relative && context.base.length > 0 ? _.get(accumulator, context.base) : accumulator;
+  const path = relative ? '$' + jsonPath.slice(1) : jsonPath;
+  const prefix = relative ? context.base : [];
+
+  const matches = automatonFor(path, context).process(data)
+    .map(match => ({ ...match, path: [...prefix, ...match.path] }));
+  return { data, path, prefix, matches };
+};
+
+/**
+ * Order concrete paths for removal: later array elements before earlier
+ * ones and descendants before their ancestors, so removals never shift the
+ * position of a node still to be removed
+ * @param {Array<string|number>} a - Concrete path
+ * @param {Array<string|number>} b - Concrete path
+ * @returns {number} Sort order
+ */
+const compareRemovalOrder = (a, b) => {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) {
+      // Keys differing first share a parent, so they are of the same type
+      return a[i] < b[i] ? 1 : -1;
     }
-    
-    return _.reduce(extractedValue, (acc, item, index) => {
-      const indexedTarget = target.replace('[*]', `[${index}]`);
-      return setValueAtPath(acc, indexedTarget, item);
+  }
+  return b.length - a.length;
+};
+
+/**
+ * Remove nodes from the output document; array elements are spliced out
+ * @param {Object} accumulator - Current result
+ * @param {Array<Array<string|number>>} paths - Concrete paths
+ * @param {RuleContext} context - Rule context
+ * @returns {Object} Updated result
+ */
+const removePaths = (accumulator, paths, context) => {
+  const unique = _.uniqBy(paths, path => JSON.stringify(path));
+
+  return unique.sort(compareRemovalOrder).reduce((result, path) => {
+    if (path.length === 0) {
+      throw new Error('Cannot remove the document root');
+    }
+    if (context.recorder) {
+      context.recorder.remove(result, path);
+    }
+
+    const { document, parent } = draftParent(result, path, context.owned);
+    if (_.isArray(parent)) {
+      parent.splice(_.last(path), 1);
+    } else {
+      delete parent[_.last(path)];
+    }
+    return document;
+  }, accumulator);
+};
+
+/**
+ * Rename a property in place, keeping its position among the object's keys
+ * @param {Object} object - Object owning the property
+ * @param {string} from - Current name
+ * @param {string} to - New name
+ */
+const renameKey = (object, from, to) => {
+  const entries = Object.entries(object);
+  for (const key of Object.keys(object)) {
+    delete object[key];
+  }
+  for (const [key, value] of entries) {
+    if (key === from) {
+      object[to] = value;
+    } else if (key !== to) {
+      object[key] = value;
+    }
+  }
+};
+
+/**
+ * Edit operations. Their paths select nodes of the output document (any
+ * JSONPath selector may be used), not of the source document.
+ */
+const editOperations = {
+  delete: (rule, context, accumulator) => {
+    const { matches } = selectOutput(accumulator, rule.target, context);
+    if (matches.length === 0) {
+      return { matched: false, result: accumulator };
+    }
+
+    return { matched: true, result: removePaths(accumulator, matches.map(match => match.path), context) };
+  },
+
+  move: (rule, context, accumulator) => {
+    const { data, path, prefix, matches } = selectOutput(accumulator, rule.source, context);
+    if (matches.length === 0) {
+      return { matched: false, result: accumulator };
+    }
+
+    // Removing a moved node nested in another moved node would modify the
+    // outer one in place when the transformation created it, so nested
+    // matches are copied first; other nodes are moved as they are
+    const nested = matches.some(match => matches.some(other => other.path.length > match.path.length
+      && match.path.every((key, index) => other.path[index] === key)));
+    const copy = nested ? _.cloneDeep : _.identity;
+    const entries = countTargetWildcards(rule.target, context) > 0
+      ? collectWildcardEntries(data, path, context).map(entry => ({ ...entry, value: copy(entry.value) }))
+      : null;
+    const values = entries ? null : matches.map(match => copy(match.value));
+    const result = removePaths(accumulator, matches.map(match => match.path), context);
+
+    if (entries) {
+      const moved = writeWildcardEntries(result, rule, entries, context, (acc, entry, targetPath) => {
+        return writeOutput(acc, targetPath, entry.value, context, entry.path ? { moved: [[...prefix, ...entry.path]] } : undefined);
+      });
+      return { matched: true, result: writeEmptyElements(moved, rule, { data, path }, context) };
+    }
+
+    const value = values.length === 1 ? values[0] : values;
+    const targetPath = resolveTarget(result, rule.target, [], context);
+    return { matched: true, result: writeOutput(result, targetPath, value, context, { moved: matches.map(match => match.path) }) };
+  },
+
+  rename: (rule, context, accumulator) => {
+    const { matches } = selectOutput(accumulator, rule.target, context);
+    if (matches.length === 0) {
+      return { matched: false, result: accumulator };
+    }
+
+    const result = matches.reduce((acc, { path }) => {
+      const parentPath = path.slice(0, -1);
+      if (path.length === 0 || !_.isPlainObject(parentPath.length > 0 ? _.get(acc, parentPath) : acc)) {
+        throw new Error(`Cannot rename "${formatPath(path)}": only object properties can be renamed`);
+      }
+      if (context.recorder && _.last(path) !== rule.name) {
+        context.recorder.move(path, [...parentPath, rule.name]);
+      }
+
+      const { document, parent } = draftParent(acc, path, context.owned);
+      renameKey(parent, _.last(path), rule.name);
+      return document;
     }, accumulator);
+    return { matched: true, result };
   }
-  
-  return setValueAtPath(accumulator, target, extractedValue);
+};
+
+/**
+ * Apply an edit rule ({ op: 'delete' | 'move' | 'rename', ... }) to the
+ * output document
+ * @param {Object} rule - Edit rule
+ * @param {RuleContext} context - Rule context
+ * @param {Object} accumulator - Current result
+ * @returns {Object} Updated accumulator
+ */
+const applyEditRule = (rule, context, accumulator) => {
+  const operation = _.has(editOperations, rule.op) ? editOperations[rule.op] : undefined;
+  if (!operation) {
+    throw new Error(`Unknown rule operation "${rule.op}"`);
+  }
+
+  const { matched, result } = operation(rule, context, accumulator);
+  if (!matched && rule.required) {
+    const selected = rule.op === 'move' ? rule.source : rule.target;
+    throw new Error(`Required path "${selected}" for ${rule.op} matched nothing`);
+  }
+  return result;
+};
+
+/**
+ * Read the value a rule writes to a non-wildcard target
+ * @param {Object} rule - Mapping rule
+ * @param {RuleContext} context - Rule context
+ * @param {Function} mapValue - Value mapper
+ * @returns {*} Value to write, or undefined when missing
+ */
+const readRuleValue = (rule, context, mapValue) => {
+  if (isComputedRule(rule)) {
+    return mapDefined(computeRuleValue(rule, context), mapValue);
+  }
+  const { data, path } = resolveSource(context, rule.source);
+  return extractRuleValue(data, path, mapValue, context);
+};
+
+/**
+ * Read the entries a rule writes to a wildcard target
+ * @param {Object} rule - Mapping rule
+ * @param {RuleContext} context - Rule context
+ * @returns {Array} Entries from collectWildcardEntries or spreadValue
+ */
+const readRuleEntries = (rule, context) => {
+  if (isComputedRule(rule)) {
+    return spreadValue(computeRuleValue(rule, context));
+  }
+  const { data, path } = resolveSource(context, rule.source);
+  return collectWildcardEntries(data, path, context);
+};
+
+/**
+ * Check whether a rule writes a constant `value` or computed `expression`
+ * instead of reading a `source` path
+ * @param {Object} rule - Mapping rule
+ * @returns {boolean} True for constant and computed rules
+ */
+const isComputedRule = (rule) => _.has(rule, 'value') || rule.expression !== undefined;
+
+/**
+ * Compute the value of a constant or expression rule
+ * @param {Object} rule - Rule with `value` or `expression`
+ * @param {RuleContext} context - Rule context
+ * @returns {*} Value, or undefined when the expression yields nothing
+ */
+const computeRuleValue = (rule, context) => {
+  if (_.has(rule, 'value')) {
+    return _.cloneDeep(rule.value);
+  }
+  return evaluateExpression(parseExpression(rule.expression), createExpressionEnv(context));
+};
+
+/**
+ * Apply a mapper unless the value is missing
+ * @param {*} value - Value
+ * @param {Function} mapValue - Value mapper
+ * @returns {*} Mapped value, or undefined
+ */
+const mapDefined = (value, mapValue) => (value === undefined ? undefined : mapValue(value));
+
+/**
+ * Build the expression environment for a rule context. Paths in expressions
+ * may end in aggregate operations, e.g. `$.items[*].price.sum()`.
+ * @param {RuleContext} context - Rule context
+ * @returns {Object} Expression environment
+ */
+const createExpressionEnv = (context) => ({
+  current: context.current,
+  root: context.root,
+  documents: context.documents,
+  functions: context.functions,
+  query: (node, data) => {
+    const { path, operations } = parseOperationChain('$' + node.path.slice(1));
+    const values = selectMatches(data, path, context).map(result => result.value);
+    return operations.length > 0 ? [applyOperations(values, operations, context.operations)] : values;
+  }
+});
+
+/**
+ * Evaluate a rule's `when` condition. The condition uses the filter
+ * expression language, with `@` bound to the current foreach element
+ * (the source document at the top level) and `$` to the source document.
+ * @param {string} expression - Condition source
+ * @param {RuleContext} context - Rule context
+ * @returns {boolean} True if the rule applies
+ */
+const evaluateCondition = (expression, context) => {
+  return testExpression(parseExpression(expression), createExpressionEnv(context));
+};
+
+/**
+ * Resolve a rule's `default`: a literal, or `{ "source": path }` to read the
+ * fallback from another source path
+ * @param {Object} rule - Mapping rule
+ * @param {RuleContext} context - Rule context
+ * @returns {*} Default value, or undefined if there is none
+ */
+const resolveDefault = (rule, context) => {
+  if (!_.has(rule, 'default')) {
+    return undefined;
+  }
+  if (_.isPlainObject(rule.default) && _.isString(rule.default.source)) {
+    const { data, path } = resolveSource(context, rule.default.source);
+    return extractRuleValue(data, path, _.identity, context);
+  }
+  return rule.default;
+};
+
+/**
+ * Turn a concrete path matched by a source path into a path from the root
+ * of the source document
+ * @param {RuleContext} context - Rule context
+ * @param {string} source - Source JSONPath the path was matched by
+ * @param {Array<string|number>} path - Matched path
+ * @returns {Array<string|number>|null} Path, or null when the source path
+ *   reads a named input document or `@` is bound to a value that is not a
+ *   node of the source document
+ */
+const toSourceRoot = (context, source, path) => {
+  if (!source.startsWith('@')) {
+    return readDocumentPath(context, source).document === null ? path : null;
+  }
+  return context.currentPath ? [...context.currentPath, ...path] : null;
+};
+
+/**
+ * Find the concrete source paths a source path reads
+ * @param {RuleContext} context - Rule context
+ * @param {string} source - Source JSONPath (possibly with operations)
+ * @returns {Array<Array<string|number>>} Paths from the source root
+ */
+const readSourcePaths = (context, source) => {
+  const { data, path } = resolveSource(context, source);
+  const matches = selectMatches(data, parsePathWithOperation(path).path, context);
+  return _.compact(matches.map(match => toSourceRoot(context, source, match.path)));
+};
+
+/**
+ * Find the concrete source paths an expression reads
+ * @param {string} expression - Expression source
+ * @param {RuleContext} context - Rule context
+ * @returns {Array<Array<string|number>>} Paths from the source root
+ */
+const readExpressionSources = (expression, context) => {
+  const sources = [];
+  const env = createExpressionEnv(context);
+  const query = (node, data) => {
+    // Named input documents are not part of the source document
+    if (node.document === undefined) {
+      const { path } = parseOperationChain('$' + node.path.slice(1));
+      sources.push(...selectMatches(data, path, context).map(match => toSourceRoot(context, node.path, match.path)));
+    }
+    return env.query(node, data);
+  };
+
+  evaluateExpression(parseExpression(expression), { ...env, query });
+  return _.uniqWith(_.compact(sources), _.isEqual);
+};
+
+/**
+ * Describe where the value a rule writes comes from, for lineage recorders
+ * @param {Object} rule - Mapping rule
+ * @param {RuleContext} context - Rule context
+ * @param {boolean} defaulted - Whether the rule fell back to its default
+ * @returns {Object} { sources, copied } where copied tells whether the value
+ *   is the source value itself rather than a function of it
+ */
+const readOrigin = (rule, context, defaulted) => {
+  if (defaulted) {
+    const source = _.isPlainObject(rule.default) ? rule.default.source : undefined;
+    if (!_.isString(source)) {
+      return { sources: [], copied: false };
+    }
+    return { sources: readSourcePaths(context, source), copied: parsePathWithOperation(source).operation === null };
+  }
+  if (_.has(rule, 'value')) {
+    return { sources: [], copied: false };
+  }
+  if (rule.expression !== undefined) {
+    return { sources: readExpressionSources(rule.expression, context), copied: false };
+  }
+
+  const copied = parsePathWithOperation(rule.source).operation === null
+    && getRuleFunctions(rule).length === 0
+    && rule.lookup === undefined;
+  return { sources: readSourcePaths(context, rule.source), copied };
+};
+
+/**
+ * Build the error thrown when a required source matches nothing
+ * @param {Object} rule - Mapping rule
+ * @returns {Error} Error
+ */
+const missingSourceError = (rule) => {
+  const source = rule.foreach || rule.source || rule.expression;
+  return new Error(`Required source "${source}" for target "${rule.target}" matched nothing`);
+};
+
+/**
+ * Build the function applying a rule's `transform`/`pipe` functions to a value
+ * @param {Object} rule - Mapping rule
+ * @param {RuleContext} context - Rule context (for `{ "path": ... }` arguments)
+ * @returns {Function} Value mapper (identity when the rule has no functions)
+ */
+const createValueMapper = (rule, context) => {
+  const lookupValue = createLookupMapper(rule, context);
+  const specs = getRuleFunctions(rule);
+  if (specs.length === 0) {
+    return lookupValue;
+  }
+
+  const resolveArg = (arg) => {
+    if (_.isPlainObject(arg) && _.isString(arg.path)) {
+      const { data, path } = resolveSource(context, arg.path);
+      return extractValues(data, path, context);
+    }
+    return arg;
+  };
+
+  return (value) => applyFunctions(lookupValue(value), specs, context.functions, resolveArg);
+};
+
+/**
+ * Index the elements of a rule's `lookup` collection by the value of its
+ * `key` path. An element whose key is an array is indexed under each item.
+ * Indexes of collections in the source and named documents are built once
+ * per transformation and shared by every rule using the same key.
+ * @param {Object} rule - Mapping rule with `lookup` and `key`
+ * @param {RuleContext} context - Rule context
+ * @returns {Map} Matching elements by JSON-encoded key
+ */
+const readLookupIndex = (rule, context) => {
+  const cacheKey = JSON.stringify([rule.lookup, rule.key]);
+  const cached = !rule.lookup.startsWith('@');
+  if (cached && context.indexes.has(cacheKey)) {
+    return context.indexes.get(cacheKey);
+  }
+
+  const { data, path } = resolveSource(context, rule.lookup);
+  const keyPath = '$' + rule.key.slice(1);
+  const index = new Map();
+  selectMatches(data, path, context).forEach(({ value: element }) => {
+    const keys = _.flatMap(selectMatches(element, keyPath, context), ({ value }) => (_.isArray(value) ? value : [value]));
+    _.uniqWith(keys, _.isEqual).forEach((key) => {
+      const indexKey = JSON.stringify(key);
+      index.set(indexKey, [...(index.get(indexKey) || []), element]);
+    });
+  });
+
+  if (cached) {
+    context.indexes.set(cacheKey, index);
+  }
+  return index;
+};
+
+/**
+ * Build the function replacing a key with the element of the rule's `lookup`
+ * collection whose `key` path holds the same value, or with that element's
+ * `select` path. Arrays of keys are looked up item by item, and `many: true`
+ * yields every match instead of the first. Keys without a match map to the
+ * rule's `default`, or to null (an empty array with `many`).
+ * @param {Object} rule - Mapping rule
+ * @param {RuleContext} context - Rule context
+ * @returns {Function} Value mapper (identity when the rule has no lookup)
+ * @throws {Error} If `key` or `select` is not a path starting with `@`
+ */
+const createLookupMapper = (rule, context) => {
+  if (rule.lookup === undefined) {
+    return _.identity;
+  }
+  const isRelative = (path) => _.isString(path) && path.startsWith('@');
+  if (!isRelative(rule.key) || (rule.select !== undefined && !isRelative(rule.select))) {
+    throw new Error(`Lookup "${rule.lookup}" needs "key" and "select" paths starting with "@"`);
+  }
+
+  const selectPath = rule.select === undefined ? null : '$' + rule.select.slice(1);
+  const find = (index, key) => {
+    const elements = index.get(JSON.stringify(key)) || [];
+    const values = selectPath === null
+      ? elements
+      : _.flatMap(elements, element => selectMatches(element, selectPath, context).map(match => match.value));
+    if (values.length === 0) {
+      const fallback = resolveDefault(rule, context);
+      return _.defaultTo(fallback, rule.many ? [] : null);
+    }
+    return rule.many ? values : values[0];
+  };
+
+  return (value) => {
+    const index = readLookupIndex(rule, context);
+    return _.isArray(value) ? value.map(key => find(index, key)) : find(index, value);
+  };
+};
+
+/**
+ * Extract the value a rule writes to a non-wildcard target. Value functions
+ * apply to each match, or to the result of an aggregate operation.
+ * @param {*} data - Source data
+ * @param {string} source - Source JSONPath (possibly with an operation)
+ * @param {Function} mapValue - Value mapper
+ * @param {RuleContext} context - Rule context
+ * @returns {*} Value to write, or undefined when the source is missing
+ */
+const extractRuleValue = (data, source, mapValue, context) => {
+  const { path, operation } = parsePathWithOperation(source);
+  if (operation) {
+    const result = extractValues(data, source, context);
+    return result === undefined ? undefined : mapValue(result);
+  }
+
+  const values = selectMatches(data, path, context).map(result => mapValue(result.value));
+  if (values.length === 0) {
+    return undefined;
+  }
+  return values.length === 1 ? values[0] : values;
+};
+
+/**
+ * Transform single mapping rule
+ * @param {*} sourceData - Source JSON data
+ * @param {Object} rule - Transformation rule { source, target, flatten? } or
+ *   foreach block { foreach, target, mappings }
+ * @param {Object} accumulator - Current result accumulator
+ * @param {TransformOptions} options - Transformation options
+ * @returns {Object} Updated accumulator
+ */
+export const transformSingleRule = (sourceData, rule, accumulator = {}, options = {}) => {
+  return applyRule(rule, createContext(sourceData, options), accumulator);
 };
 
 /**
  * Main transformation function using functional composition
  * @param {*} sourceData - Source JSON data
- * @param {Object} transformationRules - Rules object with pathMappings
+ * @param {Object} transformationRules - Rules object with pathMappings, an
+ *   optional default `merge` strategy and an optional `outputSchema` (JSON
+ *   Schema) the result is checked against
+ * @param {TransformOptions} options - Transformation options
  * @returns {Object} Transformed JSON data
+ * @throws {SchemaValidationError} If the result does not match `outputSchema`
  */
-export const transform = (sourceData, transformationRules) => {
+export const transform = (sourceData, transformationRules, options = {}) => {
   const { pathMappings } = transformationRules;
   
   if (!_.isArray(pathMappings)) {
     throw new Error('pathMappings must be an array');
   }
   
-  // Use functional reduce to apply all transformations
-  return _.reduce(
-    pathMappings,
-    (result, rule) => transformSingleRule(sourceData, rule, result),
-    {}
-  );
+  const context = createContext(sourceData, options, transformationRules);
+  
+  return applyRuleSet(transformationRules, context, createInitialResult(sourceData, options));
+};
+
+/**
+ * Describe a transformation as the JSON Patch (RFC 6902) that turns the
+ * source document into the result. Each write is recorded at the concrete
+ * path it was made to; outside update mode the patch starts by replacing
+ * the whole document with the initial result. The rules' `outputSchema` is
+ * not checked.
+ * @param {*} sourceData - Source JSON data
+ * @param {Object} transformationRules - Rules object with pathMappings
+ * @param {TransformOptions} options - Transformation options
+ * @returns {Object[]} Patch operations (add, replace, remove, move)
+ */
+export const createPatch = (sourceData, transformationRules, options = {}) => {
+  const { pathMappings } = transformationRules;
+
+  if (!_.isArray(pathMappings)) {
+    throw new Error('pathMappings must be an array');
+  }
+
+  const recorder = createPatchRecorder();
+  const context = { ...createContext(sourceData, options, transformationRules), recorder };
+  const initialResult = createInitialResult(sourceData, options);
+
+  if (!_.isEqual(initialResult, sourceData)) {
+    recorder.operations.push({ op: 'replace', path: '', value: _.cloneDeep(initialResult) });
+  }
+
+  applyRules(pathMappings, context, initialResult);
+  return recorder.operations;
+};
+
+/**
+ * Run a transformation tracing the lineage of its output: the rule that
+ * wrote each output node and the concrete source paths it was read from.
+ * Values copied unchanged also account for everything below them, so only
+ * the written nodes are listed. In update mode, nodes no rule wrote come
+ * from the same path of the source (with a null rulePath). The rules'
+ * `outputSchema` is not checked.
+ * @param {*} sourceData - Source JSON data
+ * @param {Object} transformationRules - Rules object with pathMappings
+ * @param {TransformOptions} options - Transformation options
+ * @returns {Object} { result, lineage, sourcesOf(path), outputsOf(sourcePath) }
+ *   where lineage lists `{ path, rulePath, sources, copied }` per written
+ *   node, sourcesOf gives the origins of an output node and outputsOf the
+ *   output nodes a source node feeds
+ */
+export const traceLineage = (sourceData, transformationRules, options = {}) => {
+  const { pathMappings } = transformationRules;
+
+  if (!_.isArray(pathMappings)) {
+    throw new Error('pathMappings must be an array');
+  }
+
+  const recorder = createLineageRecorder();
+  const context = { ...createContext(sourceData, options, transformationRules), recorder };
+  if (options.base === undefined && options.mode === 'update') {
+    recorder.write(sourceData, [], sourceData, { rulePath: null, sources: [[]], copied: true });
+  }
+
+  const result = applyRules(pathMappings, context, createInitialResult(sourceData, options));
+  const exists = (path) => path.length === 0 || _.has(result, path);
+
+  return {
+    result,
+    lineage: recorder.entries(),
+    sourcesOf: (path) => (exists(path) ? recorder.originsOf(path) : []),
+    outputsOf: (sourcePath) => recorder.outputsOf(sourcePath).filter(exists)
+  };
+};
+
+/**
+ * Collect the source paths a rule set reads from the source document
+ * @param {Object[]} mappings - Rules
+ * @param {boolean} nested - Whether the rules are inside a foreach block
+ *   (where `@` is the current element rather than the document)
+ * @returns {string[]} Paths without aggregate operations, starting at `$`
+ */
+const collectSourcePaths = (mappings, nested) => _.flatMap(mappings, (rule) => {
+  if (!_.isPlainObject(rule) || rule.op !== undefined) {
+    return [];
+  }
+
+  const defaultSource = _.isPlainObject(rule.default) ? rule.default.source : undefined;
+  const paths = [rule.foreach === undefined ? rule.source : rule.foreach, defaultSource, rule.lookup]
+    .filter(_.isString)
+    .filter(field => splitDocumentPath(field).document === null)
+    .map(field => parsePathWithOperation(field).path)
+    .map(path => (!nested && path.startsWith('@') ? '$' + path.slice(1) : path))
+    .filter(path => path.startsWith('$'));
+
+  const subPaths = rule.foreach !== undefined && _.isArray(rule.mappings)
+    ? collectSourcePaths(rule.mappings, true)
+    : [];
+  return [...paths, ...subPaths];
+});
+
+/**
+ * Compile rules into a reusable execution plan. Paths are parsed once, and
+ * all source paths are merged into a trie that is walked once per document,
+ * so rules sharing a prefix such as `$.store.book[*]` visit it only once.
+ * The compiled function returns the same result as `transform`.
+ * @param {Object} transformationRules - Rules object with pathMappings
+ * @param {TransformOptions} options - Transformation options
+ * @returns {Function} (sourceData) => result, with the source plan as `plan`
+ * @throws {JsonPathSyntaxError} If a source path is malformed
+ */
+export const compile = (transformationRules, options = {}) => {
+  const { pathMappings } = transformationRules;
+
+  if (!_.isArray(pathMappings)) {
+    throw new Error('pathMappings must be an array');
+  }
+
+  const automata = new Map();
+  const parseOptions = { lenient: Boolean(options.lenient), documents: options.documents, automata };
+  const plan = createSourcePlan(collectSourcePaths(pathMappings, false), path => automatonFor(path, parseOptions));
+
+  const compiled = (sourceData) => {
+    const context = { ...createContext(sourceData, options, transformationRules), automata, sources: plan.select(sourceData) };
+
+    return applyRuleSet(transformationRules, context, createInitialResult(sourceData, options));
+  };
+
+  compiled.plan = plan;
+  return compiled;
 };
 
 /**
@@ -141,50 +1502,98 @@ export const composeTransformations = (...transformFunctions) => {
 };
 
 /**
- * Create a reusable transformation function
+ * Create a reusable transformation function, compiled once with `compile`.
+ * Custom value functions and aggregate operations can be registered on the
+ * returned transformer without affecting other transformers.
  * @param {Object} rules - Transformation rules
- * @returns {Function} Transformation function
+ * @param {TransformOptions} options - Transformation options
+ * @returns {Function} Transformation function with `registerFunction(name, fn)`
+ *   and `registerOperation(name, fn)`
  */
-export const createTransformer = (rules) => {
-  return (data) => transform(data, rules);
+export const createTransformer = (rules, options = {}) => {
+  const functions = { ...options.functions };
+  const operations = { ...options.operations };
+  const run = compile(rules, { ...options, functions, operations });
+  const transformer = (data) => run(data);
+  
+  transformer.registerFunction = (name, fn) => {
+    if (!_.isFunction(fn)) {
+      throw new Error(`Function "${name}" must be a function`);
+    }
+    functions[name] = fn;
+    return transformer;
+  };
+  
+  transformer.registerOperation = (name, fn) => {
+    if (!_.isFunction(fn)) {
+      throw new Error(`Operation "${name}" must be a function`);
+    }
+    operations[name] = fn;
+    return transformer;
+  };
+  
+  return transformer;
 };
 
 /**
  * Validate transformation rules
  * @param {Object} rules - Rules to validate
- * @returns {boolean} True if valid
+ * @param {TransformOptions} options - Custom functions and operations to accept,
+ *   and `lenient` to parse paths the way lenient transformations do
+ * @returns {boolean} True if lintRules reports no errors
  */
-export const validateRules = (rules) => {
-  if (!_.isObject(rules) || !_.isArray(rules.pathMappings)) {
-    return false;
+export const validateRules = (rules, options = {}) => {
+  return lintRules(rules, options).every(diagnostic => diagnostic.severity !== 'error');
+};
+
+/**
+ * Read the value a debug step reports for a rule: the source value, or for
+ * edit rules the output nodes the rule selects
+ * @param {Object} rule - Transformation rule
+ * @param {RuleContext} context - Rule context
+ * @param {Object} currentResult - Result before the rule
+ * @returns {*} Extracted value
+ */
+const readDebugValue = (rule, context, currentResult) => {
+  if (rule.op !== undefined) {
+    const selected = rule.op === 'move' ? rule.source : rule.target;
+    const values = selectOutput(currentResult, selected, context).matches.map(match => match.value);
+    return values.length === 1 ? values[0] : values;
   }
-  
-  return _.every(rules.pathMappings, rule => 
-    _.isString(rule.source) && _.isString(rule.target)
-  );
+  if (isComputedRule(rule)) {
+    return computeRuleValue(rule, context);
+  }
+  const { data, path } = resolveSource(context, rule.foreach || rule.source);
+  return extractValues(data, path, context);
 };
 
 /**
  * Debug helper to trace transformation steps
  * @param {*} sourceData - Source data
  * @param {Object} rules - Transformation rules
+ * @param {TransformOptions} options - Transformation options
  * @returns {Object} Debug information
  */
-export const debugTransform = (sourceData, rules) => {
+export const debugTransform = (sourceData, rules, options = {}) => {
   const steps = [];
   const { pathMappings } = rules;
   
-  let currentResult = {};
+  const context = createContext(sourceData, options, rules);
+  
+  let currentResult = createInitialResult(sourceData, options);
   
-  for (const rule of pathMappings) {
-    const extractedValue = extractValues(sourceData, rule.source);
+  for (const [index, rule] of pathMappings.entries()) {
+    const ruleContext = { ...context, rulePath: [index] };
+    const extractedValue = readDebugValue(rule, ruleContext, currentResult);
+    const applied = rule.when === undefined || evaluateCondition(rule.when, ruleContext);
     const previousResult = _.cloneDeep(currentResult);
     
-    currentResult = transformSingleRule(sourceData, rule, currentResult);
+    currentResult = applyRule(rule, ruleContext, currentResult);
     
     steps.push({
       rule,
       extractedValue,
+      applied,
       previousResult,
       newResult: _.cloneDeep(currentResult)
     });
@@ -0,0 +1,401 @@
+/**
+ * Structural rule validation
+ * Checks rule sets without running them and reports each problem as a
+ * diagnostic pointing at the rule, field and character offset involved
+ */
+
+import _ from 'lodash';
+import { parseExpression } from './expression.js';
+import { parsePath, splitDocumentPath, JsonPathSyntaxError } from './parser.js';
+import { valueFunctions, normalizeFunctionSpec } from './functions.js';
+import { aggregateOps, parseOperationChain } from './operations.js';
+
+/**
+ * A problem found in a rule set
+ * @typedef {Object} Diagnostic
+ * @property {number|null} ruleIndex - Index of the top-level rule (null for
+ *   problems with the rule set itself)
+ * @property {number[]} rulePath - Index of the rule at each foreach level
+ * @property {string} field - Rule field, e.g. `source` or `default.source`
+ * @property {number|null} offset - Character offset within the field value
+ * @property {string} message - Description
+ * @property {string} severity - `'error'` (the rule cannot work as written)
+ *   or `'warning'` (the rule works but probably not as intended)
+ */
+
+const EDIT_FIELDS = {
+  delete: ['target'],
+  move: ['source', 'target'],
+  rename: ['target']
+};
+
+const BINDING_SEGMENTS = ['wildcard', 'slice', 'filter', 'union'];
+const TARGET_SEGMENTS = ['property', 'index', 'wildcard'];
+const MERGE_STRATEGIES = ['replace', 'deepMerge', 'append', 'concatUnique', 'error'];
+
+/**
+ * Extract the character position from an expression error message
+ * @param {Error} error - Error thrown by the expression parser
+ * @returns {number|null} Position, if the message has one
+ */
+const errorPosition = (error) => {
+  const match = error.message.match(/at position (\d+)/);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Create the diagnostic reporter for one rule
+ * @param {Diagnostic[]} diagnostics - Collected diagnostics
+ * @param {number[]} rulePath - Rule location
+ * @returns {Function} (field, offset, message, severity = 'error') => void
+ */
+const reporter = (diagnostics, rulePath) => (field, offset, message, severity = 'error') => {
+  diagnostics.push({ ruleIndex: rulePath[0], rulePath, field, offset, message, severity });
+};
+
+/**
+ * Check a path field, including any aggregate operations. Source paths may
+ * read a named input document (`$customers[*]`); it is reported unless it is
+ * one of the known `documents`, when those are given. With `lenient`, paths
+ * are parsed the way `transform` parses them in lenient mode.
+ * @param {string} value - Field value
+ * @param {Object} check - { field, report, registry, allowOperations,
+ *   allowDocuments, documents, lenient }
+ * @returns {Object|null} { segments, operations } if the path is valid
+ */
+const checkPathField = (value, { field, report, registry, allowOperations = true, allowDocuments = false, documents, lenient = false }) => {
+  const { path: fullPath, operations } = parseOperationChain(value);
+  const split = allowDocuments ? splitDocumentPath(fullPath) : { document: null, path: fullPath };
+  // Lenient transforms read unknown document names from the source document
+  const { document, path } = lenient && documents && split.document !== null && !_.has(documents, split.document)
+    ? { document: null, path: fullPath }
+    : split;
+  // Offsets in the path after the document name
+  const shift = document === null ? 0 : document.length;
+  if (document !== null && documents && !_.has(documents, document)) {
+    report(field, 1, `Unknown document "$${document}"`);
+  }
+
+  let ast = null;
+  try {
+    ast = parsePath(path, { lenient });
+  } catch (error) {
+    if (!(error instanceof JsonPathSyntaxError)) {
+      throw error;
+    }
+    report(field, _.isNumber(error.position) ? error.position + shift : error.position, error.reason);
+  }
+
+  operations.forEach(({ name, offset }) => {
+    if (!allowOperations) {
+      report(field, offset + 1, `Aggregate operation ${name}() is not allowed in a target path`);
+    } else if (!_.has(registry, name)) {
+      report(field, offset + 1, `Unknown operation "${name}()"`);
+    }
+  });
+
+  if (!ast) {
+    return null;
+  }
+  const segments = ast.segments.map((segment, index) => ({
+    segment,
+    offset: _.isNumber(ast.positions[index]) ? ast.positions[index] + shift : null
+  }));
+  return { segments, operations };
+};
+
+/**
+ * Check an expression field (`when` or `expression`)
+ * @param {string} value - Expression source
+ * @param {string} field - Field name
+ * @param {Function} report - Diagnostic reporter
+ * @param {Object} functions - Value function registry
+ */
+const checkExpressionField = (value, field, report, functions) => {
+  let ast;
+  try {
+    ast = parseExpression(value);
+  } catch (error) {
+    report(field, errorPosition(error), error.message);
+    return;
+  }
+
+  const visit = (node) => {
+    if (_.isArray(node)) {
+      node.forEach(visit);
+    } else if (_.isPlainObject(node)) {
+      if (node.type === 'call' && !_.has(functions, node.name)) {
+        report(field, null, `Unknown function "${node.name}"`);
+      }
+      _.values(node).forEach(visit);
+    }
+  };
+  visit(ast);
+};
+
+/**
+ * Check the `transform` and `pipe` function references of a rule
+ * @param {Object} rule - Mapping rule
+ * @param {Function} report - Diagnostic reporter
+ * @param {Object} functions - Value function registry
+ */
+const checkFunctions = (rule, report, functions) => {
+  const references = [
+    ...(rule.transform === undefined ? [] : [['transform', rule.transform]]),
+    ..._.castArray(rule.pipe === undefined ? [] : rule.pipe).map(spec => ['pipe', spec])
+  ];
+
+  references.forEach(([field, spec]) => {
+    try {
+      const { name } = normalizeFunctionSpec(spec);
+      if (!_.has(functions, name)) {
+        report(field, null, `Unknown function "${name}"`);
+      }
+    } catch (error) {
+      report(field, null, error.message);
+    }
+  });
+};
+
+/**
+ * Check that a target only uses concrete selectors and that its `[*]`
+ * wildcards can be bound by the source
+ * @param {Object} rule - Mapping rule
+ * @param {Object|null} source - Checked source path, null if it is absent or invalid
+ * @param {Object} target - Checked target path
+ * @param {Function} report - Diagnostic reporter
+ */
+const checkTargetBinding = (rule, source, target, report) => {
+  const wildcards = target.segments.filter(({ segment }) => segment.type === 'wildcard');
+  const invalid = target.segments.find(({ segment }) => !TARGET_SEGMENTS.includes(segment.type));
+  if (invalid) {
+    report('target', invalid.offset, `Target paths may only use names, indices and [*] (found ${invalid.segment.type} selector)`);
+  }
+
+  if (rule.flatten && wildcards.length !== 1) {
+    report('target', null, `Flattened target must contain exactly one [*] wildcard (found ${wildcards.length})`);
+  }
+  // Aggregate results, constants and expressions are spread over the target
+  if (!source || source.operations.length > 0 || rule.flatten) {
+    return;
+  }
+
+  const sourcePath = rule.foreach || rule.source;
+  const binds = source.segments.filter(({ segment }) => BINDING_SEGMENTS.includes(segment.type)).length;
+  if (wildcards.length <= binds) {
+    return;
+  }
+  if (binds === 0 && wildcards.length === 1) {
+    report('target', wildcards[0].offset,
+      `Target has a [*] wildcard but source "${sourcePath}" selects a single node; it is only filled if that node is an array`,
+      'warning');
+    return;
+  }
+  report('target', wildcards[Math.max(binds, 1)].offset,
+    `Target has ${wildcards.length} [*] wildcards but source "${sourcePath}" only binds ${binds}`);
+};
+
+/**
+ * Check the `lookup`, `key` and `select` fields of a lookup rule
+ * @param {Object} rule - Mapping rule
+ * @param {Function} report - Diagnostic reporter
+ * @param {Function} sourceCheck - Checks a source path field
+ * @param {Function} pathCheck - Checks any other path field
+ */
+const checkLookup = (rule, report, sourceCheck, pathCheck) => {
+  if (rule.foreach !== undefined) {
+    report('lookup', null, 'Foreach blocks cannot look up values; use "lookup" on the rules inside the block');
+  }
+  if (_.isString(rule.lookup)) {
+    sourceCheck('lookup', rule.lookup);
+  } else {
+    report('lookup', null, '"lookup" must be a string');
+  }
+
+  ['key', 'select'].forEach((field) => {
+    if (field === 'select' && rule.select === undefined) {
+      return;
+    }
+    if (!_.isString(rule[field]) || !rule[field].startsWith('@')) {
+      report(field, null, `"${field}" must be a path starting with "@"`);
+    } else {
+      pathCheck(field, '$' + rule[field].slice(1), { allowOperations: false });
+    }
+  });
+};
+
+/**
+ * Check a single rule, recursing into foreach blocks
+ * @param {Object} rule - Rule
+ * @param {number[]} rulePath - Rule location
+ * @param {Object} env - { diagnostics, functions, operations, documents,
+ *   lenient }
+ * @returns {Object|null} Checked target path of a valid mapping rule
+ */
+const checkRule = (rule, rulePath, env) => {
+  const report = reporter(env.diagnostics, rulePath);
+  const pathCheck = (field, value, settings = {}) => checkPathField(value, {
+    field, report, registry: env.operations, lenient: env.lenient, ...settings
+  });
+  const sourceCheck = (field, value) => pathCheck(field, value, { allowDocuments: true, documents: env.documents });
+
+  if (!_.isPlainObject(rule)) {
+    report('', null, 'Rule must be an object');
+    return null;
+  }
+
+  const required = rule.op !== undefined ? EDIT_FIELDS[rule.op]
+    : rule.foreach !== undefined ? ['foreach', 'target']
+      : _.has(rule, 'value') || rule.expression !== undefined ? ['target'] : ['source', 'target'];
+
+  if (!required) {
+    report('op', null, `Unknown rule operation "${rule.op}"`);
+    return null;
+  }
+  const missing = required.filter(field => !_.isString(rule[field]));
+  missing.forEach(field => report(field, null, `"${field}" must be a string`));
+  if (rule.op === 'rename' && (!_.isString(rule.name) || rule.name === '')) {
+    report('name', null, '"name" must be a non-empty string');
+  }
+  if (rule.expression !== undefined && !_.isString(rule.expression)) {
+    report('expression', null, '"expression" must be a string');
+  }
+  if (rule.foreach !== undefined && !_.isArray(rule.mappings)) {
+    report('mappings', null, '"mappings" must be an array');
+  }
+  if (rule.merge !== undefined && !MERGE_STRATEGIES.includes(rule.merge)) {
+    report('merge', null, `Unknown merge strategy "${rule.merge}"`);
+  }
+  if (missing.length > 0) {
+    return null;
+  }
+
+  if (rule.op !== undefined) {
+    required.forEach(field => pathCheck(field, rule[field], { allowOperations: false }));
+    return null;
+  }
+
+  const sourceField = rule.foreach !== undefined ? 'foreach' : 'source';
+  const source = _.isString(rule[sourceField]) ? sourceCheck(sourceField, rule[sourceField]) : null;
+  const target = pathCheck('target', rule.target, { allowOperations: false });
+  if (target) {
+    checkTargetBinding(rule, source, target, report);
+  }
+
+  if (_.isString(rule.expression)) {
+    checkExpressionField(rule.expression, 'expression', report, env.functions);
+  }
+  if (rule.when !== undefined) {
+    if (_.isString(rule.when)) {
+      checkExpressionField(rule.when, 'when', report, env.functions);
+    } else {
+      report('when', null, '"when" must be a string');
+    }
+  }
+  if (_.isPlainObject(rule.default) && _.isString(rule.default.source)) {
+    sourceCheck('default.source', rule.default.source);
+  }
+  if (rule.lookup !== undefined) {
+    checkLookup(rule, report, sourceCheck, pathCheck);
+  }
+  checkFunctions(rule, report, env.functions);
+
+  if (rule.foreach !== undefined && _.isArray(rule.mappings)) {
+    checkMappings(rule.mappings, rulePath, env);
+  }
+  return target;
+};
+
+/**
+ * Check a list of rules, reporting rules that write the same target as an
+ * earlier rule at the same level, or a target containing or inside it, and
+ * replace what it wrote
+ * @param {Object[]} mappings - Rules at one level
+ * @param {number[]} parentPath - Location of the enclosing foreach block
+ * @param {Object} env - Validation environment
+ */
+const checkMappings = (mappings, parentPath, env) => {
+  const written = [];
+  const startsWith = (segments, prefix) => prefix.length <= segments.length
+    && prefix.every((segment, index) => _.isEqual(segment, segments[index]));
+
+  mappings.forEach((rule, index) => {
+    const rulePath = [...parentPath, index];
+    const target = checkRule(rule, rulePath, env);
+    if (!target) {
+      return;
+    }
+
+    const current = { root: rule.target[0], segments: target.segments.map(({ segment }) => segment), rule, rulePath };
+    const overlaps = written.filter(earlier => earlier.root === current.root
+      && (startsWith(earlier.segments, current.segments) || startsWith(current.segments, earlier.segments)));
+    written.push(current);
+
+    // Rules with another merge strategy combine with the earlier value on purpose
+    if (overlaps.length === 0 || _.defaultTo(rule.merge, env.merge) !== 'replace') {
+      return;
+    }
+    const report = reporter(env.diagnostics, rulePath);
+    const same = overlaps.find(earlier => earlier.segments.length === current.segments.length);
+    const outer = overlaps.find(earlier => earlier.segments.length > current.segments.length);
+    if (same) {
+      report('target', null,
+        `Target "${rule.target}" is also written by rule ${same.rulePath.join('.')}; the later rule overwrites it`, 'warning');
+    } else if (outer) {
+      report('target', null,
+        `Target "${rule.target}" contains "${outer.rule.target}" written by rule ${outer.rulePath.join('.')}; the later rule overwrites it`,
+        'warning');
+    } else {
+      // Foreach elements and constant objects are containers to write into
+      const inner = overlaps.find(earlier => earlier.rule.foreach === undefined && !_.isObject(earlier.rule.value));
+      if (!inner) {
+        return;
+      }
+      report('target', null,
+        `Target "${rule.target}" is inside "${inner.rule.target}" written by rule ${inner.rulePath.join('.')}; `
+          + 'it replaces that value unless it is an object or array',
+        'warning');
+    }
+  });
+};
+
+/**
+ * Validate a rule set and report every problem found: malformed paths and
+ * expressions, unknown operations and functions, target wildcards the source
+ * cannot bind, unknown merge strategies, malformed lookups and rules
+ * overwriting each other's targets or writing into them
+ * @param {Object} rules - Rules object with pathMappings
+ * @param {Object} options - Custom `functions` and `operations` to accept,
+ *   the named input `documents` source paths may read (any name is
+ *   accepted when omitted), and `lenient` to parse paths the way a lenient
+ *   transformation does
+ * @returns {Diagnostic[]} Diagnostics, in rule order
+ */
+export const lintRules = (rules, options = {}) => {
+  const diagnostics = [];
+
+  if (!_.isObject(rules) || !_.isArray(rules.pathMappings)) {
+    return [{
+      ruleIndex: null, rulePath: [], field: 'pathMappings', offset: null,
+      message: 'pathMappings must be an array', severity: 'error'
+    }];
+  }
+
+  if (rules.merge !== undefined && !MERGE_STRATEGIES.includes(rules.merge)) {
+    diagnostics.push({
+      ruleIndex: null, rulePath: [], field: 'merge', offset: null,
+      message: `Unknown merge strategy "${rules.merge}"`, severity: 'error'
+    });
+  }
+
+  checkMappings(rules.pathMappings, [], {
+    diagnostics,
+    merge: _.defaultTo(rules.merge, 'replace'),
+    documents: options.documents,
+    lenient: Boolean(options.lenient),
+    functions: { ...valueFunctions, ...options.functions },
+    operations: { ...aggregateOps, ...options.operations }
+  });
+
+  return diagnostics;
+};
\ No newline at end of file
@@ -4,7 +4,8 @@
 
 import { strict as assert } from 'assert';
 import { test, describe } from 'node:test';
-import { TreeAutomaton, createAutomaton } from '../src/automaton.js';
+import _ from 'lodash';
+import { TreeAutomaton, createAutomaton, sliceIndices, formatPath } from '../src/automaton.js';
 
 const sampleData = {
     "store": {
@@ -117,4 +118,334 @@ describe('TreeAutomaton', () => {
         assert.equal(results[1].value, 'item2');
         assert.equal(results[2].value, 'item3');
     });
+
+    test('should parse filter expressions into filter segments', () => {
+        const automaton = new TreeAutomaton('$.store.book[?(@.price < 12)].title');
+        assert.equal(automaton.rule.length, 4);
+        assert.equal(automaton.rule[2].type, 'filter');
+        assert.equal(automaton.rule[2].expression.type, 'comparison');
+        assert.deepEqual(automaton.rule[3], { type: 'property', value: 'title' });
+    });
+
+    test('should select array elements matching a filter', () => {
+        const automaton = createAutomaton('$.store.book[?(@.price > 12)].title');
+        const results = automaton.process(sampleData);
+
+        assert.equal(results.length, 1);
+        assert.equal(results[0].value, 'Book 2');
+        assert.deepEqual(results[0].path, ['store', 'book', 1, 'title']);
+    });
+
+    test('should resolve $ root references inside filters', () => {
+        const data = { ...sampleData, limit: 12 };
+        const automaton = createAutomaton('$.store.book[?(@.price < $.limit && @.author =~ /1$/)].title');
+        const results = automaton.process(data);
+
+        assert.deepEqual(results.map(result => result.value), ['Book 1']);
+    });
+
+    test('should filter object members by value', () => {
+        const automaton = createAutomaton('$.store[?(@.color == "red")].price');
+        const results = automaton.process(sampleData);
+
+        assert.equal(results.length, 1);
+        assert.equal(results[0].value, 19.95);
+        assert.deepEqual(results[0].path, ['store', 'bicycle', 'price']);
+    });
+
+    test('should handle nested brackets inside filters', () => {
+        const data = { rows: [{ tags: ['a', 'b'] }, { tags: ['c'] }] };
+        const automaton = createAutomaton('$.rows[?(@.tags[1] == "b")].tags[0]');
+        const results = automaton.process(data);
+
+        assert.deepEqual(results.map(result => result.value), ['a']);
+    });
+
+    test('should parse recursive descent into descendant segments', () => {
+        const automaton = new TreeAutomaton('$..book[*].isbn');
+        assert.deepEqual(automaton.rule, [
+            { type: 'descendant' },
+            { type: 'property', value: 'book' },
+            { type: 'wildcard' },
+            { type: 'property', value: 'isbn' }
+        ]);
+    });
+
+    test('should match descendants at every depth ordered by depth', () => {
+        const automaton = createAutomaton('$..price');
+        const results = automaton.process(sampleData);
+
+        assert.deepEqual(results.map(result => result.value), [19.95, 10.95, 15.99]);
+        assert.deepEqual(results[0].path, ['store', 'bicycle', 'price']);
+        assert.deepEqual(results[1].path, ['store', 'book', 0, 'price']);
+    });
+
+    test('should match descendants below a property', () => {
+        const automaton = createAutomaton('$.store..author');
+        const results = automaton.process(sampleData);
+
+        assert.deepEqual(results.map(result => result.value), ['Author 1', 'Author 2']);
+        assert.deepEqual(results[1].path, ['store', 'book', 1, 'author']);
+    });
+
+    test('should include the current value itself in recursive descent', () => {
+        const automaton = createAutomaton('$..book[*].title');
+        const results = automaton.process(sampleData);
+
+        assert.deepEqual(results.map(result => result.value), ['Book 1', 'Book 2']);
+    });
+
+    test('should not loop on cyclic structures', () => {
+        const cyclic = { node: { name: 'a', child: { name: 'b' } } };
+        cyclic.node.child.parent = cyclic.node;
+
+        const results = createAutomaton('$..name').process(cyclic);
+        assert.deepEqual(results.map(result => result.value), ['a', 'b']);
+    });
+
+    test('should parse slices, negative indices and unions', () => {
+        assert.deepEqual(new TreeAutomaton('$.a[-1]').rule[1], { type: 'index', value: -1 });
+        assert.deepEqual(new TreeAutomaton('$.a[1:5:2]').rule[1], { type: 'slice', start: 1, end: 5, step: 2 });
+        assert.deepEqual(new TreeAutomaton('$.a[:2]').rule[1], { type: 'slice', start: null, end: 2, step: 1 });
+        assert.deepEqual(new TreeAutomaton("$.a[0,'b']").rule[1], {
+            type: 'union',
+            selectors: [{ type: 'index', value: 0 }, { type: 'property', value: 'b' }]
+        });
+    });
+
+    test('should resolve negative indices from the end', () => {
+        const results = createAutomaton('$.store.book[-1].title').process(sampleData);
+
+        assert.equal(results.length, 1);
+        assert.equal(results[0].value, 'Book 2');
+        assert.deepEqual(results[0].path, ['store', 'book', 1, 'title']);
+        assert.equal(createAutomaton('$.store.book[-3].title').process(sampleData).length, 0);
+    });
+
+    test('should select array slices', () => {
+        const data = { items: [0, 1, 2, 3, 4, 5] };
+        const values = (path) => createAutomaton(path).process(data).map(result => result.value);
+
+        assert.deepEqual(values('$.items[1:3]'), [1, 2]);
+        assert.deepEqual(values('$.items[::2]'), [0, 2, 4]);
+        assert.deepEqual(values('$.items[-2:]'), [4, 5]);
+        assert.deepEqual(values('$.items[::-2]'), [5, 3, 1]);
+        assert.deepEqual(values('$.items[3:1]'), []);
+        assert.deepEqual(createAutomaton('$.items[-2:]').process(data).map(result => result.path), [['items', 4], ['items', 5]]);
+    });
+
+    test('should compute slice indices with RFC 9535 bounds', () => {
+        assert.deepEqual(sliceIndices(5, { start: null, end: null, step: 1 }), [0, 1, 2, 3, 4]);
+        assert.deepEqual(sliceIndices(5, { start: -10, end: 10, step: 2 }), [0, 2, 4]);
+        assert.deepEqual(sliceIndices(5, { start: null, end: null, step: -1 }), [4, 3, 2, 1, 0]);
+        assert.deepEqual(sliceIndices(5, { start: 1, end: 3, step: 0 }), []);
+    });
+
+    test('should select index and name unions in order', () => {
+        const indexResults = createAutomaton('$.store.book[1,0].title').process(sampleData);
+        assert.deepEqual(indexResults.map(result => result.value), ['Book 2', 'Book 1']);
+        assert.deepEqual(indexResults[0].path, ['store', 'book', 1, 'title']);
+
+        const nameResults = createAutomaton("$.store.bicycle['price','color']").process(sampleData);
+        assert.deepEqual(nameResults.map(result => result.value), [19.95, 'red']);
+        assert.deepEqual(nameResults[1].path, ['store', 'bicycle', 'color']);
+    });
+
+    test('should parse quoted bracket names with escapes', () => {
+        const automaton = new TreeAutomaton(`$['a.b']["first-name"]['it\\'s']['tab\\there']`);
+        assert.deepEqual(automaton.rule, [
+            { type: 'property', value: 'a.b' },
+            { type: 'property', value: 'first-name' },
+            { type: 'property', value: "it's" },
+            { type: 'property', value: 'tab\there' }
+        ]);
+    });
+
+    test('should access keys that cannot be written in dot notation', () => {
+        const data = { 'a.b': { 'first name': 'Ada', '@type': 'Person', 'x]y': 1 } };
+
+        assert.equal(createAutomaton("$['a.b']['first name']").process(data)[0].value, 'Ada');
+        assert.equal(createAutomaton('$["a.b"]["@type"]').process(data)[0].value, 'Person');
+        assert.equal(createAutomaton("$['a.b']['x]y']").process(data)[0].value, 1);
+        assert.deepEqual(createAutomaton("$['a.b']['first name']").process(data)[0].path, ['a.b', 'first name']);
+    });
+
+    test('should format paths using dot or quoted bracket notation', () => {
+        assert.equal(formatPath(['store', 'book', 0, 'title']), '$.store.book[0].title');
+        assert.equal(formatPath(['a.b', "it's", 'line\nbreak']), "$['a.b']['it\\'s']['line\\nbreak']");
+        assert.equal(formatPath([]), '$');
+    });
+
+    test('should round-trip every reported path', () => {
+        const data = {
+            'a.b': [{ 'first-name': 'x', "quote'd": { 'back\\slash': true } }],
+            plain: { '0': 'zero', '': 'empty', 'tab\tkey': [1, [2]] }
+        };
+
+        // In lenient mode a trailing .. selects every node in the document
+        const nodes = createAutomaton('$..', { lenient: true }).process(data);
+        assert.equal(nodes.length, 13);
+
+        for (const { value, path } of nodes) {
+            const results = createAutomaton(formatPath(path)).process(data);
+            assert.equal(results.length, 1, formatPath(path));
+            assert.deepEqual(results[0].path, path);
+            assert.deepEqual(results[0].value, value);
+        }
+    });
+
+    test('should record bindings for multi-selecting segments', () => {
+        const nestedData = {
+            "categories": [{
+                "items": [{"name": "item1"}, {"name": "item2"}]
+            }, {
+                "items": [{"name": "item3"}]
+            }]
+        };
+
+        const results = createAutomaton('$.categories[*].items[*].name').process(nestedData);
+        assert.deepEqual(results.map(result => result.bindings), [[0, 0], [0, 1], [1, 0]]);
+
+        const filtered = createAutomaton('$.categories[*].items[?(@.name != "item1")].name').process(nestedData);
+        assert.deepEqual(filtered.map(result => result.bindings), [[0, 0], [1, 0]]);
+
+        assert.deepEqual(createAutomaton('$.categories[0].items[0].name').process(nestedData)[0].bindings, []);
+        assert.deepEqual(createAutomaton('$..name').process(nestedData)[0].bindings, []);
+    });
+
+    test('should apply aggregate operations to paths inside filters', () => {
+        const data = { orders: [{ id: 1, items: [1, 2, 3] }, { id: 2, items: [4] }] };
+        const results = createAutomaton('$.orders[?(@.items[*].count() > 1)].id').process(data);
+
+        assert.deepEqual(results.map(result => result.value), [1]);
+    });
+
+    test('should yield matches lazily in process order', () => {
+        const data = {
+            a: [{ b: [1, 2], c: { b: 3 } }, { b: [4] }],
+            d: { b: 5 }
+        };
+
+        for (const path of ['$..b', '$.a[*].b[*]', '$.a[::-1]..b', '$[?(@.b)].b', '$.a[0,1].b[-1]', '$', '$.missing']) {
+            const automaton = createAutomaton(path);
+            assert.deepEqual([...automaton.matches(data)], automaton.process(data), path);
+        }
+    });
+
+    test('should stop at the first match', () => {
+        const read = new Set();
+        const items = Array.from({ length: 1000 }, (_, index) => ({
+            get id() {
+                read.add(index);
+                return index;
+            }
+        }));
+        const automaton = createAutomaton('$.items[*].id');
+
+        assert.deepEqual(automaton.first({ items }), { value: 0, path: ['items', 0, 'id'], bindings: [0] });
+        assert.deepEqual([...read], [0]);
+        assert.equal(automaton.first({ items: [] }), undefined);
+
+        const generator = automaton.matches({ items });
+        assert.deepEqual([generator.next().value.value, generator.next().value.value], [0, 1]);
+        assert.deepEqual([...read], [0, 1]);
+    });
+
+    test('should visit only the nodes before the first match', () => {
+        const visited = new Set();
+        const track = (node, path) => {
+            if (!_.isObject(node)) {
+                return node;
+            }
+            return new Proxy(node, {
+                get(target, key) {
+                    if (typeof key === 'string' && _.has(target, key)) {
+                        visited.add(`${path}/${key}`);
+                        return track(target[key], `${path}/${key}`);
+                    }
+                    return target[key];
+                }
+            });
+        };
+        const data = { items: Array.from({ length: 1000 }, (item, index) => ({ id: index, tags: [index] })) };
+
+        for (const path of ['$.items[*].id', '$.items[0:1000].id', '$.items[?(@.id >= 0)].id', '$..id']) {
+            visited.clear();
+            assert.equal(createAutomaton(path).first(track(data, '')).value, 0, path);
+            assert.ok(visited.size < 10, `${path} visited ${visited.size} nodes`);
+        }
+    });
+
+    test('should match asynchronous sequences of documents', async () => {
+        let pulled = 0;
+        async function* documents() {
+            for (const document of [{ tags: ['a', 'b'] }, { tags: [] }, { tags: ['c'] }, { tags: ['d'] }]) {
+                pulled++;
+                yield document;
+            }
+        }
+
+        const seen = [];
+        for await (const match of createAutomaton('$.tags[*]').matchesAsync(documents())) {
+            seen.push([match.value, match.document, match.path]);
+            if (match.value === 'c') {
+                break;
+            }
+        }
+
+        assert.deepEqual(seen, [['a', 0, ['tags', 0]], ['b', 0, ['tags', 1]], ['c', 2, ['tags', 0]]]);
+        assert.equal(pulled, 3);
+    });
+
+    test('should trace each step and explain why a path matches nothing', () => {
+        const { matches, trace } = createAutomaton('$.store.book[*].prices').process(sampleData, { trace: true });
+
+        assert.deepEqual(matches, []);
+        assert.equal(trace.path, '$.store.book[*].prices');
+        assert.deepEqual(trace.steps.map(step => [step.segment, step.states.length, step.next.length]), [
+            ['.store', 1, 1],
+            ['.book', 1, 1],
+            ['[*]', 1, 2],
+            ['.prices', 2, 0]
+        ]);
+        assert.deepEqual(trace.steps[2].next, [['store', 'book', 0], ['store', 'book', 1]]);
+        assert.deepEqual(trace.steps[3].died, [
+            { path: ['store', 'book', 0], reason: 'missing-property', message: 'has no property "prices"' },
+            { path: ['store', 'book', 1], reason: 'missing-property', message: 'has no property "prices"' }
+        ]);
+        assert.deepEqual(trace.failure, { step: 3, matchedUpTo: '$.store.book[*]', failedAt: '.prices', suggestion: 'price' });
+        assert.equal(trace.summary, 'matched up to `$.store.book[*]`, failed at `.prices`: did you mean `price`?');
+        assert.equal(trace.text, [
+            'Path: $.store.book[*].prices',
+            'step 1 .store: 1 state -> 1 state',
+            'step 2 .book: 1 state -> 1 state',
+            'step 3 [*]: 1 state -> 2 states',
+            'step 4 .prices: 2 states -> 0 states',
+            '  $.store.book[0] has no property "prices"',
+            '  $.store.book[1] has no property "prices"',
+            'matched up to `$.store.book[*]`, failed at `.prices`: did you mean `price`?'
+        ].join('\n'));
+    });
+
+    test('should explain failures of every segment type', () => {
+        const explain = (path) => createAutomaton(path).explain(sampleData);
+        const died = (path) => {
+            const { failure, steps } = explain(path);
+            return failure && steps[failure.step].died.map(({ reason, message }) => `${reason}: ${message}`);
+        };
+
+        assert.deepEqual(died('$.store.book[7]'), ['index-out-of-range: has 2 items, index 7 is out of range']);
+        assert.deepEqual(died('$.store.bicycle[*]'), ['not-an-array: is an object, not an array']);
+        assert.deepEqual(died('$.store.bicycle.color.name'), ['not-an-object: is a string, not an object']);
+        assert.deepEqual(died('$.store.book[?(@.price > 99)]'), ['filter-rejected: has 2 items, none matching the filter']);
+        assert.deepEqual(died('$.store.book[5:]'), ['empty-selection: has 2 items, none in the slice']);
+        assert.deepEqual(died("$.store.bicycle['size','weight']"), ['empty-selection: has none of the selected properties']);
+        assert.deepEqual(died('$.store.book[*].price'), null);
+
+        assert.equal(explain('$.store.book.title').summary, 'matched up to `$.store.book`, failed at `.title`: did you mean `[*].title`?');
+        assert.equal(explain('$..bicycle.colour').failure.suggestion, 'color');
+        assert.equal(explain('$.store.book[7]').summary, 'matched up to `$.store.book`, failed at `[7]`: `$.store.book` has 2 items, index 7 is out of range');
+        assert.equal(explain('$.store.book[*].price').summary, 'matched 2 values');
+        assert.deepEqual(explain('$.store.book[*].price').matches, createAutomaton('$.store.book[*].price').process(sampleData));
+    });
 });
\ No newline at end of file
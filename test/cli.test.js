@@ -0,0 +1,170 @@
+/**
+ * Tests for the Command-Line Interface
+ */
+
+import { strict as assert } from 'assert';
+import { test, describe, before, after } from 'node:test';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Readable, Writable } from 'node:stream';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { runCli } from '../src/cli.js';
+
+const createOutput = () => {
+    const chunks = [];
+    const output = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk.toString());
+            callback();
+        }
+    });
+    output.text = () => chunks.join('');
+    return output;
+};
+
+const run = async (argv, stdin = '') => {
+    const io = { stdin: Readable.from([stdin]), stdout: createOutput(), stderr: createOutput() };
+    const code = await runCli(argv, io);
+    return { code, stdout: io.stdout.text(), stderr: io.stderr.text() };
+};
+
+describe('Command-Line Interface', () => {
+    let dir;
+    let rulesFile;
+    let inputFile;
+    let badRulesFile;
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'jsonrules-'));
+        rulesFile = join(dir, 'rules.json');
+        inputFile = join(dir, 'input.json');
+        badRulesFile = join(dir, 'bad.json');
+        await writeFile(rulesFile, JSON.stringify({
+            pathMappings: [
+                { source: '$.items[*].name', target: '$.names[*]', transform: 'upper' },
+                { source: '$.items[*].qty.sum()', target: '$.total' }
+            ]
+        }));
+        await writeFile(inputFile, JSON.stringify({ items: [{ name: 'a', qty: 2 }, { name: 'b', qty: 3 }] }));
+        await writeFile(badRulesFile, JSON.stringify({
+            pathMappings: [
+                { source: '$.items[*.name', target: '$.names' },
+                { source: '$.a', target: '$.x' },
+                { source: '$.b', target: '$.x' }
+            ]
+        }));
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    test('should apply a rule file to an input file or stdin', async () => {
+        const fromFile = await run(['apply', rulesFile, inputFile]);
+        assert.equal(fromFile.code, 0);
+        assert.deepEqual(JSON.parse(fromFile.stdout), { names: ['A', 'B'], total: 5 });
+        assert.equal(fromFile.stdout, JSON.stringify({ names: ['A', 'B'], total: 5 }, null, 2) + '\n');
+
+        const fromStdin = await run(['apply', rulesFile, '--compact'], '{"items": [{"name": "c", "qty": 1}]}');
+        assert.equal(fromStdin.stdout, '{"names":["C"],"total":1}\n');
+
+        const updated = await run(['apply', rulesFile, '-', '--mode', 'update', '--compact'], '{"items": [], "keep": 1}');
+        assert.equal(updated.stdout, '{"items":[],"keep":1,"names":[],"total":0}\n');
+    });
+
+    test('should read named documents', async () => {
+        const joinFile = join(dir, 'join.json');
+        const pricesFile = join(dir, 'prices.json');
+        await writeFile(joinFile, JSON.stringify({
+            pathMappings: [{ source: '$.items[*].name', target: '$.prices[*]', lookup: '$prices[*]', key: '@.name', select: '@.price' }]
+        }));
+        await writeFile(pricesFile, JSON.stringify([{ name: 'b', price: 4 }, { name: 'a', price: 3 }]));
+
+        const result = await run(['apply', joinFile, inputFile, '--document', `prices=${pricesFile}`, '--compact']);
+        assert.equal(result.stdout, '{"prices":[3,4]}\n');
+        assert.equal((await run(['apply', joinFile, inputFile])).code, 1);
+        assert.equal((await run(['apply', joinFile, inputFile, '--document', pricesFile])).code, 2);
+
+        const validated = await run(['validate', joinFile, '--document', `costs=${pricesFile}`]);
+        assert.equal(validated.code, 1);
+        assert.match(validated.stdout, /rule 0, lookup at offset 1: error: Unknown document "\$prices"/);
+    });
+
+    test('should transform NDJSON input line by line', async () => {
+        const result = await run(['apply', rulesFile, '--ndjson'], '{"items": [{"name": "a", "qty": 1}]}\n\n{"items": []}\n');
+
+        assert.equal(result.code, 0);
+        assert.equal(result.stdout, '{"names":["A"],"total":1}\n{"names":[],"total":0}\n');
+    });
+
+    test('should print debug steps', async () => {
+        const result = await run(['apply', rulesFile, inputFile, '--debug']);
+        const debug = JSON.parse(result.stdout);
+
+        assert.deepEqual(debug.finalResult, { names: ['A', 'B'], total: 5 });
+        assert.deepEqual(debug.steps.map(step => step.extractedValue), [['a', 'b'], 5]);
+    });
+
+    test('should query paths', async () => {
+        assert.equal((await run(['query', '$.items[*].name', inputFile, '--compact'])).stdout, '["a","b"]\n');
+        assert.equal((await run(['query', '$.items[*].qty.max()', '--compact'], '{"items": [{"qty": 4}]}')).stdout, '4\n');
+        assert.equal((await run(['query', '$.items[*].name', inputFile, '--first'])).stdout, '"a"\n');
+        assert.equal((await run(['query', '$.missing', inputFile, '--first'])).stdout, 'null\n');
+        assert.equal((await run(['query', '$.id', '--ndjson', '--first'], '{"id": 1}\n{}\n')).stdout, '1\nnull\n');
+    });
+
+    test('should report validation diagnostics', async () => {
+        const valid = await run(['validate', rulesFile]);
+        assert.equal(valid.code, 0);
+        assert.equal(valid.stdout, `${rulesFile}: no problems found\n`);
+
+        const invalid = await run(['validate', badRulesFile]);
+        assert.equal(invalid.code, 1);
+        assert.equal(invalid.stdout, [
+            `${badRulesFile}: rule 0, source at offset 9: error: Expected "]" but found "."`,
+            `${badRulesFile}: rule 2, target: warning: Target "$.x" is also written by rule 1; the later rule overwrites it`,
+            '1 error, 1 warning',
+            ''
+        ].join('\n'));
+    });
+
+    test('should validate legacy paths with --lenient', async () => {
+        const legacyRulesFile = join(dir, 'legacy.json');
+        await writeFile(legacyRulesFile, JSON.stringify({ pathMappings: [{ source: 'items[0].name', target: '$.first' }] }));
+
+        assert.equal((await run(['validate', legacyRulesFile])).code, 1);
+        const lenient = await run(['validate', '--lenient', legacyRulesFile]);
+        assert.equal(lenient.code, 0);
+        assert.equal(lenient.stdout, `${legacyRulesFile}: no problems found\n`);
+    });
+
+    test('should fail with non-zero exit codes', async () => {
+        const failing = await run(['apply', rulesFile], '{"items": ');
+        assert.equal(failing.code, 1);
+        assert.match(failing.stderr, /^jsonrules: Invalid JSON in standard input: /);
+
+        const missing = await run(['apply', join(dir, 'missing.json'), inputFile]);
+        assert.equal(missing.code, 1);
+        assert.match(missing.stderr, /ENOENT/);
+
+        const broken = await run(['apply', badRulesFile, inputFile]);
+        assert.equal(broken.code, 1);
+        assert.match(broken.stderr, /Expected "\]" but found "\."/);
+
+        assert.equal((await run(['frobnicate'])).code, 2);
+        assert.equal((await run(['apply'])).code, 2);
+        assert.equal((await run(['apply', rulesFile, '--debug', '--ndjson'])).code, 2);
+        assert.equal((await run(['query', '$', '--unknown'])).code, 2);
+        assert.match((await run(['--help'])).stdout, /^Usage: jsonrules <command>/);
+    });
+
+    test('should run as an executable', () => {
+        const bin = fileURLToPath(new URL('../bin/jsonrules.js', import.meta.url));
+        const result = spawnSync(process.execPath, [bin, 'validate', badRulesFile], { encoding: 'utf8', timeout: 30000 });
+
+        assert.equal(result.status, 1);
+        assert.match(result.stdout, /1 error, 1 warning/);
+    });
+});
\ No newline at end of file
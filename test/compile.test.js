@@ -0,0 +1,131 @@
+/**
+ * Tests for Compiled Rules
+ */
+
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { compile, transform, createTransformer } from '../src/transformer.js';
+import { JsonPathSyntaxError } from '../src/parser.js';
+import { TreeAutomaton } from '../src/automaton.js';
+
+const store = {
+    store: {
+        name: 'Corner Books',
+        book: [
+            { title: 'Sayings', author: 'Rees', price: 8.95, tags: ['quotes'] },
+            { title: 'Sword', author: 'Waugh', price: 12.99, tags: ['war', 'fiction'] },
+            { title: 'Moby Dick', author: 'Melville', price: 8.99, tags: [] }
+        ]
+    },
+    discount: 0.1
+};
+
+const rules = {
+    pathMappings: [
+        { source: '$.store.book[*].title', target: '$.titles[*]', transform: 'upper' },
+        { source: '$.store.book[*].price', target: '$.prices[*]' },
+        { source: '$.store.book[*].price.sum()', target: '$.total' },
+        { source: '$.store.book[?(@.price < 10)].author', target: '$.cheap[*]' },
+        { source: '$.store.book[*].tags[*]', target: '$.tags[*]', flatten: true },
+        { source: '$..author', target: '$.authors[*]' },
+        { source: '$.store.missing', target: '$.missing', default: { source: '@.store.name' } },
+        { expression: 'round($.store.book[0].price * (1 - $.discount), 2)', target: '$.sale' },
+        { source: '$.store.name', target: '$.shop', when: '$.discount > 0' },
+        {
+            foreach: '$.store.book[*]',
+            target: '$.rows[*]',
+            mappings: [
+                { source: '@.title', target: '@.name' },
+                { source: '@.tags.count()', target: '@.tagCount' },
+                { source: '$.store.name', target: '@.shop' }
+            ]
+        }
+    ]
+};
+
+describe('Compiled Rules', () => {
+    test('should produce the same result as transform', () => {
+        const compiled = compile(rules);
+
+        assert.deepEqual(compiled(store), transform(store, rules));
+        assert.deepEqual(compiled({ store: { book: [] } }), transform({ store: { book: [] } }, rules));
+    });
+
+    test('should honor transform options', () => {
+        const updateRules = {
+            pathMappings: [
+                { source: '$.store.book[*].price.max()', target: '$.maxPrice' },
+                { op: 'delete', target: '$.store.book[?(@.price > 10)]' }
+            ]
+        };
+        const options = { mode: 'update', functions: { double: value => value * 2 } };
+        const compiled = compile(updateRules, options);
+
+        assert.deepEqual(compiled(store), transform(store, updateRules, options));
+        assert.deepEqual(compiled(store).store.book.map(book => book.title), ['Sayings', 'Moby Dick']);
+    });
+
+    test('should share source prefixes across rules', () => {
+        const { plan } = compile(rules);
+        const [store] = plan.root.children;
+        const [book] = store.children.filter(node => node.segment.value === 'book');
+
+        assert.equal(plan.root.children.filter(node => node.segment.value === 'store').length, 1);
+        assert.deepEqual(book.children.map(node => node.segment.type), ['wildcard', 'filter']);
+        assert.deepEqual(book.children[0].children.map(node => node.segment.value), ['title', 'price', 'tags']);
+        assert.ok(plan.paths.includes('$.store.name'));
+        assert.ok(!plan.paths.some(path => path.startsWith('@')));
+    });
+
+    test('should report malformed paths when compiling', () => {
+        assert.throws(() => compile({ pathMappings: [{ source: '$.a[*.b', target: '$.x' }] }), JsonPathSyntaxError);
+        assert.throws(() => compile({ pathMappings: {} }), /pathMappings must be an array/);
+        assert.deepEqual(compile({ pathMappings: [{ source: 'a[0].b', target: '$.x' }] }, { lenient: true })({ a: [{ b: 1 }] }), { x: 1 });
+    });
+
+    test('should keep custom registrations of createTransformer working', () => {
+        const transformer = createTransformer({ pathMappings: [{ source: '$.a', target: '$.b', transform: 'triple' }] });
+        transformer.registerFunction('triple', value => value * 3);
+
+        assert.deepEqual(transformer({ a: 2 }), { b: 6 });
+    });
+
+    test('should walk shared source prefixes once per document', (t) => {
+        const catalog = {
+            store: {
+                book: Array.from({ length: 50 }, (_, index) => ({
+                    title: `Book ${index}`,
+                    price: index % 40,
+                    stock: index % 7,
+                    rating: index % 5
+                }))
+            }
+        };
+        const rulesWith = (operations) => ({
+            pathMappings: ['price', 'stock', 'rating'].flatMap(field => operations.map(operation => ({
+                source: `$.store.book[*].${field}.${operation}()`,
+                target: `$.${field}.${operation}`
+            }))).concat([
+                { source: '$.store.book[*].title.count()', target: '$.count' },
+                { source: '$.store.book[?(@.stock == 0)].title.count()', target: '$.soldOut' }
+            ])
+        });
+        const benchmarkRules = rulesWith(['sum', 'min', 'max', 'avg']);
+        const transitions = t.mock.method(TreeAutomaton.prototype, 'transitions');
+        const countTransitions = (run) => {
+            transitions.mock.resetCalls();
+            run();
+            return transitions.mock.callCount();
+        };
+
+        const compiled = compile(benchmarkRules);
+        assert.deepEqual(compiled(catalog), transform(catalog, benchmarkRules));
+
+        // Rules reading the same paths add no transitions to a compiled plan
+        const compiledCount = countTransitions(() => compiled(catalog));
+        const transformCount = countTransitions(() => transform(catalog, benchmarkRules));
+        const sumsOnly = compile(rulesWith(['sum']));
+        assert.equal(countTransitions(() => sumsOnly(catalog)), compiledCount);
+        assert.ok(compiledCount * 2 < transformCount, `compiled ${compiledCount}, transform ${transformCount} transitions`);
+    });
+});
\ No newline at end of file
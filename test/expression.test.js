@@ -0,0 +1,129 @@
+/**
+ * Tests for Filter Expression Language
+ */
+
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { parseExpression, evaluateExpression, testExpression, tokenize } from '../src/expression.js';
+
+// Minimal query: resolves `@.a.b` style paths by property access
+const query = (node, data) => {
+    const keys = node.path.slice(1).split('.').filter(Boolean);
+    let value = data;
+    for (const key of keys) {
+        if (value === null || typeof value !== 'object' || !(key in value)) {
+            return [];
+        }
+        value = value[key];
+    }
+    return [value];
+};
+
+const env = (current, root = {}) => ({ current, root, query });
+
+describe('Expression', () => {
+    test('should tokenize paths, operators and literals', () => {
+        const tokens = tokenize('@.price <= 10 && $.flag');
+        assert.deepEqual(tokens.map(token => token.type), ['path', 'operator', 'number', 'operator', 'path']);
+        assert.equal(tokens[0].value, '@.price');
+        assert.equal(tokens[4].value, '$.flag');
+    });
+
+    test('should parse comparisons with correct precedence', () => {
+        const ast = parseExpression('@.a == 1 || @.b == 2 && @.c');
+        assert.equal(ast.type, 'logical');
+        assert.equal(ast.operator, '||');
+        assert.equal(ast.right.operator, '&&');
+    });
+
+    test('should evaluate comparisons against @ and $', () => {
+        const ast = parseExpression('@.price < $.limit');
+        assert.equal(testExpression(ast, env({ price: 5 }, { limit: 10 })), true);
+        assert.equal(testExpression(ast, env({ price: 15 }, { limit: 10 })), false);
+    });
+
+    test('should treat bare paths as existence tests', () => {
+        const ast = parseExpression('@.isbn');
+        assert.equal(testExpression(ast, env({ isbn: '' })), true);
+        assert.equal(testExpression(ast, env({})), false);
+        assert.equal(testExpression(parseExpression('!@.isbn'), env({})), true);
+    });
+
+    test('should not order values of different types', () => {
+        assert.equal(testExpression(parseExpression('@.a < 10'), env({ a: '5' })), false);
+        assert.equal(testExpression(parseExpression('@.a >= "b"'), env({ a: 'c' })), true);
+        assert.equal(testExpression(parseExpression('@.missing < 10'), env({})), false);
+    });
+
+    test('should support in and regex matching', () => {
+        assert.equal(testExpression(parseExpression('@.c in ["a", "b"]'), env({ c: 'b' })), true);
+        assert.equal(testExpression(parseExpression('@.c in ["a", "b"]'), env({ c: 'z' })), false);
+        assert.equal(testExpression(parseExpression('@.name =~ /^mo/i'), env({ name: 'Moby Dick' })), true);
+        assert.equal(testExpression(parseExpression('@.name =~ "Dick$"'), env({ name: 'Moby Dick' })), true);
+    });
+
+    test('should compare structured values by deep equality', () => {
+        const ast = parseExpression('@.tags == $.expected');
+        assert.equal(evaluateExpression(ast, env({ tags: ['x', 'y'] }, { expected: ['x', 'y'] })), true);
+    });
+
+    test('should reject invalid syntax', () => {
+        assert.throws(() => parseExpression('@.a == '), /Unexpected end of expression/);
+        assert.throws(() => parseExpression('(@.a == 1'), /Expected "\)"/);
+        assert.throws(() => parseExpression('@.a ; 1'), /Unexpected character/);
+        assert.throws(() => parseExpression('alert 1'), /Unexpected identifier/);
+    });
+
+    test('should only call functions provided by the environment', () => {
+        const ast = parseExpression('alert(1)');
+        assert.throws(() => evaluateExpression(ast, env({})), /Unknown function "alert"/);
+        assert.throws(
+            () => evaluateExpression(parseExpression('constructor(1)'), { ...env({}), functions: {} }),
+            /Unknown function "constructor"/
+        );
+    });
+
+    test('should evaluate arithmetic with precedence', () => {
+        assert.equal(evaluateExpression(parseExpression('@.price * @.quantity'), env({ price: 2.5, quantity: 4 })), 10);
+        assert.equal(evaluateExpression(parseExpression('1 + 2 * 3 - 4 / 2'), env({})), 5);
+        assert.equal(evaluateExpression(parseExpression('(1 + 2) * 3 % 4'), env({})), 1);
+        assert.equal(evaluateExpression(parseExpression('-@.a - -1'), env({ a: 3 })), -2);
+        assert.equal(evaluateExpression(parseExpression('@.a -1'), env({ a: 3 })), 2);
+    });
+
+    test('should concatenate strings with +', () => {
+        const ast = parseExpression("@.first + ' ' + @.last");
+        assert.equal(evaluateExpression(ast, env({ first: 'Ada', last: 'Lovelace' })), 'Ada Lovelace');
+        assert.equal(evaluateExpression(ast, env({ first: 'Ada' })), 'Ada ');
+        assert.equal(evaluateExpression(parseExpression("'#' + @.n"), env({ n: 7 })), '#7');
+    });
+
+    test('should yield undefined for invalid arithmetic', () => {
+        assert.equal(evaluateExpression(parseExpression('@.a * 2'), env({})), undefined);
+        assert.equal(evaluateExpression(parseExpression('@.a / 0'), env({ a: 1 })), undefined);
+        assert.equal(evaluateExpression(parseExpression('-@.a'), env({ a: 'x' })), undefined);
+    });
+
+    test('should call environment functions with evaluated arguments', () => {
+        const functions = { round: (value, digits) => Number(value.toFixed(digits)) };
+        const ast = parseExpression('round(@.a / 3, 2) > 0.3');
+        assert.equal(evaluateExpression(parseExpression('round(@.a / 3, 2)'), { ...env({ a: 1 }), functions }), 0.33);
+        assert.equal(testExpression(ast, { ...env({ a: 1 }), functions }), true);
+    });
+
+    test('should keep aggregate operation calls inside path tokens', () => {
+        const tokens = tokenize('$.items[*].price.sum() * 2');
+        assert.equal(tokens[0].type, 'path');
+        assert.equal(tokens[0].value, '$.items[*].price.sum()');
+        assert.equal(tokenize('@.tags.join(", ")')[0].value, '@.tags.join(", ")');
+    });
+
+    test('should resolve $name paths in named documents', () => {
+        const [token] = tokenize('$users.admin');
+        assert.deepEqual([token.value, token.document], ['$.admin', 'users']);
+
+        const documents = { users: { admin: 'ann' } };
+        assert.equal(evaluateExpression(parseExpression('$users.admin + "/" + $.id'), { ...env({}, { id: 7 }), documents }), 'ann/7');
+        assert.throws(() => evaluateExpression(parseExpression('$groups.admin'), { ...env({}), documents }), /Unknown document "\$groups"/);
+    });
+});
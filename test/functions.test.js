@@ -0,0 +1,72 @@
+/**
+ * Tests for Value Transformation Functions
+ */
+
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { valueFunctions, normalizeFunctionSpec, getRuleFunctions, applyFunctions } from '../src/functions.js';
+
+describe('Value Functions', () => {
+    test('should transform strings', () => {
+        assert.equal(valueFunctions.upper('abc'), 'ABC');
+        assert.equal(valueFunctions.lower('ABC'), 'abc');
+        assert.equal(valueFunctions.trim('  a  '), 'a');
+        assert.equal(valueFunctions.capitalize('hELLO'), 'Hello');
+        assert.equal(valueFunctions.concat('a', '-', 'b'), 'a-b');
+        assert.deepEqual(valueFunctions.split('a,b'), ['a', 'b']);
+        assert.equal(valueFunctions.replace('a-b-c', '-', '+'), 'a+b+c');
+        assert.equal(valueFunctions.substring('abcdef', 1, 3), 'bc');
+        assert.equal(valueFunctions.padStart(7, 3, '0'), '007');
+    });
+
+    test('should leave non-strings untouched in string functions', () => {
+        assert.equal(valueFunctions.upper(5), 5);
+        assert.equal(valueFunctions.trim(null), null);
+    });
+
+    test('should transform numbers', () => {
+        assert.equal(valueFunctions.round(8.956, 2), 8.96);
+        assert.equal(valueFunctions.floor(8.9), 8);
+        assert.equal(valueFunctions.ceil(8.1), 9);
+        assert.equal(valueFunctions.abs(-3), 3);
+        assert.equal(valueFunctions.multiply(2.5, 4), 10);
+        assert.equal(valueFunctions.divide(10, 4), 2.5);
+    });
+
+    test('should convert dates in UTC', () => {
+        const iso = '2024-03-05T07:08:09.000Z';
+        assert.equal(valueFunctions.toISODate(iso), '2024-03-05');
+        assert.equal(valueFunctions.toTimestamp(iso), Date.parse(iso));
+        assert.equal(valueFunctions.toISOString(Date.parse(iso)), iso);
+        assert.equal(valueFunctions.formatDate(iso, 'DD/MM/YYYY HH:mm:ss'), '05/03/2024 07:08:09');
+        assert.equal(valueFunctions.toISODate('not a date'), null);
+    });
+
+    test('should cast types', () => {
+        assert.equal(valueFunctions.toNumber('12.5'), 12.5);
+        assert.equal(valueFunctions.toNumber('abc'), null);
+        assert.equal(valueFunctions.toNumber(''), null);
+        assert.equal(valueFunctions.toInteger('42px'), 42);
+        assert.equal(valueFunctions.toString(12), '12');
+        assert.equal(valueFunctions.toString({ a: 1 }), '{"a":1}');
+        assert.equal(valueFunctions.toBoolean('false'), false);
+        assert.equal(valueFunctions.toBoolean('yes'), true);
+        assert.equal(valueFunctions.toBoolean(0), false);
+    });
+
+    test('should normalize function references', () => {
+        assert.deepEqual(normalizeFunctionSpec('upper'), { name: 'upper', args: [] });
+        assert.deepEqual(normalizeFunctionSpec({ name: 'round', args: [2] }), { name: 'round', args: [2] });
+        assert.throws(() => normalizeFunctionSpec(42), /Invalid function reference/);
+        assert.deepEqual(
+            getRuleFunctions({ transform: 'trim', pipe: ['upper'] }).map(spec => spec.name),
+            ['trim', 'upper']
+        );
+    });
+
+    test('should apply functions in order and reject unknown names', () => {
+        const specs = getRuleFunctions({ pipe: ['trim', { name: 'concat', args: ['!'] }] });
+        assert.equal(applyFunctions(' hi ', specs, valueFunctions, arg => arg), 'hi!');
+        assert.throws(() => applyFunctions('x', [{ name: 'nope', args: [] }], valueFunctions, arg => arg), /Unknown function "nope"/);
+    });
+});
@@ -0,0 +1,182 @@
+/**
+ * Tests for Inverse Transformations
+ */
+
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { transform } from '../src/transformer.js';
+import { invert, reverseTransform, checkInvertible } from '../src/inverse.js';
+
+const apiRules = {
+    pathMappings: [
+        { source: '$.user.id', target: '$.userId' },
+        { source: '$.user.profile.name', target: '$.name' },
+        { source: '$.orders[*].id', target: '$.orderIds[*]' },
+        { source: '$.orders[*].lines[*].sku', target: '$.lines[*].skus[*]' },
+        { source: '$.orders[*].total', target: '$.totals[*]', transform: { name: 'multiply', args: [100] } }
+    ]
+};
+
+const payload = {
+    user: { id: 7, profile: { name: 'Ann' } },
+    orders: [
+        { id: 'o1', total: 12.5, lines: [{ sku: 'a' }, { sku: 'b' }] },
+        { id: 'o2', total: 3, lines: [{ sku: 'c' }] }
+    ]
+};
+
+describe('Inverse Transformations', () => {
+    test('should swap sources and targets', () => {
+        const inverse = invert({ pathMappings: [{ source: '$.a.b', target: '$.x' }] });
+        assert.deepEqual(inverse.pathMappings, [{ source: '$.x', target: '$.a.b' }]);
+    });
+
+    test('should round-trip pure copy rules with wildcards', () => {
+        const internal = transform(payload, apiRules);
+        assert.deepEqual(internal.totals, [1250, 300]);
+
+        const restored = reverseTransform(internal, apiRules);
+        assert.deepEqual(restored, {
+            user: { id: 7, profile: { name: 'Ann' } },
+            orders: [
+                { id: 'o1', total: 12.5, lines: [{ sku: 'a' }, { sku: 'b' }] },
+                { id: 'o2', total: 3, lines: [{ sku: 'c' }] }
+            ]
+        });
+    });
+
+    test('should reverse the order of inverted functions', () => {
+        const rules = {
+            pathMappings: [{ source: '$.c', target: '$.f', transform: { name: 'multiply', args: [1.8] }, pipe: [{ name: 'add', args: [32] }] }]
+        };
+        assert.deepEqual(invert(rules).pathMappings[0].pipe, [
+            { name: 'subtract', args: [32] },
+            { name: 'divide', args: [1.8] }
+        ]);
+        assert.deepEqual(reverseTransform({ f: 212 }, rules), { c: 100 });
+    });
+
+    test('should invert foreach blocks recursively', () => {
+        const rules = {
+            pathMappings: [{
+                foreach: '$.store.book[*]',
+                target: '$.catalog[*]',
+                mappings: [
+                    { source: '@.title', target: '@.name' },
+                    { source: '@.tags[*]', target: '@.labels[*]' }
+                ]
+            }]
+        };
+        const source = { store: { book: [{ title: 'A', tags: ['x', 'y'] }, { title: 'B', tags: [] }] } };
+
+        assert.deepEqual(reverseTransform(transform(source, rules), rules), source);
+    });
+
+    test('should report rules that are not invertible', () => {
+        const rules = {
+            pathMappings: [
+                { source: '$.a', target: '$.a' },
+                { source: '$.items[*].price.sum()', target: '$.total' },
+                { value: 'v1', target: '$.version' },
+                { source: '$.name', target: '$.name', transform: 'upper' },
+                { source: '$.items[?(@.price > 5)].id', target: '$.ids[*]' },
+                { source: '$.groups[*].ids[*]', target: '$.ids[*]' },
+                {
+                    foreach: '$.items[*]',
+                    target: '$.rows[*]',
+                    mappings: [{ source: '@.id', target: '@.id' }, { expression: '@.price * 2', target: '@.double' }]
+                }
+            ]
+        };
+
+        assert.deepEqual(checkInvertible(rules), [
+            { rulePath: [1], reason: 'aggregate operation sum() is not invertible' },
+            { rulePath: [2], reason: 'constant and computed values are not invertible' },
+            { rulePath: [3], reason: 'function "upper" is not invertible' },
+            { rulePath: [4], reason: 'filter selector in "$.items[?(@.price > 5)].id" is not invertible' },
+            { rulePath: [5], reason: 'source has 2 [*] wildcards but target has 1' },
+            { rulePath: [6, 1], reason: 'constant and computed values are not invertible' }
+        ]);
+        assert.throws(() => invert(rules), /Rules are not invertible \(rule 1: aggregate operation sum\(\) is not invertible;/);
+        assert.deepEqual(checkInvertible({
+            merge: 'deepMerge',
+            pathMappings: [{ source: '$.a', target: '$.b' }, { source: '$.c', target: '$.d', merge: 'error' }]
+        }), [{ rulePath: [0], reason: 'deepMerge merges are not invertible' }]);
+        assert.deepEqual(checkInvertible({
+            pathMappings: [
+                { source: '$.id', target: '$.name', lookup: '$names[*]', key: '@.id', select: '@.name' },
+                { source: '$names[0]', target: '$.first' }
+            ]
+        }), [
+            { rulePath: [0], reason: 'lookups are not invertible' },
+            { rulePath: [1], reason: 'named document in "$names[0]" is not invertible' }
+        ]);
+    });
+
+    test('should only invert arithmetic by finite, non-zero numbers', () => {
+        const rules = {
+            pathMappings: [
+                { source: '$.a', target: '$.a', transform: { name: 'multiply', args: [0] } },
+                { source: '$.b', target: '$.b', transform: { name: 'divide', args: [0] } },
+                { source: '$.c', target: '$.c', transform: { name: 'add', args: ['y'] } },
+                { source: '$.d', target: '$.d', pipe: [{ name: 'multiply', args: [2] }, { name: 'subtract', args: [Infinity] }] },
+                { source: '$.e', target: '$.e', pipe: [{ name: 'multiply', args: [0.5] }, { name: 'add', args: [0] }] }
+            ]
+        };
+
+        assert.deepEqual(checkInvertible(rules), [
+            { rulePath: [0], reason: 'function "multiply" is not invertible' },
+            { rulePath: [1], reason: 'function "divide" is not invertible' },
+            { rulePath: [2], reason: 'function "add" is not invertible' },
+            { rulePath: [3], reason: 'function "subtract" is not invertible' }
+        ]);
+    });
+
+    test('should leave out non-invertible rules when not strict', () => {
+        const rules = {
+            pathMappings: [
+                { source: '$.a', target: '$.x' },
+                { value: 1, target: '$.version' },
+                { foreach: '$.items[*]', target: '$.rows[*]', mappings: [{ source: '@.id', target: '@.key' }, { value: true, target: '@.seen' }] }
+            ]
+        };
+
+        assert.deepEqual(invert(rules, { strict: false }).pathMappings, [
+            { source: '$.x', target: '$.a' },
+            { foreach: '$.rows[*]', target: '$.items[*]', mappings: [{ source: '@.key', target: '@.id' }] }
+        ]);
+    });
+
+    test('should merge the result into an original document', () => {
+        const rules = {
+            pathMappings: [
+                { source: '$.user.name', target: '$.name' },
+                { source: '$.items[*].price', target: '$.prices[*]' }
+            ]
+        };
+        const original = { user: { name: 'Ann', role: 'admin' }, items: [{ id: 1, price: 5 }, { id: 2, price: 6 }] };
+
+        const result = reverseTransform({ name: 'Bob', prices: [7, 8] }, rules, { original });
+
+        assert.deepEqual(result, { user: { name: 'Bob', role: 'admin' }, items: [{ id: 1, price: 7 }, { id: 2, price: 8 }] });
+        assert.equal(original.user.name, 'Ann');
+    });
+
+    test('should replace the original arrays with the reversed ones', () => {
+        const rules = { pathMappings: [{ source: '$.people[*].name', target: '$.names[*]' }] };
+        const original = { id: 7, people: [{ name: 'a', age: 30 }, { name: 'b', age: 40 }] };
+
+        assert.deepEqual(reverseTransform({ names: ['x'] }, rules, { original }), { id: 7, people: [{ name: 'x', age: 30 }] });
+        assert.deepEqual(reverseTransform({ names: ['x', 'y', 'z'] }, rules, { original }),
+            { id: 7, people: [{ name: 'x', age: 30 }, { name: 'y', age: 40 }, { name: 'z' }] });
+    });
+    test('should not check the inverse result against the forward output schema', () => {
+        const rules = {
+            outputSchema: { type: 'object', required: ['names'], properties: { names: { type: 'array' } } },
+            pathMappings: [{ source: '$.people[*].name', target: '$.names[*]' }]
+        };
+
+        assert.equal(invert(rules).outputSchema, undefined);
+        assert.deepEqual(reverseTransform({ names: ['x'] }, rules), { people: [{ name: 'x' }] });
+    });
+});
\ No newline at end of file
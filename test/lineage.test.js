@@ -0,0 +1,123 @@
+/**
+ * Tests for Lineage Tracing
+ */
+
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { transform, traceLineage } from '../src/transformer.js';
+
+const data = {
+    store: {
+        name: 'corner',
+        book: [
+            { title: 'A', price: 8, tags: ['x', 'y'] },
+            { title: 'B', price: 12, tags: [] }
+        ]
+    },
+    meta: { version: 1 }
+};
+
+const rules = {
+    pathMappings: [
+        { source: '$.store.name', target: '$.shop', transform: 'upper' },
+        { source: '$.store.book[*].title', target: '$.titles[*]' },
+        { source: '$.store.book[*].price.sum()', target: '$.total' },
+        { expression: '$.store.book[0].price * 2', target: '$.double' },
+        { value: 'v1', target: '$.format' },
+        {
+            foreach: '$.store.book[*]',
+            target: '$.books[*]',
+            mappings: [
+                { source: '@.title', target: '@.name' },
+                { source: '@.tags', target: '@.labels' }
+            ]
+        },
+        { source: '$.missing', target: '$.info', default: { source: '$.meta' } }
+    ]
+};
+
+describe('Lineage Tracing', () => {
+    test('should report the rule and source paths of each written node', () => {
+        const { result, lineage } = traceLineage(data, rules);
+
+        assert.deepEqual(result, transform(data, rules));
+        assert.deepEqual(lineage.map(({ path, rulePath, sources }) => [path, rulePath, sources]), [
+            [['shop'], [0], [['store', 'name']]],
+            [['titles', 0], [1], [['store', 'book', 0, 'title']]],
+            [['titles', 1], [1], [['store', 'book', 1, 'title']]],
+            [['total'], [2], [['store', 'book', 0, 'price'], ['store', 'book', 1, 'price']]],
+            [['double'], [3], [['store', 'book', 0, 'price']]],
+            [['format'], [4], []],
+            [['books', 0], [5], [['store', 'book', 0]]],
+            [['books', 0, 'name'], [5, 0], [['store', 'book', 0, 'title']]],
+            [['books', 0, 'labels'], [5, 1], [['store', 'book', 0, 'tags']]],
+            [['books', 1], [5], [['store', 'book', 1]]],
+            [['books', 1, 'name'], [5, 0], [['store', 'book', 1, 'title']]],
+            [['books', 1, 'labels'], [5, 1], [['store', 'book', 1, 'tags']]],
+            [['info'], [6], [['meta']]]
+        ]);
+        assert.deepEqual(lineage.filter(entry => entry.copied).map(entry => entry.path.join('.')), [
+            'titles.0', 'titles.1', 'books.0.name', 'books.0.labels', 'books.1.name', 'books.1.labels', 'info'
+        ]);
+    });
+
+    test('should trace values below copied nodes', () => {
+        const { sourcesOf } = traceLineage(data, rules);
+
+        assert.deepEqual(sourcesOf(['books', 0, 'labels', 1]), [{ rulePath: [5, 1], sources: [['store', 'book', 0, 'tags', 1]], copied: true }]);
+        assert.deepEqual(sourcesOf(['info', 'version']), [{ rulePath: [6], sources: [['meta', 'version']], copied: true }]);
+        assert.deepEqual(sourcesOf(['books', 1]).map(origin => origin.rulePath), [[5], [5, 0], [5, 1]]);
+        assert.deepEqual(sourcesOf(['missing']), []);
+    });
+
+    test('should find the output nodes a source node feeds', () => {
+        const { outputsOf } = traceLineage(data, rules);
+
+        assert.deepEqual(outputsOf(['store', 'book', 0, 'price']), [['total'], ['double']]);
+        assert.deepEqual(outputsOf(['store', 'book', 0, 'tags', 0]), [['books', 0, 'labels', 0]]);
+        assert.deepEqual(outputsOf(['store', 'book', 1]), [
+            ['titles', 1], ['total'], ['books', 1], ['books', 1, 'name'], ['books', 1, 'labels']
+        ]);
+        assert.deepEqual(outputsOf(['store', 'book', 1, 'price']), [['total']]);
+        assert.deepEqual(outputsOf(['store', 'book', 1, 'title']), [['titles', 1], ['books', 1, 'name']]);
+        assert.deepEqual(outputsOf(['meta', 'version']), [['info', 'version']]);
+        assert.deepEqual(outputsOf(['unused']), []);
+    });
+
+    test('should follow nodes that are moved, renamed and removed', () => {
+        const { result, lineage, sourcesOf, outputsOf } = traceLineage(data, {
+            pathMappings: [
+                { source: '$.store.book', target: '$.list' },
+                { source: '$.store.book[*].title', target: '$.titles' },
+                { op: 'move', source: '$.list[0]', target: '$.first' },
+                { op: 'rename', target: '$.titles', name: 'names' },
+                { op: 'delete', target: '$.names[0]' }
+            ]
+        });
+
+        assert.deepEqual(result, { list: [data.store.book[1]], first: data.store.book[0], names: ['B'] });
+        assert.deepEqual(sourcesOf(['first', 'tags', 1]), [{ rulePath: [0], sources: [['store', 'book', 0, 'tags', 1]], copied: true }]);
+        assert.deepEqual(sourcesOf(['list', 0, 'title']), [{ rulePath: [0], sources: [['store', 'book', 1, 'title']], copied: true }]);
+        assert.deepEqual(sourcesOf(['names', 0]), [{ rulePath: [1], sources: [['store', 'book', 1, 'title']], copied: true }]);
+        assert.deepEqual(outputsOf(['store', 'book', 0, 'title']), [['first', 'title']]);
+        assert.ok(lineage.every(entry => entry.path[0] !== 'titles'));
+    });
+
+    test('should trace documents updated in place', () => {
+        const { result, sourcesOf, outputsOf } = traceLineage(data, {
+            pathMappings: [
+                { op: 'delete', target: '$.store.book[0]' },
+                { op: 'rename', target: '$.meta', name: 'about' },
+                { source: '$.store.book[*].price.sum()', target: '$.store.name' }
+            ]
+        }, { mode: 'update' });
+
+        assert.equal(result.store.name, 20);
+        assert.deepEqual(sourcesOf(['store', 'book', 0, 'title']), [{ rulePath: null, sources: [['store', 'book', 1, 'title']], copied: true }]);
+        assert.deepEqual(sourcesOf(['about', 'version']), [{ rulePath: null, sources: [['meta', 'version']], copied: true }]);
+        assert.deepEqual(sourcesOf(['store', 'name']).map(origin => origin.rulePath), [[2]]);
+        assert.deepEqual(outputsOf(['store', 'book', 1, 'price']), [['store', 'book', 0, 'price'], ['store', 'name']]);
+        assert.deepEqual(outputsOf(['store', 'name']), []);
+        assert.deepEqual(outputsOf(['store', 'book', 0]), [['store', 'name']]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,147 @@
+/**
+ * Tests for Named Documents and Lookups
+ */
+
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { transform, compile, traceLineage, debugTransform } from '../src/transformer.js';
+import { inferSchema } from '../src/schema.js';
+
+const orders = {
+    orders: [
+        { id: 1, customerId: 'c2', skus: ['b1', 'b2'] },
+        { id: 2, customerId: 'c9', skus: [] },
+        { id: 3, customerId: 'c1', skus: ['b2'] }
+    ]
+};
+
+const documents = {
+    customers: [{ id: 'c1', name: 'Ann' }, { id: 'c2', name: 'Bo' }],
+    catalog: { books: [{ sku: 'b1', title: 'Dune', tags: ['sf'] }, { sku: 'b2', title: 'Emma', tags: ['novel', 'classic'] }] }
+};
+
+describe('Named Documents and Lookups', () => {
+    test('should read named documents in paths, expressions and conditions', () => {
+        const result = transform(orders, {
+            pathMappings: [
+                { source: '$customers[*].name', target: '$.names' },
+                { source: '$catalog.books[*].sku.count()', target: '$.books' },
+                { expression: '$customers[0].name + "/" + $.orders[0].customerId', target: '$.label' },
+                { value: true, target: '$.known', when: '$customers[?(@.id == "c1")]' },
+                { foreach: '$catalog.books[*]', target: '$.titles[*]', mappings: [{ source: '@.title', target: '@' }] }
+            ]
+        }, { documents });
+
+        assert.deepEqual(result, { names: ['Ann', 'Bo'], books: 2, label: 'Ann/c2', known: true, titles: ['Dune', 'Emma'] });
+        assert.throws(() => transform(orders, { pathMappings: [{ source: '$customers[*]', target: '$.x' }] }),
+            /Unknown document "\$customers"/);
+        assert.throws(() => transform(orders, { pathMappings: [{ expression: '$users.count()', target: '$.x' }] }, { documents }),
+            /Unknown document "\$users"/);
+        assert.deepEqual(transform({ customers: 1 }, { pathMappings: [{ source: '$customers', target: '$.x' }] }, { lenient: true }), { x: 1 });
+    });
+
+    test('should read named documents in filters', () => {
+        const rules = {
+            pathMappings: [
+                { source: '$.orders[?(@.customerId in $customers[*].id)].id', target: '$.known' },
+                { foreach: '$.orders[?(@.skus[0] == $catalog.books[0].sku)]', target: '$.dune[*]', mappings: [{ source: '@.id', target: '@' }] }
+            ]
+        };
+
+        assert.deepEqual(transform(orders, rules, { documents }), { known: [1, 3], dune: [1] });
+        assert.deepEqual(compile(rules, { documents })(orders), { known: [1, 3], dune: [1] });
+        assert.throws(() => transform(orders, rules), /Unknown document "\$customers"/);
+    });
+
+    test('should replace keys with the matching elements of another document', () => {
+        const rules = {
+            pathMappings: [
+                {
+                    foreach: '$.orders[*]',
+                    target: '$.orders[*]',
+                    mappings: [
+                        { source: '@.id', target: '@.id' },
+                        { source: '@.customerId', target: '@.customer', lookup: '$customers[*]', key: '@.id', select: '@.name', default: 'unknown' },
+                        { source: '@.skus', target: '@.books', lookup: '$catalog.books[*]', key: '@.sku', select: '@.title' }
+                    ]
+                },
+                { source: '$.orders[0].customerId', target: '$.first', lookup: '$customers[*]', key: '@.id' },
+                { source: '$.orders[*].customerId', target: '$.customers[*]', lookup: '$customers[*]', key: '@.id', select: '@.name' },
+                { source: '$.orders[2].skus[0]', target: '$.tags', lookup: '$catalog.books[*]', key: '@.sku', select: '@.tags[*]', many: true }
+            ]
+        };
+
+        const result = transform(orders, rules, { documents });
+        assert.deepEqual(result, {
+            orders: [
+                { id: 1, customer: 'Bo', books: ['Dune', 'Emma'] },
+                { id: 2, customer: 'unknown', books: [] },
+                { id: 3, customer: 'Ann', books: ['Emma'] }
+            ],
+            first: { id: 'c2', name: 'Bo' },
+            customers: ['Bo', null, 'Ann'],
+            tags: ['novel', 'classic']
+        });
+        assert.deepEqual(compile(rules, { documents })(orders), result);
+        assert.throws(() => transform(orders, { pathMappings: [{ source: '$.orders[0].id', target: '$.x', lookup: '$customers[*]', key: 'id' }] }, { documents }),
+            /Lookup "\$customers\[\*\]" needs "key" and "select" paths starting with "@"/);
+    });
+
+    test('should index each lookup collection once per transformation', () => {
+        let reads = 0;
+        const customers = documents.customers.map(customer => ({
+            name: customer.name,
+            get id() {
+                reads++;
+                return customer.id;
+            }
+        }));
+        const lookupRule = { source: '$.orders[*].customerId', target: '$.names[*]', lookup: '$customers[*]', key: '@.id', select: '@.name' };
+        const readsOf = (pathMappings) => {
+            reads = 0;
+            const result = transform(orders, { pathMappings }, { documents: { customers } });
+            return { result, reads };
+        };
+
+        const once = readsOf([lookupRule]);
+        const twice = readsOf([lookupRule, { ...lookupRule, merge: 'append' }]);
+        assert.deepEqual(once.result.names, ['Bo', null, 'Ann']);
+        assert.deepEqual(twice.result.names, ['Bo', null, 'Ann', 'Bo', null, 'Ann']);
+        assert.equal(twice.reads, once.reads);
+        assert.ok(once.reads <= 2 * customers.length);
+    });
+
+    test('should leave looked up values out of lineage and schemas', () => {
+        const rules = {
+            pathMappings: [
+                { source: '$.orders[0].customerId', target: '$.customer', lookup: '$customers[*]', key: '@.id' },
+                { source: '$customers[0]', target: '$.firstCustomer' }
+            ]
+        };
+
+        const { sourcesOf } = traceLineage(orders, rules, { documents });
+        assert.deepEqual(sourcesOf(['customer', 'name']), [{ rulePath: [0], sources: [['orders', 0, 'customerId']], copied: false }]);
+        assert.deepEqual(sourcesOf(['firstCustomer']), [{ rulePath: [1], sources: [], copied: true }]);
+
+        const schema = inferSchema(rules, {
+            type: 'object',
+            properties: { orders: { type: 'array', items: { type: 'object', properties: { customerId: { type: 'string' } } } } }
+        });
+        assert.deepEqual(schema.properties, { customer: {}, firstCustomer: {} });
+        assert.equal(schema.required, undefined);
+    });
+    test('should read named documents in debugTransform', () => {
+        const rules = {
+            pathMappings: [
+                { source: '$orders[*].customerId', target: '$.names[*]', lookup: '$customers[*]', key: '@.id', select: '@.name' },
+                { source: '$customers[0].name', target: '$.first' }
+            ]
+        };
+        const options = { documents: { ...documents, orders: orders.orders } };
+
+        const debugInfo = debugTransform({}, rules, options);
+        assert.deepEqual(debugInfo.steps.map(step => step.extractedValue), [['c2', 'c9', 'c1'], 'Ann']);
+        assert.deepEqual(debugInfo.finalResult, transform({}, rules, options));
+        assert.deepEqual(debugInfo.finalResult, { names: ['Bo', null, 'Ann'], first: 'Ann' });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,108 @@
+/**
+ * Tests for Merge Strategies
+ */
+
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { transform, compile, createPatch, traceLineage, setValueAtPath } from '../src/transformer.js';
+import { applyPatch } from '../src/patch.js';
+
+const data = {
+    orders: [{ id: 1, tags: ['new', 'gift'] }, { id: 2, tags: ['gift'] }],
+    legacy: [{ id: 2, tags: [] }, { id: 3, tags: ['old'] }],
+    profile: { name: 'Ann', address: { city: 'Oslo' } },
+    account: { address: { zip: '0150' }, plan: 'pro' }
+};
+
+describe('Merge Strategies', () => {
+    test('should append to and deduplicate output collections', () => {
+        const rules = (merge) => ({
+            pathMappings: [
+                { source: '$.orders[*].id', target: '$.ids[*]' },
+                { source: '$.legacy[*].id', target: '$.ids[*]', merge }
+            ]
+        });
+
+        assert.deepEqual(transform(data, rules(undefined)), { ids: [2, 3] });
+        assert.deepEqual(transform(data, rules('append')), { ids: [1, 2, 2, 3] });
+        assert.deepEqual(transform(data, rules('concatUnique')), { ids: [1, 2, 3] });
+
+        assert.deepEqual(transform(data, {
+            merge: 'concatUnique',
+            pathMappings: [
+                { source: '$.orders[0].tags', target: '$.tags' },
+                { source: '$.orders[1].tags', target: '$.tags' },
+                { source: '$.legacy[1].tags[0]', target: '$.tags' },
+                { source: '$.legacy[0].tags', target: '$.tags' }
+            ]
+        }), { tags: ['new', 'gift', 'old'] });
+        assert.deepEqual(transform(data, {
+            pathMappings: [
+                { source: '$.profile.name', target: '$.names', merge: 'append' },
+                { value: ['Bo', 'Cy'], target: '$.names', merge: 'append' }
+            ]
+        }), { names: ['Ann', 'Bo', 'Cy'] });
+        assert.throws(() => transform(data, {
+            pathMappings: [{ source: '$.profile', target: '$.p' }, { source: '$.account', target: '$.p', merge: 'append' }]
+        }), /Cannot append to "\$\.p": it holds a value that is not an array/);
+    });
+
+    test('should combine foreach blocks into one collection', () => {
+        const rules = (merge) => ({
+            pathMappings: [
+                { foreach: '$.orders[*]', target: '$.all[*]', mappings: [{ source: '@.id', target: '@.id' }] },
+                {
+                    foreach: '$.legacy[*]',
+                    target: '$.all[*]',
+                    merge,
+                    mappings: [{ source: '@.id', target: '@.id' }, { value: true, target: '@.legacy' }]
+                }
+            ]
+        });
+
+        assert.deepEqual(transform(data, rules('append')).all, [{ id: 1 }, { id: 2 }, { id: 2, legacy: true }, { id: 3, legacy: true }]);
+        assert.deepEqual(transform(data, rules(undefined)).all, [{ id: 2, legacy: true }, { id: 3, legacy: true }]);
+        assert.throws(() => transform(data, rules('error')), /Target "\$\.all\[0\]" already holds a value \(merge strategy "error"\)/);
+    });
+
+    test('should deep merge objects and reject conflicts', () => {
+        const rules = (merge) => ({
+            merge,
+            pathMappings: [
+                { source: '$.profile', target: '$.user' },
+                { source: '$.account', target: '$.user' },
+                { source: '$.orders[0].id', target: '$.user.lastOrder' }
+            ]
+        });
+
+        assert.deepEqual(transform(data, rules(undefined)).user, { address: { zip: '0150' }, plan: 'pro', lastOrder: 1 });
+        assert.deepEqual(transform(data, rules('deepMerge')).user, {
+            name: 'Ann', address: { city: 'Oslo', zip: '0150' }, plan: 'pro', lastOrder: 1
+        });
+        assert.deepEqual(compile(rules('deepMerge'))(data), transform(data, rules('deepMerge')));
+        assert.deepEqual(data.profile, { name: 'Ann', address: { city: 'Oslo' } });
+
+        assert.throws(() => transform(data, rules('error')), /Target "\$\.user" already holds a value/);
+        assert.throws(() => transform(data, { ...rules(undefined), merge: 'combine' }), /Unknown merge strategy "combine"/);
+        assert.deepEqual(setValueAtPath({ a: { b: 1 } }, '$.a', { c: 2 }, [], 'deepMerge'), { a: { b: 1, c: 2 } });
+        assert.deepEqual(setValueAtPath({ a: [1] }, '$.a', [1, 2], [], 'concatUnique'), { a: [1, 2] });
+    });
+
+    test('should record merged writes in patches and lineage', () => {
+        const rules = {
+            pathMappings: [
+                { source: '$.orders[*].id', target: '$.ids[*]' },
+                { source: '$.legacy[*].id', target: '$.ids[*]', merge: 'concatUnique' },
+                { source: '$.profile', target: '$.user' },
+                { source: '$.account', target: '$.user', merge: 'deepMerge' }
+            ]
+        };
+
+        assert.deepEqual(applyPatch({}, createPatch(data, rules)), transform(data, rules));
+
+        const { sourcesOf } = traceLineage(data, rules);
+        assert.deepEqual(sourcesOf(['ids', 2]), [{ rulePath: [1], sources: [['legacy', 1, 'id']], copied: true }]);
+        assert.deepEqual(sourcesOf(['user', 'address', 'city']), [{ rulePath: [2], sources: [['profile', 'address', 'city']], copied: true }]);
+        assert.deepEqual(sourcesOf(['user', 'address', 'zip']), [{ rulePath: [3], sources: [['account', 'address', 'zip']], copied: true }]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,92 @@
+/**
+ * Tests for Aggregate Operations
+ */
+
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { aggregateOps, parseOperationChain, applyOperations } from '../src/operations.js';
+
+const books = [
+    { title: 'A', price: 12, category: 'fiction' },
+    { title: 'B', price: 8, category: 'reference' },
+    { title: 'C', price: 10, category: 'fiction' }
+];
+
+describe('Operation Chains', () => {
+    test('should parse a chain of operations with arguments', () => {
+        const { path, operations } = parseOperationChain('$.store.book[*].sort(price).take(2)');
+        assert.equal(path, '$.store.book[*]');
+        assert.deepEqual(operations.map(({ name, args }) => ({ name, args })), [
+            { name: 'sort', args: ['price'] },
+            { name: 'take', args: [2] }
+        ]);
+    });
+
+    test('should parse quoted and literal arguments', () => {
+        const { operations } = parseOperationChain(`$.a[*].join(", ").fn('x,y', true, null)`);
+        assert.deepEqual(operations[0].args, [', ']);
+        assert.deepEqual(operations[1].args, ['x,y', true, null]);
+    });
+
+    test('should report the offset of each operation', () => {
+        const { operations } = parseOperationChain('$.a.max()');
+        assert.equal(operations[0].offset, 3);
+    });
+
+    test('should not treat filter expressions as operations', () => {
+        const { path, operations } = parseOperationChain('$.a[?(@.b == 1)]');
+        assert.equal(path, '$.a[?(@.b == 1)]');
+        assert.deepEqual(operations, []);
+    });
+
+    test('should apply operations in order', () => {
+        const operations = parseOperationChain('$.x.sort(price).first()').operations;
+        assert.equal(applyOperations(books, operations).title, 'B');
+    });
+
+    test('should reject unknown operations', () => {
+        const operations = parseOperationChain('$.x.mxa()').operations;
+        assert.throws(() => applyOperations([1], operations), /Unknown operation "mxa\(\)"/);
+    });
+});
+
+describe('Parameterized Operations', () => {
+    test('should sort by key and order', () => {
+        assert.deepEqual(aggregateOps.sort(books, 'price').map(book => book.title), ['B', 'C', 'A']);
+        assert.deepEqual(aggregateOps.sort(books, 'price', 'desc').map(book => book.title), ['A', 'C', 'B']);
+    });
+
+    test('should take and skip items', () => {
+        assert.deepEqual(aggregateOps.take([1, 2, 3], 2), [1, 2]);
+        assert.deepEqual(aggregateOps.skip([1, 2, 3], 2), [3]);
+    });
+
+    test('should join values', () => {
+        assert.equal(aggregateOps.join(['a', 'b']), 'a,b');
+        assert.equal(aggregateOps.join(['a', 'b'], ' | '), 'a | b');
+    });
+
+    test('should compute percentiles with interpolation', () => {
+        const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+        assert.equal(aggregateOps.percentile(values, 50), 5.5);
+        assert.equal(aggregateOps.percentile(values, 90), 9.1);
+        assert.equal(aggregateOps.percentile(values, 100), 10);
+        assert.equal(aggregateOps.median([3, 1, 2]), 2);
+        assert.equal(aggregateOps.percentile([], 50), undefined);
+    });
+
+    test('should group and count by key', () => {
+        const groups = aggregateOps.groupBy(books, 'category');
+        assert.deepEqual(Object.keys(groups), ['fiction', 'reference']);
+        assert.equal(groups.fiction.length, 2);
+        assert.deepEqual(aggregateOps.countBy(books, 'category'), { fiction: 2, reference: 1 });
+    });
+
+    test('should aggregate by key', () => {
+        assert.equal(aggregateOps.sum(books, 'price'), 30);
+        assert.equal(aggregateOps.avg(books, 'price'), 10);
+        assert.equal(aggregateOps.max(books, 'price').title, 'A');
+        assert.equal(aggregateOps.min(books, 'price').title, 'B');
+        assert.deepEqual(aggregateOps.unique(books, 'category').map(book => book.title), ['A', 'B']);
+    });
+});
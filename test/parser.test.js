@@ -0,0 +1,92 @@
+/**
+ * Tests for the JSONPath Parser
+ */
+
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { parsePath, JsonPathSyntaxError } from '../src/parser.js';
+import { createAutomaton } from '../src/automaton.js';
+import { transform, extractValues } from '../src/transformer.js';
+
+const syntaxError = (path) => {
+    try {
+        parsePath(path);
+    } catch (error) {
+        return error;
+    }
+    assert.fail(`"${path}" should not parse`);
+};
+
+describe('JSONPath Parser', () => {
+    test('should produce an AST with segment positions', () => {
+        const ast = parsePath("$.store.book[*]['the title'][?(@.a > 1)]..isbn[0:2]");
+
+        assert.equal(ast.type, 'path');
+        assert.equal(ast.root, '$');
+        assert.deepEqual(ast.segments.map(segment => segment.type), [
+            'property', 'property', 'wildcard', 'property', 'filter', 'descendant', 'property', 'slice'
+        ]);
+        assert.deepEqual(ast.positions, [2, 8, 12, 15, 28, 40, 42, 46]);
+    });
+
+    test('should accept relative roots, dot wildcards and spaces inside brackets', () => {
+        assert.equal(parsePath('@.a').root, '@');
+        assert.deepEqual(parsePath('$.a.*').segments[1], { type: 'wildcard' });
+        assert.deepEqual(parsePath("$[ 0 , 'b' ]").segments[0], {
+            type: 'union',
+            selectors: [{ type: 'index', value: 0 }, { type: 'property', value: 'b' }]
+        });
+        assert.deepEqual(parsePath('$..[0]').segments, [{ type: 'descendant' }, { type: 'index', value: 0 }]);
+    });
+
+    test('should throw positioned syntax errors', () => {
+        const cases = [
+            ['$.store.book[*.price', 14, 'Expected "]" but found "."'],
+            ['$.store.book[abc]', 13, 'Expected "*", an index, a slice, a quoted name or a filter but found "a"'],
+            ['$.a..', 5, 'Expected a property name or "*" but found end of path'],
+            ['$.a.', 4, 'Expected a property name or "*" but found end of path'],
+            ['$.a]', 3, 'Expected "." or "[" but found "]"'],
+            ['$a', 1, 'Expected "." or "[" but found "a"'],
+            ['store.book', 0, 'Expected "$" or "@" but found "s"'],
+            ['$.a[0', 5, 'Expected "]", "," or ":" but found end of path'],
+            ["$['a", 2, 'Unterminated string'],
+            ['$.a[?(@.x ==)]', 12, 'Invalid filter expression: Unexpected token ")"'],
+            ['$.a[?(@.x > 1)', 14, 'Expected "]" but found end of path']
+        ];
+
+        for (const [path, position, reason] of cases) {
+            const error = syntaxError(path);
+            assert.ok(error instanceof JsonPathSyntaxError, path);
+            assert.equal(error.name, 'JsonPathSyntaxError');
+            assert.equal(error.position, position, path);
+            assert.equal(error.reason, reason, path);
+            assert.equal(error.message, `${reason} at position ${position} in path "${path}"`);
+        }
+        assert.equal(syntaxError('$.a]').expected, '"." or "["');
+    });
+
+    test('should recover from syntax errors in lenient mode', () => {
+        assert.deepEqual(parsePath('$.store.book[abc].price', { lenient: true }).segments, [
+            { type: 'property', value: 'store' },
+            { type: 'property', value: 'book' },
+            { type: 'property', value: 'price' }
+        ]);
+        assert.deepEqual(parsePath('store..', { lenient: true }).segments, [
+            { type: 'property', value: 'store' },
+            { type: 'descendant' }
+        ]);
+        assert.deepEqual(parsePath('$.a[0', { lenient: true }).positions, [null, null]);
+    });
+
+    test('should be strict by default in automata and transforms', () => {
+        const data = { a: [{ b: 1 }] };
+
+        assert.throws(() => createAutomaton('$.a[*.b'), JsonPathSyntaxError);
+        assert.throws(() => extractValues(data, '$.a]'), /Expected "." or "\[" but found "\]"/);
+        assert.throws(() => transform(data, { pathMappings: [{ source: '$.a', target: '$.x]' }] }), JsonPathSyntaxError);
+
+        // The unclosed selector is dropped, as earlier versions did
+        assert.deepEqual(createAutomaton('$.a[*.b', { lenient: true }).process(data).map(match => match.path), [['a']]);
+        assert.deepEqual(transform(data, { pathMappings: [{ source: 'a[0].b', target: '$.x' }] }, { lenient: true }), { x: 1 });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,103 @@
+/**
+ * Tests for JSON Patch Support
+ */
+
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { transform, createPatch } from '../src/transformer.js';
+import { applyPatch, toPointer, parsePointer } from '../src/patch.js';
+
+const document = {
+    user: { name: 'ann', 'a/b': 1 },
+    items: [{ id: 1, cost: 5, tmp: true }, { id: 2, cost: 7, tmp: true }]
+};
+
+describe('JSON Pointer', () => {
+    test('should escape and unescape reference tokens', () => {
+        assert.equal(toPointer(['user', 'a/b', 'c~d', 0]), '/user/a~1b/c~0d/0');
+        assert.deepEqual(parsePointer('/user/a~1b/c~0d/0'), ['user', 'a/b', 'c~d', '0']);
+        assert.equal(toPointer([]), '');
+        assert.throws(() => parsePointer('user'), /Invalid JSON Pointer "user"/);
+    });
+});
+
+describe('JSON Patch', () => {
+    test('should apply patch operations without modifying the document', () => {
+        const patched = applyPatch(document, [
+            { op: 'add', path: '/items/1', value: { id: 9 } },
+            { op: 'add', path: '/items/-', value: { id: 10 } },
+            { op: 'replace', path: '/user/name', value: 'Ann' },
+            { op: 'remove', path: '/user/a~1b' },
+            { op: 'copy', from: '/user/name', path: '/owner' },
+            { op: 'move', from: '/owner', path: '/user/alias' },
+            { op: 'test', path: '/user/alias', value: 'Ann' }
+        ]);
+
+        assert.deepEqual(patched.user, { name: 'Ann', alias: 'Ann' });
+        assert.deepEqual(patched.items.map(item => item.id), [1, 9, 2, 10]);
+        assert.equal(document.user.name, 'ann');
+    });
+
+    test('should reject invalid operations', () => {
+        assert.throws(() => applyPatch(document, [{ op: 'replace', path: '/missing', value: 1 }]), /Path "\/missing" does not exist/);
+        assert.throws(() => applyPatch(document, [{ op: 'add', path: '/items/5', value: 1 }]), /Path "\/items\/5" does not exist/);
+        assert.throws(() => applyPatch(document, [{ op: 'test', path: '/user/name', value: 'x' }]), /Test failed at "\/user\/name"/);
+        assert.throws(() => applyPatch(document, [{ op: 'move', from: '/user', path: '/user/x' }]), /into its own child/);
+        assert.throws(() => applyPatch(document, [{ op: 'merge', path: '' }]), /Unknown patch operation "merge"/);
+    });
+
+    test('should record an in-place transform as patch operations', () => {
+        const rules = {
+            "pathMappings": [
+                { "source": "$.user.name", "target": "$.user.name", "transform": "capitalize" },
+                { "source": "$.items[*].id", "target": "$.items[*].id" },
+                { "op": "delete", "target": "$.items[*].tmp" },
+                { "op": "rename", "target": "$.items[*].cost", "name": "price" },
+                { "value": 2, "target": "$.meta.version" }
+            ]
+        };
+
+        const patch = createPatch(document, rules, { mode: 'update' });
+
+        assert.deepEqual(patch, [
+            { op: 'replace', path: '/user/name', value: 'Ann' },
+            { op: 'remove', path: '/items/1/tmp' },
+            { op: 'remove', path: '/items/0/tmp' },
+            { op: 'move', from: '/items/0/cost', path: '/items/0/price' },
+            { op: 'move', from: '/items/1/cost', path: '/items/1/price' },
+            { op: 'add', path: '/meta', value: { version: 2 } }
+        ]);
+        assert.deepEqual(applyPatch(document, patch), transform(document, rules, { mode: 'update' }));
+    });
+
+    test('should start projections by replacing the document', () => {
+        const rules = {
+            "pathMappings": [
+                { "source": "$.items[*].id", "target": "$.ids[*]" },
+                {
+                    "foreach": "$.items[*]",
+                    "target": "$.rows[*]",
+                    "mappings": [{ "source": "@.cost", "target": "@.price" }]
+                }
+            ]
+        };
+
+        const patch = createPatch(document, rules);
+
+        assert.deepEqual(patch.slice(0, 3), [
+            { op: 'replace', path: '', value: {} },
+            { op: 'add', path: '/ids', value: [1] },
+            { op: 'add', path: '/ids/1', value: 2 }
+        ]);
+        assert.deepEqual(applyPatch(document, patch), transform(document, rules));
+    });
+
+    test('should record removals spliced out of arrays', () => {
+        const rules = { "pathMappings": [{ "op": "delete", "target": "$.items[?(@.id == 1)]" }] };
+
+        const patch = createPatch(document, rules, { mode: 'update' });
+
+        assert.deepEqual(patch, [{ op: 'remove', path: '/items/0' }]);
+        assert.deepEqual(applyPatch(document, patch).items, [{ id: 2, cost: 7, tmp: true }]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,246 @@
+/**
+ * Tests for JSON Schema Support
+ */
+
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { transform, compile, createPatch } from '../src/transformer.js';
+import { validateSchema, inferSchema, SchemaValidationError } from '../src/schema.js';
+
+const inputSchema = {
+    type: 'object',
+    required: ['store'],
+    properties: {
+        store: {
+            type: 'object',
+            required: ['name', 'book'],
+            properties: {
+                name: { type: 'string' },
+                book: { type: 'array', items: { $ref: '#/$defs/book' } }
+            }
+        },
+        note: { type: 'string' }
+    },
+    $defs: {
+        book: {
+            type: 'object',
+            required: ['title', 'price'],
+            properties: {
+                title: { type: 'string' },
+                price: { type: 'number' },
+                tags: { type: 'array', items: { type: 'string' } }
+            }
+        }
+    }
+};
+
+const data = {
+    store: {
+        name: 'corner',
+        book: [{ title: 'A', price: 8.5, tags: ['x'] }, { title: 'B', price: 12 }]
+    }
+};
+
+const rules = {
+    pathMappings: [
+        { source: '$.store.name', target: '$.shop', transform: 'upper' },
+        { source: '$.store.book[*].title', target: '$.titles[*]' },
+        { source: '$.store.book[*].price.sum()', target: '$.total' },
+        { source: '$.store.book[*].price.max()', target: '$.highest' },
+        { source: '$.note', target: '$.meta.note', default: 'none' },
+        { value: 2, target: '$.meta.version' },
+        {
+            foreach: '$.store.book[*]',
+            target: '$.books[*]',
+            mappings: [
+                { source: '@.title', target: '@.name' },
+                { source: '@.tags.count()', target: '@.tagCount' },
+                { source: '@.price', target: '@.label', transform: 'toString' }
+            ]
+        }
+    ]
+};
+
+describe('JSON Schema Validation', () => {
+    test('should report violations with their paths and keywords', () => {
+        const schema = {
+            type: 'object',
+            required: ['id', 'tags'],
+            additionalProperties: false,
+            properties: {
+                id: { type: 'integer', minimum: 1 },
+                name: { type: 'string', minLength: 2, pattern: '^[A-Z]' },
+                tags: { type: 'array', items: { enum: ['a', 'b'] }, uniqueItems: true },
+                kind: { oneOf: [{ const: 'x' }, { type: 'number' }] }
+            }
+        };
+
+        assert.deepEqual(validateSchema({ id: 3, name: 'Ann', tags: ['a'], kind: 'x' }, schema), []);
+        assert.deepEqual(validateSchema({ id: 0.5, name: 'a', tags: ['a', 'c', 'a'], kind: true, extra: 1 }, schema).map(v => [v.pointer, v.keyword]), [
+            ['/id', 'type'],
+            ['/id', 'minimum'],
+            ['/name', 'minLength'],
+            ['/name', 'pattern'],
+            ['/tags/1', 'enum'],
+            ['/tags', 'uniqueItems'],
+            ['/kind', 'oneOf'],
+            ['/extra', 'additionalProperties']
+        ]);
+
+        const missing = validateSchema({ id: 1 }, schema);
+        assert.deepEqual(missing, [{ path: ['tags'], pointer: '/tags', keyword: 'required', message: 'is required' }]);
+    });
+
+    test('should follow local references and combinators', () => {
+        const schema = {
+            $defs: { node: { type: 'object', properties: { value: { type: 'number' }, next: { $ref: '#/$defs/node' } } } },
+            allOf: [{ $ref: '#/$defs/node' }],
+            not: { required: ['bad'] },
+            if: { required: ['kind'] },
+            then: { properties: { kind: { const: 'list' } } },
+            else: { required: ['value'] }
+        };
+
+        assert.deepEqual(validateSchema({ value: 1, next: { value: 2, next: { value: 3 } } }, schema), []);
+        assert.deepEqual(validateSchema({ value: 1, next: { next: { value: 'x' } } }, schema).map(v => v.pointer), ['/next/next/value']);
+        assert.deepEqual(validateSchema({ kind: 'tree', bad: 1 }, schema).map(v => v.keyword), ['not', 'const']);
+        assert.deepEqual(validateSchema({}, schema).map(v => v.pointer), ['/value']);
+        assert.deepEqual(validateSchema('anything', true), []);
+        assert.deepEqual(validateSchema(1, false).map(v => v.keyword), ['false']);
+        assert.throws(() => validateSchema(1, { $ref: '#/$defs/missing' }), /Cannot resolve \$ref "#\/\$defs\/missing"/);
+        assert.throws(() => validateSchema(1, { $ref: 'http://example.com/schema' }), /Only local \$ref values are supported/);
+    });
+
+    test('should check transformation results against the output schema', () => {
+        const outputSchema = {
+            type: 'object',
+            required: ['shop', 'currency'],
+            properties: {
+                total: { type: 'integer' },
+                books: { type: 'array', items: { type: 'object', properties: { label: { type: 'number' } } } }
+            }
+        };
+
+        assert.throws(() => transform(data, { ...rules, outputSchema }), (error) => {
+            assert.ok(error instanceof SchemaValidationError);
+            assert.equal(error.message, 'Output does not match the schema: $.total must be integer (written by rule 2) and 3 more');
+            assert.deepEqual(error.violations.map(v => [v.pointer, v.keyword, v.rulePaths]), [
+                ['/total', 'type', [[2]]],
+                ['/books/0/label', 'type', [[6, 2]]],
+                ['/books/1/label', 'type', [[6, 2]]],
+                ['/currency', 'required', []]
+            ]);
+            return true;
+        });
+        assert.throws(() => compile({ ...rules, outputSchema })(data), SchemaValidationError);
+
+        const valid = { ...rules, outputSchema: { type: 'object', required: ['shop'] } };
+        assert.deepEqual(transform(data, valid), transform(data, rules));
+        assert.deepEqual(compile(valid)(data), transform(data, rules));
+        assert.deepEqual(createPatch(data, { ...rules, outputSchema }), createPatch(data, rules));
+    });
+
+    test('should name the rules that wrote renamed and nested output', () => {
+        const outputSchema = { properties: { info: { properties: { city: { type: 'number' } }, maxProperties: 1 } } };
+        const renaming = {
+            pathMappings: [
+                { source: '$.address', target: '$.home' },
+                { value: 'Oslo', target: '$.home.city' },
+                { op: 'rename', target: '$.home', name: 'info' }
+            ],
+            outputSchema
+        };
+
+        assert.throws(() => transform({ address: { city: 'Bergen', zip: '5003' } }, renaming), (error) => {
+            assert.deepEqual(error.violations.map(v => [v.pointer, v.keyword, v.rulePaths]), [
+                ['/info/city', 'type', [[1]]],
+                ['/info', 'maxProperties', [[0], [1]]]
+            ]);
+            return true;
+        });
+    });
+});
+
+describe('JSON Schema Inference', () => {
+    test('should infer the output schema from the rules and the input schema', () => {
+        const schema = inferSchema(rules, inputSchema);
+
+        assert.equal(schema.$schema, 'https://json-schema.org/draft/2020-12/schema');
+        assert.deepEqual(schema.$defs, inputSchema.$defs);
+        assert.deepEqual(schema.required, ['shop', 'titles', 'total', 'meta', 'books']);
+        assert.deepEqual(schema.properties.shop, { type: 'string' });
+        assert.deepEqual(schema.properties.titles, { type: 'array', items: { type: 'string' } });
+        assert.deepEqual(schema.properties.total, { type: 'number' });
+        assert.deepEqual(schema.properties.highest, { type: 'number' });
+        assert.deepEqual(schema.properties.meta, {
+            type: 'object',
+            properties: { note: { anyOf: [{ type: 'string' }, { const: 'none' }] }, version: { const: 2 } },
+            required: ['note', 'version']
+        });
+        assert.deepEqual(schema.properties.books.items, {
+            type: 'object',
+            properties: { name: { type: 'string' }, tagCount: { type: 'integer' }, label: { type: ['string', 'null'] } },
+            required: ['name', 'tagCount', 'label']
+        });
+
+        assert.deepEqual(validateSchema(transform(data, rules), schema), []);
+        assert.deepEqual(validateSchema(transform({ store: { name: 'empty', book: [] } }, rules), schema), []);
+    });
+
+    test('should only require properties every run writes', () => {
+        const schema = inferSchema({
+            pathMappings: [
+                { source: '$.note', target: '$.note' },
+                { source: '$.store.name', target: '$.name', when: '$.note' },
+                { source: '$.store.book[0].title', target: '$.first' },
+                { source: '$.store.book[*].price.min()', target: '$.cheapest' },
+                { source: '$.store.book[?(@.price > 10)].title', target: '$.expensive' },
+                { expression: '$.store.book[*].price.sum() * 2', target: '$.double' },
+                { source: '$.store.name', target: '$.label', transform: 'custom' },
+                { source: '$.note', target: '$.checked', required: true }
+            ]
+        }, inputSchema);
+
+        assert.deepEqual(schema.required, ['checked']);
+        assert.deepEqual(schema.properties.first, { type: 'string' });
+        assert.deepEqual(schema.properties.expensive, { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] });
+        assert.deepEqual(schema.properties.double, {});
+        assert.deepEqual(schema.properties.label, {});
+    });
+
+    test('should combine the schemas of merged targets', () => {
+        const schema = inferSchema({
+            merge: 'deepMerge',
+            pathMappings: [
+                { source: '$.store.book[*].title', target: '$.labels[*]' },
+                { source: '$.store.book[*].price', target: '$.labels[*]', merge: 'append' },
+                { source: '$.store.name', target: '$.names', merge: 'concatUnique' },
+                { source: '$.store.book[*].tags', target: '$.names', merge: 'concatUnique' },
+                { source: '$.store', target: '$.shop' },
+                { source: '$.store.book[0]', target: '$.shop' }
+            ]
+        }, inputSchema);
+
+        assert.deepEqual(schema.properties.labels, { type: 'array', items: { anyOf: [{ type: 'string' }, { type: 'number' }] } });
+        assert.deepEqual(schema.properties.names.type, 'array');
+        assert.deepEqual(Object.keys(schema.properties.shop.properties), ['name', 'book', 'title', 'price', 'tags']);
+        assert.deepEqual(schema.properties.shop.required, ['name', 'book', 'title', 'price']);
+    });
+
+    test('should apply edit rules to the input schema in update mode', () => {
+        const schema = inferSchema({
+            pathMappings: [
+                { op: 'delete', target: '$.note' },
+                { op: 'rename', target: '$.store', name: 'shop' },
+                { op: 'delete', target: '$.shop.book[*].tags' },
+                { source: '$.store.book[*].price.avg()', target: '$.shop.average' }
+            ]
+        }, inputSchema, { mode: 'update' });
+
+        assert.deepEqual(Object.keys(schema.properties), ['shop']);
+        assert.deepEqual(schema.required, ['shop']);
+        assert.deepEqual(schema.properties.shop.required, ['name', 'book', 'average']);
+        assert.deepEqual(schema.properties.shop.properties.average, { type: 'number' });
+        assert.deepEqual(Object.keys(schema.properties.shop.properties.book.items.properties), ['title', 'price']);
+    });
+});
\ No newline at end of file
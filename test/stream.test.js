@@ -0,0 +1,140 @@
+/**
+ * Tests for Streaming Transformations
+ */
+
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { Readable, Writable } from 'node:stream';
+import { streamMatches, streamTransform, transformNdjson } from '../src/stream.js';
+import { createAutomaton } from '../src/automaton.js';
+import { createTransformer } from '../src/transformer.js';
+
+const document = {
+    meta: { source: 'export', count: 3 },
+    records: [
+        { id: 1, name: 'Ann', ok: true, tags: ['a', 'b'], address: { city: 'Oslo' } },
+        { id: 2, name: 'Bob é☃', ok: false, tags: [], address: null },
+        { id: 3, name: 'Cy "q" \\ \n', ok: true, score: -1.5e2, tags: ['c'] }
+    ]
+};
+
+const chunked = (text, size) => Readable.from(
+    Array.from({ length: Math.ceil(text.length / size) }, (_, index) => text.slice(index * size, (index + 1) * size))
+);
+
+const collect = async (iterable) => {
+    const items = [];
+    for await (const item of iterable) {
+        items.push(item);
+    }
+    return items;
+};
+
+const byPath = (matches) => matches.map(({ value, path }) => ({ value, path })).sort((a, b) => {
+    const left = JSON.stringify(a.path);
+    const right = JSON.stringify(b.path);
+    return left < right ? -1 : left > right ? 1 : 0;
+});
+
+const createSink = (options = {}) => {
+    const chunks = [];
+    const sink = new Writable({
+        highWaterMark: options.highWaterMark,
+        write(chunk, encoding, callback) {
+            chunks.push(chunk.toString());
+            setImmediate(callback);
+        }
+    });
+    sink.text = () => chunks.join('');
+    return sink;
+};
+
+describe('Streaming Transformations', () => {
+    test('should match the same nodes as the automaton', async () => {
+        const text = JSON.stringify(document, null, 2);
+        const paths = [
+            '$', '$.meta', '$.records[*]', '$.records[*].name', '$.records[*].tags[*]', '$..city',
+            '$..tags[0]', '$.records[?(@.ok == true)].id', '$.records[1:3].id', '$.records[-1].id',
+            '$.records[::-1].id', '$.records[0,2].name', "$['meta'].*", '$.missing[*]', '$..*', '$..[0]'
+        ];
+
+        for (const path of paths) {
+            const expected = byPath(createAutomaton(path).process(document));
+            for (const size of [1, 7, text.length]) {
+                assert.deepEqual(byPath(await collect(streamMatches(chunked(text, size), path))), expected, `${path} in chunks of ${size}`);
+            }
+        }
+    });
+
+    test('should yield matches in document order as they are read', async () => {
+        const read = [];
+        async function* source() {
+            for (const chunk of ['{"records": [{"id": 1}, ', '{"id": 2}, ', '{"id": 3}]}']) {
+                read.push(chunk);
+                yield chunk;
+            }
+        }
+
+        const seen = [];
+        for await (const match of streamMatches(source(), '$.records[*]')) {
+            seen.push([match.value.id, match.path, read.length]);
+        }
+        assert.deepEqual(seen, [[1, ['records', 0], 1], [2, ['records', 1], 2], [3, ['records', 2], 3]]);
+    });
+
+    test('should decode multi-byte characters split across chunks', async () => {
+        const bytes = Buffer.from(JSON.stringify({ list: ['é☃😀'] }));
+        const chunks = Array.from(bytes).map(byte => Buffer.from([byte]));
+
+        assert.deepEqual(await collect(streamMatches(Readable.from(chunks), '$.list[0]')), [{
+            value: 'é☃😀',
+            path: ['list', 0]
+        }]);
+    });
+
+    test('should reject invalid JSON', async () => {
+        const cases = [
+            ['{"a": [1, 2}', /Invalid JSON: expected "," or a closing bracket but found "}" at offset 11/],
+            ['{"a" 1}', /Invalid JSON: expected ":" but found "1" at offset 5/],
+            ['{"a": tru}', /Invalid JSON: expected value but found "t" at offset 6/],
+            ['{"a": [1, 2]', /Invalid JSON: expected "," or a closing bracket but found end of input at offset 12/],
+            ['[1] [2]', /Invalid JSON: expected end of input but found "\[" at offset 4/],
+            ['["\\x"]', /Invalid JSON: malformed string at offset 1/]
+        ];
+
+        for (const [text, pattern] of cases) {
+            await assert.rejects(collect(streamMatches(chunked(text, 3), '$..*')), pattern);
+        }
+    });
+
+    test('should transform streamed records', async () => {
+        const rules = { pathMappings: [{ source: '$.name', target: '$.label', transform: 'upper' }, { source: '$.id', target: '$.key' }] };
+        const text = JSON.stringify(document);
+
+        assert.deepEqual(await collect(streamTransform(chunked(text, 5), '$.records[?(@.ok == true)]', rules)), [
+            { label: 'ANN', key: 1 },
+            { label: 'CY "Q" \\ \n', key: 3 }
+        ]);
+    });
+
+    test('should transform NDJSON line by line', async () => {
+        const lines = document.records.map(record => JSON.stringify(record)).join('\n') + '\n\n';
+        const sink = createSink({ highWaterMark: 1 });
+        const transformer = createTransformer({ pathMappings: [{ source: '$.id', target: '$.id' }, { source: '$.tags[*].count()', target: '$.tags' }] });
+
+        assert.equal(await transformNdjson(chunked(lines, 4), sink, transformer), 3);
+        assert.equal(sink.text(), '{"id":1,"tags":2}\n{"id":2,"tags":0}\n{"id":3,"tags":1}\n');
+        assert.equal(sink.writableFinished, true);
+    });
+
+    test('should report the line of invalid NDJSON records', async () => {
+        const rules = { pathMappings: [{ source: '$.a', target: '$.b' }] };
+        const sink = createSink();
+
+        await assert.rejects(
+            transformNdjson(Readable.from(['{"a": 1}\r\n{"a": ', '}\n']), sink, rules, { end: false }),
+            /Invalid JSON on line 2: /
+        );
+        assert.equal(sink.text(), '{"b":1}\n');
+    });
+});
\ No newline at end of file
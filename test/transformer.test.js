@@ -4,14 +4,18 @@
 
 import { strict as assert } from 'assert';
 import { test, describe } from 'node:test';
+import _ from 'lodash';
 import { 
     transform, 
     extractValues, 
     createTransformer, 
     validateRules,
+    debugTransform,
     parsePathWithOperation,
+    setValueAtPath,
     aggregateOps
 } from '../src/transformer.js';
+import { inferSchema, validateSchema } from '../src/schema.js';
 
 const sampleData = {
     "store": {
@@ -48,6 +52,23 @@ describe('Transformer', () => {
         const result2 = parsePathWithOperation('$.store.book[*].title');
         assert.equal(result2.path, '$.store.book[*].title');
         assert.equal(result2.operation, null);
+
+        const result3 = parsePathWithOperation('$.store.book[*].sort(price).first()');
+        assert.equal(result3.path, '$.store.book[*]');
+        assert.equal(result3.operation, 'sort');
+        assert.deepEqual(result3.operations.map(op => op.name), ['sort', 'first']);
+    });
+
+    test('should apply chained and parameterized operations', () => {
+        assert.equal(extractValues(sampleData, '$.store.book[*].sort(price).first()').title, 'Sayings of the Century');
+        assert.equal(extractValues(sampleData, '$.store.book[*].sort(price, "desc").first()').title, 'Sword of Honour');
+        assert.equal(extractValues(sampleData, '$.store.book[*].author.join(", ")'), 'Nigel Rees, Evelyn Waugh, Herman Melville');
+        assert.deepEqual(extractValues(sampleData, '$.store.book[*].title.take(2)'), ['Sayings of the Century', 'Sword of Honour']);
+        assert.deepEqual(Object.keys(extractValues(sampleData, '$.store.book[*].groupBy(category)')), ['reference', 'fiction']);
+    });
+
+    test('should reject unknown operations', () => {
+        assert.throws(() => extractValues(sampleData, '$.store.book[*].price.mxa()'), /Unknown operation "mxa\(\)"/);
     });
 
     test('should extract single values', () => {
@@ -80,6 +101,58 @@ describe('Transformer', () => {
         assert.equal(count, 3);
     });
 
+    test('should extract values selected by filter expressions', () => {
+        const titles = extractValues(sampleData, '$.store.book[?(@.price < $.expensive)].title');
+        assert.deepEqual(titles, ['Sayings of the Century', 'Moby Dick']);
+
+        const fiction = extractValues(sampleData, "$.store.book[?(@.category == 'fiction')].price.sum()");
+        assert.equal(fiction, 21.98);
+    });
+
+    test('should extract values with recursive descent', () => {
+        const prices = extractValues(sampleData, '$..price');
+        assert.deepEqual(prices, [19.95, 8.95, 12.99, 8.99]);
+    });
+
+    test('should extract values with slices and unions', () => {
+        assert.equal(extractValues(sampleData, '$.store.book[-1].title'), 'Moby Dick');
+        assert.deepEqual(extractValues(sampleData, '$.store.book[0:2].price'), [8.95, 12.99]);
+        assert.deepEqual(extractValues(sampleData, '$.store.book[0,2].author'), ['Nigel Rees', 'Herman Melville']);
+    });
+
+    test('should extract the first match only', () => {
+        assert.equal(extractValues(sampleData, '$.store.book[*].author', { first: true }), 'Nigel Rees');
+        assert.equal(extractValues(sampleData, '$..price', { first: true }), 19.95);
+        assert.equal(extractValues(sampleData, '$.store.book[*].price.count()', { first: true }), 1);
+        assert.equal(extractValues(sampleData, '$.store.missing[*]', { first: true }), undefined);
+    });
+
+    test('should set values at bracket-notation target paths', () => {
+        const target = { existing: [1, 2] };
+        const result = setValueAtPath(target, "$['a.b']['first-name']", 'Ada');
+
+        assert.deepEqual(result, { existing: [1, 2], 'a.b': { 'first-name': 'Ada' } });
+        assert.deepEqual(target, { existing: [1, 2] });
+        assert.deepEqual(setValueAtPath(target, '$.existing[-1]', 5).existing, [1, 5]);
+        assert.deepEqual(setValueAtPath({}, '$["x"][0]', 'y'), { x: ['y'] });
+    });
+
+    test('should transform between quoted keys', () => {
+        const data = { 'first-name': 'Ada', meta: { '@type': 'Person' } };
+        const rules = {
+            "pathMappings": [{
+                "source": "$['first-name']",
+                "target": "$.person['given.name']"
+            }, {
+                "source": "$.meta['@type']",
+                "target": "$.person['@type']"
+            }]
+        };
+
+        const result = transform(data, rules);
+        assert.deepEqual(result, { person: { 'given.name': 'Ada', '@type': 'Person' } });
+    });
+
     test('should perform basic transformation', () => {
         const rules = {
             "pathMappings": [{
@@ -150,9 +223,19 @@ describe('Transformer', () => {
             }]
         };
         
+        const foreachRules = {
+            "pathMappings": [{
+                "foreach": "$.a[*]",
+                "target": "$.b[*]",
+                "mappings": [{ "source": "@.x", "target": "@.y" }]
+            }]
+        };
+
         assert.equal(validateRules(validRules), true);
         assert.equal(validateRules(invalidRules1), false);
         assert.equal(validateRules(invalidRules2), false);
+        assert.equal(validateRules(foreachRules), true);
+        assert.equal(validateRules({ "pathMappings": [{ "foreach": "$.a[*]", "target": "$.b[*]" }] }), false);
     });
 
     test('should handle mixed transformations', () => {
@@ -189,6 +272,628 @@ describe('Transformer', () => {
         assert.deepEqual(result.results, []);
     });
 
+    test('should keep nested array shape with multiple target wildcards', () => {
+        const orders = {
+            "orders": [{
+                "items": [{ "sku": "a" }, { "sku": "b" }]
+            }, {
+                "items": [{ "sku": "c" }]
+            }]
+        };
+        const rules = {
+            "pathMappings": [{
+                "source": "$.orders[*].items[*].sku",
+                "target": "$.out[*].lines[*].code"
+            }]
+        };
+
+        const result = transform(orders, rules);
+        assert.deepEqual(result, {
+            out: [
+                { lines: [{ code: 'a' }, { code: 'b' }] },
+                { lines: [{ code: 'c' }] }
+            ]
+        });
+    });
+
+    test('should write empty nested arrays for outer elements without matches', () => {
+        const orders = {
+            "orders": [{ "items": [{ "sku": "a" }] }, { "items": [] }, { "items": [{ "sku": "c" }] }]
+        };
+        const rules = {
+            "pathMappings": [{
+                "source": "$.orders[*].items[*].sku",
+                "target": "$.out[*].lines[*].code"
+            }]
+        };
+
+        const result = transform(orders, rules);
+        assert.deepEqual(result, {
+            out: [
+                { lines: [{ code: 'a' }] },
+                { lines: [] },
+                { lines: [{ code: 'c' }] }
+            ]
+        });
+        assert.deepEqual(Object.keys(result.out), ['0', '1', '2']);
+        assert.deepEqual(validateSchema(result, inferSchema(rules)), []);
+
+        const foreach = transform(orders, {
+            "pathMappings": [{
+                "foreach": "$.orders[*].items[*]",
+                "target": "$.out[*].lines[*]",
+                "mappings": [{ "source": "@.sku", "target": "@.code" }]
+            }]
+        });
+        assert.deepEqual(foreach, result);
+    });
+
+    test('should flatten extra source dimensions into the last target wildcard', () => {
+        const orders = { "orders": [{ "items": [1, 2] }, { "items": [3] }] };
+
+        const nested = transform(orders, {
+            "pathMappings": [{ "source": "$.orders[*].items[*]", "target": "$.all[*]" }]
+        });
+        assert.deepEqual(nested.all, [1, 2, 3]);
+
+        const flattened = transform(orders, {
+            "pathMappings": [{ "source": "$.orders[*].items[*]", "target": "$.all[*]", "flatten": true }]
+        });
+        assert.deepEqual(flattened.all, [1, 2, 3]);
+    });
+
+    test('should align wildcard targets with source positions', () => {
+        const data = { "books": [{ "isbn": "1", "title": "A" }, { "title": "B" }, { "isbn": "3", "title": "C" }] };
+        const rules = {
+            "pathMappings": [{
+                "source": "$.books[*].title",
+                "target": "$.out[*].title"
+            }, {
+                "source": "$.books[*].isbn",
+                "target": "$.out[*].isbn"
+            }]
+        };
+
+        const result = transform(data, rules);
+        assert.deepEqual(result.out, [
+            { title: 'A', isbn: '1' },
+            { title: 'B' },
+            { title: 'C', isbn: '3' }
+        ]);
+    });
+
+    test('should reject targets with more wildcards than the source binds', () => {
+        const rules = {
+            "pathMappings": [{
+                "source": "$.store.book[*].title",
+                "target": "$.a[*].b[*]"
+            }]
+        };
+
+        assert.throws(() => transform(sampleData, rules), /has 2 \[\*\] wildcards but source .* only binds 1/);
+    });
+
+    test('should map records with foreach blocks', () => {
+        const rules = {
+            "pathMappings": [{
+                "foreach": "$.store.book[*]",
+                "target": "$.novels[*]",
+                "mappings": [{
+                    "source": "@.title",
+                    "target": "@.name"
+                }, {
+                    "source": "@.price",
+                    "target": "@.pricing.amount"
+                }, {
+                    "source": "$.store.bicycle.color",
+                    "target": "@.shelfColor"
+                }]
+            }]
+        };
+
+        const result = transform(sampleData, rules);
+        assert.equal(result.novels.length, 3);
+        assert.deepEqual(result.novels[0], { name: 'Sayings of the Century', pricing: { amount: 8.95 }, shelfColor: 'red' });
+        assert.deepEqual(result.novels[2].name, 'Moby Dick');
+    });
+
+    test('should nest foreach blocks to arbitrary depth', () => {
+        const data = {
+            "orders": [{
+                "id": 1,
+                "items": [{ "sku": "a", "parts": [{ "n": 1 }, { "n": 2 }] }]
+            }, {
+                "id": 2,
+                "items": [{ "sku": "b", "parts": [] }, { "sku": "c", "parts": [{ "n": 3 }] }]
+            }]
+        };
+        const rules = {
+            "pathMappings": [{
+                "foreach": "$.orders[*]",
+                "target": "$.out[*]",
+                "mappings": [{
+                    "source": "@.id",
+                    "target": "@.orderId"
+                }, {
+                    "foreach": "@.items[*]",
+                    "target": "@.lines[*]",
+                    "mappings": [{
+                        "source": "@.sku",
+                        "target": "@.code"
+                    }, {
+                        "foreach": "@.parts[*]",
+                        "target": "@.numbers[*]",
+                        "mappings": [{ "source": "@.n", "target": "@" }]
+                    }]
+                }]
+            }]
+        };
+
+        const result = transform(data, rules);
+        assert.deepEqual(result, {
+            out: [
+                { orderId: 1, lines: [{ code: 'a', numbers: [1, 2] }] },
+                { orderId: 2, lines: [{ code: 'b', numbers: [] }, { code: 'c', numbers: [3] }] }
+            ]
+        });
+    });
+
+    test('should keep foreach fields from the same record together', () => {
+        const data = { "books": [{ "isbn": "1", "title": "A" }, { "title": "B" }, { "isbn": "3", "title": "C" }] };
+        const rules = {
+            "pathMappings": [{
+                "foreach": "$.books[?(@.isbn)]",
+                "target": "$.out[*]",
+                "mappings": [
+                    { "source": "@.title", "target": "@.title" },
+                    { "source": "@.isbn", "target": "@.isbn" }
+                ]
+            }]
+        };
+
+        assert.deepEqual(transform(data, rules).out, [
+            { title: 'A', isbn: '1' },
+            { title: 'C', isbn: '3' }
+        ]);
+    });
+
+    test('should apply value functions from transform and pipe', () => {
+        const rules = {
+            "pathMappings": [{
+                "source": "$.store.book[*].title",
+                "target": "$.titles[*]",
+                "transform": "upper"
+            }, {
+                "source": "$.store.book[*].price.sum()",
+                "target": "$.total",
+                "pipe": [{ "name": "multiply", "args": [100] }, "round", "toString"]
+            }, {
+                "source": "$.store.bicycle.color",
+                "target": "$.label",
+                "transform": { "name": "concat", "args": [" bike at ", { "path": "$.store.bicycle.price" }] }
+            }]
+        };
+
+        const result = transform(sampleData, rules);
+        assert.deepEqual(result.titles, ['SAYINGS OF THE CENTURY', 'SWORD OF HONOUR', 'MOBY DICK']);
+        assert.equal(result.total, '3093');
+        assert.equal(result.label, 'red bike at 19.95');
+        assert.doesNotThrow(() => JSON.parse(JSON.stringify(rules)));
+    });
+
+    test('should resolve relative function arguments inside foreach', () => {
+        const data = { "people": [{ "first": "Ada", "last": "Lovelace" }] };
+        const rules = {
+            "pathMappings": [{
+                "foreach": "$.people[*]",
+                "target": "$.out[*]",
+                "mappings": [{
+                    "source": "@.first",
+                    "target": "@.fullName",
+                    "transform": { "name": "concat", "args": [" ", { "path": "@.last" }] }
+                }]
+            }]
+        };
+
+        assert.deepEqual(transform(data, rules), { out: [{ fullName: 'Ada Lovelace' }] });
+    });
+
+    test('should register custom functions per transformer', () => {
+        const rules = {
+            "pathMappings": [{
+                "source": "$.store.bicycle.price",
+                "target": "$.priceInCents",
+                "transform": "cents"
+            }]
+        };
+
+        const transformer = createTransformer(rules).registerFunction('cents', (value) => Math.round(value * 100));
+        assert.equal(transformer(sampleData).priceInCents, 1995);
+
+        assert.throws(() => createTransformer(rules)(sampleData), /Unknown function "cents"/);
+        assert.throws(() => transform(sampleData, rules), /Unknown function "cents"/);
+        assert.equal(transform(sampleData, rules, { functions: { cents: () => 1 } }).priceInCents, 1);
+    });
+
+    test('should register custom operations per transformer', () => {
+        const rules = {
+            "pathMappings": [{
+                "source": "$.store.book[*].price.range()",
+                "target": "$.stats.priceRange"
+            }]
+        };
+
+        const transformer = createTransformer(rules)
+            .registerOperation('range', (values) => Math.max(...values) - Math.min(...values));
+        assert.equal(Math.round(transformer(sampleData).stats.priceRange * 100), 404);
+
+        assert.throws(() => createTransformer(rules)(sampleData), /Unknown operation "range\(\)"/);
+        assert.equal(aggregateOps.range, undefined);
+    });
+
+    test('should apply rules only when their condition holds', () => {
+        const rules = {
+            "pathMappings": [{
+                "source": "$.store.bicycle.color",
+                "target": "$.bike.color",
+                "when": "$.expensive > 5"
+            }, {
+                "source": "$.store.bicycle.price",
+                "target": "$.bike.price",
+                "when": "$.expensive > 50"
+            }]
+        };
+
+        assert.deepEqual(transform(sampleData, rules), { bike: { color: 'red' } });
+    });
+
+    test('should evaluate conditions relative to foreach elements', () => {
+        const rules = {
+            "pathMappings": [{
+                "foreach": "$.store.book[*]",
+                "target": "$.books[*]",
+                "mappings": [{
+                    "source": "@.title",
+                    "target": "@.title"
+                }, {
+                    "source": "@.price",
+                    "target": "@.premiumPrice",
+                    "when": "@.price > $.expensive"
+                }]
+            }]
+        };
+
+        const result = transform(sampleData, rules);
+        assert.equal(result.books[0].premiumPrice, undefined);
+        assert.equal(result.books[1].premiumPrice, 12.99);
+    });
+
+    test('should not write missing sources without a default', () => {
+        const rules = {
+            "pathMappings": [{
+                "source": "$.store.missing",
+                "target": "$.out.value"
+            }, {
+                "source": "$.store.bicycle.color",
+                "target": "$.out.color"
+            }]
+        };
+
+        assert.deepEqual(transform(sampleData, rules), { out: { color: 'red' } });
+    });
+
+    test('should fall back to literal and path defaults', () => {
+        const rules = {
+            "pathMappings": [{
+                "source": "$.store.bicycle.gears",
+                "target": "$.bike.gears",
+                "default": 1
+            }, {
+                "source": "$.store.bicycle.nickname",
+                "target": "$.bike.name",
+                "default": { "source": "$.store.bicycle.color" }
+            }, {
+                "source": "$.store.magazine[*].title",
+                "target": "$.magazines[*]",
+                "default": ["none"]
+            }, {
+                "source": "$.store.bicycle.color",
+                "target": "$.bike.color",
+                "default": "unknown"
+            }]
+        };
+
+        assert.deepEqual(transform(sampleData, rules), {
+            bike: { gears: 1, name: 'red', color: 'red' },
+            magazines: ['none']
+        });
+    });
+
+    test('should fail the transform when a required source is missing', () => {
+        const rules = {
+            "pathMappings": [{
+                "source": "$.store.bicycle.serial",
+                "target": "$.bike.serial",
+                "required": true
+            }]
+        };
+
+        assert.throws(
+            () => transform(sampleData, rules),
+            /Required source "\$\.store\.bicycle\.serial" for target "\$\.bike\.serial" matched nothing/
+        );
+
+        const withDefault = { "pathMappings": [{ ...rules.pathMappings[0], "default": "n/a" }] };
+        assert.deepEqual(transform(sampleData, withDefault), { bike: { serial: 'n/a' } });
+
+        const foreachRules = {
+            "pathMappings": [{ "foreach": "$.store.magazine[*]", "target": "$.m[*]", "mappings": [], "required": true }]
+        };
+        assert.throws(() => transform(sampleData, foreachRules), /Required source "\$\.store\.magazine\[\*\]"/);
+    });
+
+    test('should honor conditions and defaults in debugTransform', () => {
+        const rules = {
+            "pathMappings": [{
+                "source": "$.store.bicycle.color",
+                "target": "$.color",
+                "when": "$.expensive > 50"
+            }, {
+                "source": "$.store.bicycle.gears",
+                "target": "$.gears",
+                "default": 3
+            }]
+        };
+
+        const debugInfo = debugTransform(sampleData, rules);
+        assert.equal(debugInfo.steps[0].applied, false);
+        assert.deepEqual(debugInfo.steps[0].newResult, {});
+        assert.equal(debugInfo.steps[1].applied, true);
+        assert.deepEqual(debugInfo.finalResult, { gears: 3 });
+    });
+
+    test('should write constant values', () => {
+        const rules = {
+            "pathMappings": [{
+                "value": "2.0",
+                "target": "$.meta.schemaVersion"
+            }, {
+                "value": { "system": "store", "tags": ["books"] },
+                "target": "$.meta.source"
+            }, {
+                "value": null,
+                "target": "$.meta.comment"
+            }]
+        };
+
+        const result = transform(sampleData, rules);
+        assert.deepEqual(result.meta, {
+            schemaVersion: '2.0',
+            source: { system: 'store', tags: ['books'] },
+            comment: null
+        });
+
+        result.meta.source.tags.push('mutated');
+        assert.deepEqual(rules.pathMappings[1].value.tags, ['books']);
+    });
+
+    test('should write computed expressions over several paths', () => {
+        const data = {
+            "customer": { "firstName": "Ada", "lastName": "Lovelace" },
+            "items": [{ "price": 2.5, "quantity": 4 }, { "price": 10, "quantity": 1 }]
+        };
+        const rules = {
+            "pathMappings": [{
+                "expression": "$.customer.firstName + ' ' + $.customer.lastName",
+                "target": "$.name"
+            }, {
+                "expression": "$.items[*].price.max() * 2",
+                "target": "$.doubleMax"
+            }, {
+                "foreach": "$.items[*]",
+                "target": "$.lines[*]",
+                "mappings": [{
+                    "expression": "@.price * @.quantity",
+                    "target": "@.total"
+                }, {
+                    "expression": "round(@.price / 3, 2)",
+                    "target": "@.third"
+                }]
+            }, {
+                "expression": "$.missing * 2",
+                "target": "$.fallback",
+                "default": 0
+            }]
+        };
+
+        assert.deepEqual(transform(data, rules), {
+            name: 'Ada Lovelace',
+            doubleMax: 20,
+            lines: [{ total: 10, third: 0.83 }, { total: 10, third: 3.33 }],
+            fallback: 0
+        });
+    });
+
+    test('should apply value functions to computed values', () => {
+        const rules = {
+            "pathMappings": [{
+                "expression": "$.store.bicycle.color + '-' + $.store.bicycle.price",
+                "target": "$.code",
+                "transform": "upper"
+            }, {
+                "expression": "now()",
+                "target": "$.generatedAt",
+                "transform": "toISODate"
+            }]
+        };
+
+        const result = transform(sampleData, rules);
+        assert.equal(result.code, 'RED-19.95');
+        assert.match(result.generatedAt, /^\d{4}-\d{2}-\d{2}$/);
+        assert.equal(validateRules(rules), true);
+    });
+
+    test('should apply rules onto a copy of the input in update mode', () => {
+        const input = { id: 1, name: 'ann', meta: { version: 1 } };
+        const rules = {
+            "pathMappings": [
+                { "source": "$.name", "target": "$.name", "transform": "capitalize" },
+                { "value": 2, "target": "$.meta.version" }
+            ]
+        };
+
+        assert.deepEqual(transform(input, rules, { mode: 'update' }), { id: 1, name: 'Ann', meta: { version: 2 } });
+        assert.deepEqual(input, { id: 1, name: 'ann', meta: { version: 1 } });
+        assert.deepEqual(
+            transform(input, rules, { base: { kept: true } }),
+            { kept: true, name: 'Ann', meta: { version: 2 } }
+        );
+        assert.throws(() => transform(input, rules, { mode: 'merge' }), /Unknown transform mode "merge"/);
+    });
+
+    test('should delete nodes selected in the output', () => {
+        const input = {
+            secret: 'x',
+            items: [{ id: 1, internal: true }, { id: 2, internal: false }, { id: 3, internal: true }]
+        };
+        const rules = {
+            "pathMappings": [
+                { "op": "delete", "target": "$.secret" },
+                { "op": "delete", "target": "$.items[?(@.internal == true)]" },
+                { "op": "delete", "target": "$.items[*].internal" }
+            ]
+        };
+
+        assert.deepEqual(transform(input, rules, { mode: 'update' }), { items: [{ id: 2 }] });
+    });
+
+    test('should move values within the output', () => {
+        const input = {
+            user: { first: 'Ann', last: 'Lee' },
+            items: [{ cost: 5 }, { cost: 7 }]
+        };
+        const rules = {
+            "pathMappings": [
+                { "op": "move", "source": "$.user.first", "target": "$.profile.name.first" },
+                { "op": "move", "source": "$.items[*].cost", "target": "$.items[*].price" },
+                { "op": "move", "source": "$.missing", "target": "$.other" }
+            ]
+        };
+
+        assert.deepEqual(transform(input, rules, { mode: 'update' }), {
+            user: { last: 'Lee' },
+            items: [{ price: 5 }, { price: 7 }],
+            profile: { name: { first: 'Ann' } }
+        });
+
+        // Nested matches are moved as they were; other nodes are not copied
+        const source = { a: { b: { a: 1 } } };
+        const nested = transform(source, {
+            "pathMappings": [
+                { "value": 1, "target": "$.built.a.a" },
+                { "op": "move", "source": "$.built..a", "target": "$.moved" },
+                { "source": "$.a", "target": "$.shared" },
+                { "op": "move", "source": "$.shared", "target": "$.kept" }
+            ]
+        });
+        assert.deepEqual(nested, { built: {}, moved: [{ a: 1 }, 1], kept: { b: { a: 1 } } });
+        assert.equal(nested.kept, source.a);
+    });
+
+    test('should rename properties in place', () => {
+        const input = { a: 1, old: 2, c: 3, rows: [{ k: 1, z: 0 }, { k: 2 }] };
+        const rules = {
+            "pathMappings": [
+                { "op": "rename", "target": "$.old", "name": "renamed" },
+                { "op": "rename", "target": "$.rows[*].k", "name": "key" }
+            ]
+        };
+
+        const result = transform(input, rules, { mode: 'update' });
+        assert.deepEqual(Object.keys(result), ['a', 'renamed', 'c', 'rows']);
+        assert.deepEqual(result.rows, [{ key: 1, z: 0 }, { key: 2 }]);
+        assert.throws(
+            () => transform(input, { "pathMappings": [{ "op": "rename", "target": "$.rows[0]", "name": "x" }] }, { mode: 'update' }),
+            /Cannot rename "\$\.rows\[0\]": only object properties can be renamed/
+        );
+    });
+
+    test('should apply edit operations relative to foreach elements', () => {
+        const input = { orders: [{ id: 1, tmp: 'a' }, { id: 2, tmp: 'b' }] };
+        const rules = {
+            "pathMappings": [{
+                "foreach": "$.orders[*]",
+                "target": "$.orders[*]",
+                "mappings": [
+                    { "op": "rename", "target": "@.id", "name": "orderId" },
+                    { "op": "delete", "target": "@.tmp" }
+                ]
+            }]
+        };
+
+        assert.deepEqual(transform(input, rules, { mode: 'update' }), { orders: [{ orderId: 1 }, { orderId: 2 }] });
+    });
+
+    test('should validate edit rules', () => {
+        assert.equal(validateRules({ "pathMappings": [{ "op": "delete", "target": "$.a" }] }), true);
+        assert.equal(validateRules({ "pathMappings": [{ "op": "move", "target": "$.a" }] }), false);
+        assert.equal(validateRules({ "pathMappings": [{ "op": "rename", "target": "$.a" }] }), false);
+        assert.equal(validateRules({ "pathMappings": [{ "op": "copy", "target": "$.a" }] }), false);
+        assert.throws(() => transform({}, { "pathMappings": [{ "op": "copy", "target": "$.a" }] }), /Unknown rule operation "copy"/);
+        assert.throws(
+            () => transform({}, { "pathMappings": [{ "op": "delete", "target": "$.a", "required": true }] }),
+            /Required path "\$\.a" for delete matched nothing/
+        );
+    });
+
+    test('should never modify the input or previous results', () => {
+        const input = { user: { name: 'ann', tags: ['a'] }, rows: [{ id: 1 }, { id: 2 }] };
+        const snapshot = JSON.parse(JSON.stringify(input));
+        const rules = {
+            "pathMappings": [
+                { "source": "$.user", "target": "$.user" },
+                { "value": "b", "target": "$.user.tags[1]" },
+                { "source": "$.rows[*].id", "target": "$.rows[*].key" },
+                { "op": "delete", "target": "$.rows[0].id" },
+                { "op": "rename", "target": "$.user.name", "name": "first" }
+            ]
+        };
+
+        const result = transform(input, rules, { mode: 'update' });
+        assert.deepEqual(result, {
+            user: { first: 'ann', tags: ['a', 'b'] },
+            rows: [{ key: 1 }, { id: 2, key: 2 }]
+        });
+        assert.deepEqual(transform(input, rules).user, { first: 'ann', tags: ['a', 'b'] });
+        assert.deepEqual(input, snapshot);
+
+        const base = { kept: { deep: 1 } };
+        assert.deepEqual(transform(input, { "pathMappings": [{ "value": 2, "target": "$.kept.other" }] }, { base }).kept, { deep: 1, other: 2 });
+        assert.deepEqual(base, { kept: { deep: 1 } });
+
+        const target = { a: { b: 1 }, c: { d: 2 } };
+        const updated = setValueAtPath(target, '$.a.x', 3);
+        assert.deepEqual(target, { a: { b: 1 }, c: { d: 2 } });
+        assert.equal(updated.c, target.c);
+    });
+
+    test('should copy each node at most once while building results', (t) => {
+        const clone = t.mock.method(_, 'clone');
+        const copies = (size, options) => {
+            clone.mock.resetCalls();
+            const input = { items: Array.from({ length: size }, (item, index) => ({ id: index })) };
+            const target = options.mode === 'update' ? '$.items[*].key' : '$.ids[*].value';
+            const result = transform(input, { "pathMappings": [{ "source": "$.items[*].id", "target": target }] }, options);
+            assert.equal(_.size(result.ids || result.items), size);
+            return clone.mock.callCount();
+        };
+
+        // Copying the result on every write would copy it once per item;
+        // updating the input copies each item it changes once
+        assert.equal(copies(1000, {}), copies(10, {}));
+        assert.ok(copies(1000, { mode: 'update' }) - copies(10, { mode: 'update' }) <= 990);
+    });
+
     test('should throw error for invalid rules', () => {
         const invalidRules = { "not": "valid" };
         
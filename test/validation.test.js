@@ -0,0 +1,189 @@
+/**
+ * Tests for Rule Validation
+ */
+
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { lintRules } from '../src/validation.js';
+import { validateRules } from '../src/transformer.js';
+
+const lint = (...pathMappings) => lintRules({ pathMappings });
+
+describe('Rule Validation', () => {
+    test('should accept valid rules', () => {
+        assert.deepEqual(lint(
+            { source: '$.store.book[*].price', target: '$.prices[*]' },
+            { source: "$.store['first-name']", target: '$.name', transform: 'upper' },
+            { source: '$.store.book[?(@.price < 10)].title', target: '$.cheap[*]' },
+            { source: '$.store.book[*].price.sort().take(2)', target: '$.top[*]' },
+            { expression: 'round($.a * 2, 1)', target: '$.b', when: '$.a > 0' },
+            { foreach: '$.items[*]', target: '$.rows[*]', mappings: [{ source: '@.id', target: '@.id' }] },
+            { op: 'delete', target: '$..internal' }
+        ), []);
+    });
+
+    test('should report malformed paths with their offsets', () => {
+        const diagnostics = lint(
+            { source: '$.store.book[*.price', target: '$.a' },
+            { source: '$.store.book[abc]', target: '$.b' },
+            { source: '$.store..', target: '$.c' },
+            { source: 'store.book', target: '$.d' },
+            { source: '$.a[?(@.x >)]', target: '$.e' }
+        );
+
+        assert.deepEqual(diagnostics.map(({ ruleIndex, field, offset, message, severity }) => [ruleIndex, field, offset, message, severity]), [
+            [0, 'source', 14, 'Expected "]" but found "."', 'error'],
+            [1, 'source', 13, 'Expected "*", an index, a slice, a quoted name or a filter but found "a"', 'error'],
+            [2, 'source', 9, 'Expected a property name or "*" but found end of path', 'error'],
+            [3, 'source', 0, 'Expected "$" or "@" but found "s"', 'error'],
+            [4, 'source', 11, 'Invalid filter expression: Unexpected token ")"', 'error']
+        ]);
+    });
+
+    test('should report unknown operations and functions', () => {
+        const diagnostics = lint(
+            { source: '$.items[*].price.mxa()', target: '$.max' },
+            { source: '$.name', target: '$.name', pipe: ['trim', { name: 'uper' }] },
+            { expression: 'rnd($.a)', target: '$.x' },
+            { source: '$.a', target: '$.b.sum()' }
+        );
+
+        assert.deepEqual(diagnostics.map(({ field, offset, message }) => [field, offset, message]), [
+            ['source', 17, 'Unknown operation "mxa()"'],
+            ['pipe', null, 'Unknown function "uper"'],
+            ['expression', null, 'Unknown function "rnd"'],
+            ['target', 4, 'Aggregate operation sum() is not allowed in a target path']
+        ]);
+        assert.deepEqual(lintRules(
+            { pathMappings: [{ source: '$.a.range()', target: '$.b' }] },
+            { operations: { range: () => 0 } }
+        ), []);
+    });
+
+    test('should report target wildcards the source cannot bind', () => {
+        const diagnostics = lint(
+            { source: '$.list', target: '$.items[*]' },
+            { source: '$.a[*].b', target: '$.x[*].y[*]' },
+            { source: '$.a[*]', target: '$.z[*].y[*]', flatten: true },
+            { source: '$.a[*]', target: '$..x' }
+        );
+
+        assert.deepEqual(diagnostics.map(({ ruleIndex, offset, message, severity }) => [ruleIndex, offset, message, severity]), [
+            [0, 7, 'Target has a [*] wildcard but source "$.list" selects a single node; it is only filled if that node is an array', 'warning'],
+            [1, 8, 'Target has 2 [*] wildcards but source "$.a[*].b" only binds 1', 'error'],
+            [2, null, 'Flattened target must contain exactly one [*] wildcard (found 2)', 'error'],
+            [3, 1, 'Target paths may only use names, indices and [*] (found descendant selector)', 'error']
+        ]);
+    });
+
+    test('should report rules overwriting the same target', () => {
+        const diagnostics = lint(
+            { source: '$.a', target: '$.x' },
+            { source: '$.b', target: "$['x']" },
+            {
+                foreach: '$.items[*]',
+                target: '$.rows[*]',
+                mappings: [{ source: '@.a', target: '@.v' }, { source: '@.b', target: '@.v' }, { source: '$.c', target: '$.v' }]
+            }
+        );
+
+        assert.deepEqual(diagnostics, [{
+            ruleIndex: 1,
+            rulePath: [1],
+            field: 'target',
+            offset: null,
+            message: 'Target "$[\'x\']" is also written by rule 0; the later rule overwrites it',
+            severity: 'warning'
+        }, {
+            ruleIndex: 2,
+            rulePath: [2, 1],
+            field: 'target',
+            offset: null,
+            message: 'Target "@.v" is also written by rule 2.0; the later rule overwrites it',
+            severity: 'warning'
+        }]);
+    });
+
+    test('should report rules writing into or over each other\'s targets', () => {
+        const messages = (...pathMappings) => lint(...pathMappings).map(({ ruleIndex, message }) => [ruleIndex, message]);
+
+        assert.deepEqual(messages({ source: '$.b', target: '$.a.b' }, { source: '$.c', target: '$.a' }), [
+            [1, 'Target "$.a" contains "$.a.b" written by rule 0; the later rule overwrites it']
+        ]);
+        assert.deepEqual(messages({ source: '$.c', target: '$.a' }, { source: '$.b', target: '$.a.b' }), [
+            [1, 'Target "$.a.b" is inside "$.a" written by rule 0; it replaces that value unless it is an object or array']
+        ]);
+        assert.deepEqual(messages(
+            { foreach: '$.items[*]', target: '$.rows[*]', mappings: [{ source: '@.id', target: '@.id' }] },
+            { source: '$.items[*].name', target: '$.rows[*].name' },
+            { value: { kind: 'list' }, target: '$.meta' },
+            { source: '$.count', target: '$.meta.count' },
+            { source: '$.b', target: '$.a.b' },
+            { source: '$.c', target: '$.a.c' },
+            { source: '$.d', target: '$.a', merge: 'deepMerge' }
+        ), []);
+    });
+
+    test('should check merge strategies and accept deliberate collisions', () => {
+        assert.deepEqual(lint(
+            { source: '$.a', target: '$.x' },
+            { source: '$.b', target: '$.x', merge: 'deepMerge' },
+            { source: '$.c', target: '$.x', merge: 'replace' },
+            { source: '$.d', target: '$.y', merge: 'overwrite' }
+        ).map(({ ruleIndex, field, message }) => [ruleIndex, field, message]), [
+            [2, 'target', 'Target "$.x" is also written by rule 0; the later rule overwrites it'],
+            [3, 'merge', 'Unknown merge strategy "overwrite"']
+        ]);
+
+        const diagnostics = lintRules({ merge: 'append', pathMappings: [{ source: '$.a', target: '$.x' }, { source: '$.b', target: '$.x' }] });
+        assert.deepEqual(diagnostics, []);
+        assert.deepEqual(lintRules({ merge: 'union', pathMappings: [] }).map(({ ruleIndex, field, message }) => [ruleIndex, field, message]), [
+            [null, 'merge', 'Unknown merge strategy "union"']
+        ]);
+    });
+
+    test('should check named documents and lookups', () => {
+        const pathMappings = [
+            { source: '$orders[*].customerId', target: '$.names[*]', lookup: '$customers[*]', key: '@.id', select: '@.name' },
+            { source: '$orders[*.id', target: '$.ids' },
+            { source: '$.id', target: '$.x', lookup: '$customers[*]', key: 'id' },
+            { foreach: '$orders[*]', target: '$.rows[*]', lookup: '$customers[*]', key: '@.id', mappings: [] }
+        ];
+        const diagnostics = (options) => lintRules({ pathMappings }, options)
+            .map(({ ruleIndex, field, offset, message }) => [ruleIndex, field, offset, message]);
+
+        assert.deepEqual(diagnostics(), [
+            [1, 'source', 9, 'Expected "]" but found "."'],
+            [2, 'key', null, '"key" must be a path starting with "@"'],
+            [3, 'lookup', null, 'Foreach blocks cannot look up values; use "lookup" on the rules inside the block']
+        ]);
+        assert.deepEqual(diagnostics({ documents: { orders: [] } }).filter(([, field, offset]) => offset === 1), [
+            [0, 'lookup', 1, 'Unknown document "$customers"'],
+            [2, 'lookup', 1, 'Unknown document "$customers"'],
+            [3, 'lookup', 1, 'Unknown document "$customers"']
+        ]);
+    });
+
+    test('should report missing fields and unknown rule kinds', () => {
+        assert.deepEqual(lint({ source: '$.a' }, { op: 'copy', target: '$.a' }, { op: 'rename', target: '$.a' })
+            .map(({ ruleIndex, field, message }) => [ruleIndex, field, message]), [
+            [0, 'target', '"target" must be a string'],
+            [1, 'op', 'Unknown rule operation "copy"'],
+            [2, 'name', '"name" must be a non-empty string']
+        ]);
+        assert.equal(lintRules({ pathMappings: 'x' })[0].message, 'pathMappings must be an array');
+    });
+
+    test('should parse paths leniently when asked', () => {
+        const rules = { pathMappings: [{ source: 'store.book[0].title', target: '$.title' }] };
+
+        assert.equal(validateRules(rules), false);
+        assert.equal(validateRules(rules, { lenient: true }), true);
+        assert.deepEqual(lintRules({ pathMappings: [{ source: '$customers', target: '$.x' }] }, { documents: {}, lenient: true }), []);
+    });
+
+    test('should drive validateRules', () => {
+        assert.equal(validateRules({ pathMappings: [{ source: '$.store.book[*.price', target: '$.a' }] }), false);
+        assert.equal(validateRules({ pathMappings: [{ source: '$.a', target: '$.x' }, { source: '$.b', target: '$.x' }] }), true);
+    });
+});
\ No newline at end of file